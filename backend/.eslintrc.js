@@ -10,5 +10,11 @@ module.exports = {
   "rules": {
     "no-unused-vars": "warn",
     "no-console": "off"
-  }
+  },
+  "overrides": [
+    {
+      "files": ["__tests__/**/*.js"],
+      "env": { "jest": true }
+    }
+  ]
 };
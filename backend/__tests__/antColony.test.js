@@ -0,0 +1,76 @@
+const { parseLayout, buildWeightedGraph } = require('../core/layout');
+const { AntColonyRouter, parseAcoSettings } = require('../core/antColony');
+const { createRandom } = require('../core/random');
+
+// Short route 1-2-4 and a long detour 1-3-5-4
+const layout = parseLayout({
+  nodes: [
+    { id: 1, x: 0, y: 0 },
+    { id: 2, x: 10, y: 0 },
+    { id: 3, x: 0, y: 30 },
+    { id: 4, x: 20, y: 0 },
+    { id: 5, x: 20, y: 30 }
+  ],
+  edges: [{ from: 1, to: 2 }, { from: 2, to: 4 }, { from: 1, to: 3 }, { from: 3, to: 5 }, { from: 5, to: 4 }]
+});
+const graph = buildWeightedGraph(layout);
+
+function router(settings = {}) {
+  return new AntColonyRouter(layout, graph, { random: createRandom(11).next, ...settings });
+}
+
+test('the colony finds the short route and lays pheromone along it', () => {
+  const colony = router();
+  const result = colony.route(1, 4);
+  expect(result.path).toEqual([1, 2, 4]);
+  expect(result.cost).toBe(20);
+  expect(colony.level(1, 2)).toBeGreaterThan(colony.level(1, 3));
+  expect(colony.level(2, 4)).toBeGreaterThan(colony.level(5, 4));
+});
+
+test('routes repeat with the same random seed', () => {
+  const a = router({ ants: 3, iterations: 4 });
+  const b = router({ ants: 3, iterations: 4 });
+  expect(a.route(1, 4)).toEqual(b.route(1, 4));
+  expect(a.snapshot()).toEqual(b.snapshot());
+});
+
+test('pheromone evaporates and completed trips reinforce it', () => {
+  const colony = router({ evaporation: 0.5 });
+  colony.evaporate();
+  expect(colony.level(1, 3)).toBe(0.5);
+
+  expect(colony.reinforce([1, 3, 5, 4])).toBe(true);
+  expect(colony.level(3, 5)).toBeGreaterThan(colony.level(1, 2));
+  expect(colony.reinforce([1, 4])).toBe(false);
+
+  colony.reset();
+  expect(colony.snapshot().edges.every(edge => edge.pheromone === 1)).toBe(true);
+});
+
+test('pheromone stays within its bounds', () => {
+  const colony = router({ maxPheromone: 2, minPheromone: 0.5, evaporation: 0.9 });
+  for (let i = 0; i < 5; i++) colony.reinforce([1, 2, 4]);
+  expect(colony.level(1, 2)).toBe(2);
+  for (let i = 0; i < 5; i++) colony.evaporate();
+  expect(colony.level(1, 3)).toBe(0.5);
+});
+
+test('unreachable goals give null', () => {
+  const island = parseLayout({
+    nodes: [{ id: 1, x: 0, y: 0 }, { id: 2, x: 5, y: 0 }, { id: 3, x: 9, y: 9 }],
+    edges: [{ from: 1, to: 2 }]
+  });
+  const colony = new AntColonyRouter(island, buildWeightedGraph(island), { random: createRandom(1).next });
+  expect(colony.route(1, 3)).toBeNull();
+  expect(colony.route(2, 2)).toEqual({ path: [2], cost: 0 });
+});
+
+test('settings are validated', () => {
+  expect(parseAcoSettings({ ants: 4 }).ants).toBe(4);
+  expect(() => parseAcoSettings({ ants: 0 })).toThrow(/ants/);
+  expect(() => parseAcoSettings({ iterations: 2.5 })).toThrow(/iterations/);
+  expect(() => parseAcoSettings({ evaporation: 1 })).toThrow(/evaporation/);
+  expect(() => parseAcoSettings({ minPheromone: 5, maxPheromone: 1 })).toThrow(/minPheromone/);
+  expect(() => router().configure({ beta: -1 })).toThrow(/beta/);
+});
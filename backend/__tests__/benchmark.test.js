@@ -0,0 +1,107 @@
+const { parseLayout } = require('../core/layout');
+const { parseEnergyModel } = require('../core/energy');
+const { ServerPathfinding } = require('../core/routing');
+const { generateTasks, runBenchmark, runBenchmarkInWorker, benchmarkCsv } = require('../core/benchmark');
+
+// 3x2 grid, 10 units per second
+const pathfinder = new ServerPathfinding(parseLayout({
+  defaultSpeedLimit: 10,
+  nodes: [
+    { id: 1, x: 0, y: 0 }, { id: 2, x: 10, y: 0 }, { id: 3, x: 20, y: 0 },
+    { id: 4, x: 0, y: 10 }, { id: 5, x: 10, y: 10 }, { id: 6, x: 20, y: 10 }
+  ],
+  edges: [
+    { from: 1, to: 2 }, { from: 2, to: 3 }, { from: 4, to: 5 }, { from: 5, to: 6 },
+    { from: 1, to: 4 }, { from: 2, to: 5 }, { from: 3, to: 6 }
+  ]
+}));
+const energyModel = parseEnergyModel({});
+const fleet = [
+  { id: 'AGV1', position: 1, battery: 100, priority: 'High' },
+  { id: 'AGV2', position: 6, battery: 90, priority: 'Low' }
+];
+
+test('the same seed generates the same routable tasks', () => {
+  const tasks = generateTasks(pathfinder, { count: 15, seed: 5 });
+  expect(generateTasks(pathfinder, { count: 15, seed: 5 })).toEqual(tasks);
+  expect(generateTasks(pathfinder, { count: 15, seed: 6 })).not.toEqual(tasks);
+  tasks.forEach((task, index) => {
+    expect(task.pickupLocation).not.toBe(task.deliveryLocation);
+    if (index > 0) expect(task.releaseAt).toBeGreaterThanOrEqual(tasks[index - 1].releaseAt);
+  });
+});
+
+test('replays the task set once per algorithm and strategy', () => {
+  const tasks = generateTasks(pathfinder, { count: 20, seed: 3, meanGap: 1000 });
+  const report = runBenchmark(pathfinder, { fleet, tasks, seed: 3, energyModel, strategies: ['score', 'round_robin'] });
+
+  expect(report.results.map(result => `${result.strategy}/${result.algorithm}`)).toEqual([
+    'score/A*', 'score/Dijkstra+TimeWindow', 'score/ACO', 'score/CA*',
+    'round_robin/A*', 'round_robin/Dijkstra+TimeWindow', 'round_robin/ACO', 'round_robin/CA*'
+  ]);
+  report.results.forEach(result => {
+    expect(result).toMatchObject({ completed: 20, failed: 0 });
+    expect(result.pathLength).toBeGreaterThan(0);
+    expect(result.energyWh).toBeGreaterThan(0);
+    expect(result.makespan).toBeGreaterThanOrEqual(tasks[tasks.length - 1].releaseAt / 1000);
+  });
+  // Time-aware planners route around the other AGVs instead of running into
+  // them; only the legs they found no plan for drive the A* route
+  const aStar = strategy => report.results.find(result => result.strategy === strategy && result.algorithm === 'A*');
+  report.results.filter(result => ['CA*', 'Dijkstra+TimeWindow'].includes(result.algorithm)).forEach(result => {
+    expect(result.conflicts).toBeLessThan(aStar(result.strategy).conflicts);
+  });
+  report.results.filter(result => ['A*', 'ACO'].includes(result.algorithm)).forEach(result => {
+    expect(result.fallbacks).toBe(0);
+  });
+});
+
+test('an AGV already at the pickup goes straight to the delivery', () => {
+  // AGV2 delivers to node 1 while AGV1 waits there for a load to node 3
+  const tasks = [
+    { id: 1, type: 'transport', pickupLocation: 6, deliveryLocation: 1, priority: 'High', weight: 10, releaseAt: 0 },
+    { id: 2, type: 'transport', pickupLocation: 1, deliveryLocation: 3, priority: 'High', weight: 10, releaseAt: 0 }
+  ];
+  const report = runBenchmark(pathfinder, { fleet, tasks, energyModel, algorithms: ['A*', 'CA*'], strategies: ['nearest'] });
+  // 6 -> 1 and 1 -> 3, without a round trip for AGV1 to arrive where it stands
+  report.results.forEach(result => {
+    expect(result).toMatchObject({ completed: 2, failed: 0, pathLength: 50 });
+  });
+});
+
+test('results other than planning time repeat exactly', () => {
+  const tasks = generateTasks(pathfinder, { count: 10, seed: 9 });
+  const strip = ({ results }) => results.map(result => ({ ...result, planningTimeMs: 0, averagePlanningTimeMs: 0 }));
+  const first = runBenchmark(pathfinder, { fleet, tasks, energyModel });
+  expect(strip(runBenchmark(pathfinder, { fleet, tasks, energyModel }))).toEqual(strip(first));
+});
+
+test('one CSV row per result', () => {
+  const tasks = generateTasks(pathfinder, { count: 5, seed: 1 });
+  const report = runBenchmark(pathfinder, { fleet, tasks, energyModel, algorithms: ['A*'], strategies: ['nearest'] });
+  const [header, row, end] = benchmarkCsv(report.results).split('\n');
+  expect(header.split(',')).toContain('energyWh');
+  expect(row.startsWith('A*,nearest,5,')).toBe(true);
+  expect(end).toBe('');
+});
+
+test('rejects unknown algorithms and strategies', () => {
+  const tasks = generateTasks(pathfinder, { count: 2, seed: 1 });
+  expect(() => runBenchmark(pathfinder, { fleet, tasks, energyModel, algorithms: ['BFS'] })).toThrow(/Unknown algorithm BFS/);
+  expect(() => runBenchmark(pathfinder, { fleet, tasks, energyModel, strategies: ['random'] })).toThrow(/Unknown dispatch strategy/);
+  expect(() => runBenchmark(pathfinder, { fleet: [], tasks, energyModel })).toThrow(/at least one AGV/);
+});
+
+test('a worker thread runs the same benchmark as the calling thread', async () => {
+  const options = { count: 8, seed: 4, meanGap: 1000, fleet, energyModel, algorithms: ['A*', 'CA*'], strategies: ['nearest'] };
+  const report = await runBenchmarkInWorker(pathfinder.layout, pathfinder.antColony.settings, options);
+
+  const tasks = generateTasks(pathfinder, { count: 8, seed: 4, meanGap: 1000 });
+  const inThread = runBenchmark(pathfinder, { fleet, tasks, seed: 4, energyModel, algorithms: ['A*', 'CA*'], strategies: ['nearest'] });
+  const strip = ({ results }) => results.map(result => ({ ...result, planningTimeMs: 0, averagePlanningTimeMs: 0 }));
+  expect(report.tasks).toEqual(tasks);
+  expect(strip(report)).toEqual(strip(inThread));
+
+  await expect(runBenchmarkInWorker(pathfinder.layout, pathfinder.antColony.settings, { ...options, algorithms: ['BFS'] }))
+    .rejects.toThrow('Unknown algorithm BFS');
+});
@@ -0,0 +1,45 @@
+const { ChargerPool } = require('../core/chargers');
+
+const costs = { 3: 10, 9: 30 };
+const costTo = (node) => costs[node];
+
+test('the nearest charger with a free slot is chosen', () => {
+  const pool = new ChargerPool([{ node: 3, capacity: 1 }, { node: 9, capacity: 2 }]);
+  expect(pool.findNearestAvailable('AGV1', costTo)).toBe(3);
+
+  pool.reserve(3, 'AGV1');
+  expect(pool.findNearestAvailable('AGV2', costTo)).toBe(9);
+  // An AGV keeps its own reservation available to itself
+  expect(pool.findNearestAvailable('AGV1', costTo)).toBe(3);
+
+  pool.reserve(9, 'AGV2');
+  pool.reserve(9, 'AGV3');
+  expect(pool.reserve(9, 'AGV4')).toBe(false);
+  expect(pool.findNearestAvailable('AGV4', costTo)).toBeNull();
+});
+
+test('unreachable chargers are skipped', () => {
+  const pool = new ChargerPool([{ node: 3, capacity: 1 }, { node: 9, capacity: 1 }]);
+  expect(pool.findNearestAvailable('AGV1', node => (node === 3 ? Infinity : 5))).toBe(9);
+});
+
+test('the waiting queue keeps arrival order without duplicates', () => {
+  const pool = new ChargerPool([{ node: 9, capacity: 1 }]);
+  expect(pool.enqueue('AGV2', 0)).toBe(1);
+  expect(pool.enqueue('AGV1', 10)).toBe(2);
+  expect(pool.enqueue('AGV2', 20)).toBe(1);
+  pool.removeWaiting('AGV2');
+  expect(pool.waitingAgvs()).toEqual(['AGV1']);
+});
+
+test('utilisation counts charging time against slot capacity', () => {
+  const pool = new ChargerPool([{ node: 9, capacity: 2 }], 0);
+  pool.reserve(9, 'AGV1', 0);
+  pool.startCharging(9, 'AGV1', 1000);
+  pool.release('AGV1', 5000);
+  pool.startCharging(9, 'AGV2', 6000);
+
+  const [stats] = pool.stats(10000);
+  expect(stats).toMatchObject({ node: 9, capacity: 2, charging: 1, reserved: 0, sessions: 1, busyMs: 8000 });
+  expect(stats.utilisation).toBe(40);
+});
@@ -0,0 +1,28 @@
+const { VirtualClock } = require('../core/clock');
+
+test('timers fire in time order as the virtual clock advances', () => {
+  const clock = new VirtualClock(1000);
+  const fired = [];
+  clock.setTimeout(() => fired.push(['late', clock.now()]), 500);
+  clock.setTimeout(() => fired.push(['early', clock.now()]), 100);
+  const cancelled = clock.setTimeout(() => fired.push(['cancelled', clock.now()]), 200);
+  clock.clearTimeout(cancelled);
+
+  expect(clock.run(() => false)).toBe(false);
+  expect(fired).toEqual([['early', 1100], ['late', 1500]]);
+  expect(clock.now()).toBe(1500);
+});
+
+test('intervals repeat until cleared and run stops when done or out of time', () => {
+  const clock = new VirtualClock(0);
+  let ticks = 0;
+  const interval = clock.setInterval(() => { ticks++; }, 250);
+
+  expect(clock.run(() => ticks === 4)).toBe(true);
+  expect(clock.now()).toBe(1000);
+  expect(clock.run(() => false, 1600)).toBe(false);
+  expect(ticks).toBe(6);
+
+  clock.clearInterval(interval);
+  expect(clock.step()).toBe(false);
+});
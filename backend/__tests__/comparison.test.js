@@ -0,0 +1,76 @@
+const { compareRuns, compareStoredSimulations } = require('../core/comparison');
+
+function tasks(priority, deliveryTimes) {
+  return deliveryTimes.map(deliveryTime => ({ priority, status: 'completed', deliveryTime }));
+}
+
+const baseline = {
+  simulation: {
+    simulationId: 'sim_a',
+    status: 'completed',
+    totalExecutionTime: 600,
+    tasksCompleted: 40,
+    totalTasks: 100,
+    agvStats: [
+      { agvId: 1, batteryRemaining: 60, chargeCount: 1 },
+      { agvId: 2, batteryRemaining: 50, chargeCount: 2 },
+      { agvId: 3, batteryRemaining: 70, chargeCount: 1 }
+    ],
+    collisionEvents: [],
+    averageDeliveryTimes: { overall: 30, high: 20, low: 40 }
+  },
+  tasks: [...tasks(1, [19, 20, 21, 20]), ...tasks(3, [38, 42, 40, 40])]
+};
+
+const tuned = {
+  simulation: {
+    simulationId: 'sim_b',
+    status: 'completed',
+    totalExecutionTime: 480,
+    tasksCompleted: 70,
+    totalTasks: 100,
+    agvStats: [
+      { agvId: 1, batteryRemaining: 65, chargeCount: 1 },
+      { agvId: 2, batteryRemaining: 56, chargeCount: 1 },
+      { agvId: 3, batteryRemaining: 74, chargeCount: 1 },
+      { agvId: 4, batteryRemaining: 90, chargeCount: 0 }
+    ],
+    collisionEvents: [{ time: '08:00:01' }],
+    averageDeliveryTimes: { overall: 25, high: 20.25, low: 29.75 }
+  },
+  tasks: [...tasks(1, [20, 21, 19, 21]), ...tasks(3, [30, 29, 31, 29])]
+};
+
+test('every run is compared with the first and significant differences are flagged', () => {
+  const result = compareRuns([baseline, tuned]);
+  expect(result.baseline).toBe('sim_a');
+  expect(result.runs.map(run => run.simulationId)).toEqual(['sim_a', 'sim_b']);
+
+  const [comparison] = result.comparisons;
+  expect(comparison.totalExecutionTime).toEqual({ baseline: 600, value: 480, delta: -120, percent: -20 });
+  expect(comparison.tasksCompleted).toMatchObject({ delta: 30, percent: 75, significant: true });
+  expect(comparison.tasksCompleted.completionRate).toMatchObject({ baseline: 40, value: 70 });
+  expect(comparison.collisionEvents).toMatchObject({ baseline: 0, value: 1, delta: 1, significant: false });
+
+  expect(comparison.averageDeliveryTimes.low).toMatchObject({ delta: -10.25, significant: true, samples: { baseline: 4, value: 4 } });
+  expect(comparison.averageDeliveryTimes.high).toMatchObject({ delta: 0.25, significant: false });
+  expect(comparison.averageDeliveryTimes.medium).toBeUndefined();
+
+  // Paired over AGVs 1-3; AGV 4 only shows in the table
+  expect(comparison.batteryRemaining).toMatchObject({ baseline: 60, value: 65, delta: 5, significant: true });
+  expect(comparison.chargeCount).toMatchObject({ baseline: 1.33, value: 1, significant: false });
+  expect(comparison.agvs.map(agv => agv.agvId)).toEqual([1, 2, 3, 4]);
+  expect(comparison.agvs[3].batteryRemaining).toEqual({ baseline: null, value: 90, delta: null, percent: null });
+});
+
+test('stored simulations are compared by id and missing ones reported', async () => {
+  const records = { sim_a: baseline, sim_b: tuned };
+  const store = {
+    getSimulation: async id => (records[id] ? records[id].simulation : null),
+    listTasks: async id => (records[id] ? records[id].tasks : [])
+  };
+
+  expect((await compareStoredSimulations(store, ['sim_b', 'sim_a'])).comparison.baseline).toBe('sim_b');
+  expect(await compareStoredSimulations(store, ['sim_a', 'sim_x'])).toEqual({ missing: ['sim_x'] });
+  expect(() => compareRuns([baseline])).toThrow('at least two');
+});
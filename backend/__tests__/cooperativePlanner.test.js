@@ -0,0 +1,55 @@
+const { parseLayout, buildWeightedGraph } = require('../core/layout');
+const { ReservationTable, cooperativeAStar, itineraryFromPath } = require('../core/cooperativePlanner');
+
+// Corridor 1-2-3 with a siding 4 off node 2; 10 units per second, 1 s per hop
+const layout = parseLayout({
+  defaultSpeedLimit: 10,
+  nodes: [
+    { id: 1, x: 0, y: 0 },
+    { id: 2, x: 10, y: 0 },
+    { id: 3, x: 20, y: 0 },
+    { id: 4, x: 10, y: 10 }
+  ],
+  edges: [{ from: 1, to: 2 }, { from: 2, to: 3 }, { from: 2, to: 4 }]
+});
+const graph = buildWeightedGraph(layout);
+
+test('plans the direct route when the table is empty', () => {
+  const plan = cooperativeAStar(layout, graph, new ReservationTable(), 1, 3, { agvId: 'AGV1', startTime: 0 });
+  expect(plan.path).toEqual([1, 2, 3]);
+  expect(plan.waitTime).toBe(0);
+  expect(plan.itinerary[2].arriveAt).toBe(2000);
+});
+
+test('second AGV plans a wait instead of meeting head-on', () => {
+  const table = new ReservationTable();
+  const first = cooperativeAStar(layout, graph, table, 1, 3, { agvId: 'AGV1', startTime: 0, clearance: 0 });
+  table.reserveItinerary(first.itinerary, 'AGV1', { clearance: 0, park: false });
+
+  const second = cooperativeAStar(layout, graph, table, 3, 1, { agvId: 'AGV2', startTime: 0, clearance: 0 });
+  expect(second).not.toBeNull();
+  expect(second.path[0]).toBe(3);
+  expect(second.path[second.path.length - 1]).toBe(1);
+
+  // Replaying both itineraries, the AGVs never share a node or an edge at the same time
+  const check = new ReservationTable();
+  check.reserveItinerary(first.itinerary, 'AGV1', { clearance: 0, park: false });
+  second.itinerary.forEach((stop, index) => {
+    expect(check.isNodeFree(stop.node, stop.arriveAt, stop.departAt + 1, 'AGV2')).toBe(true);
+    const next = second.itinerary[index + 1];
+    if (next) expect(check.isEdgeFree(stop.node, next.node, stop.departAt, next.arriveAt, 'AGV2')).toBe(true);
+  });
+});
+
+test('a parked AGV on the goal makes the plan fail', () => {
+  const table = new ReservationTable();
+  table.reserveNode(3, 0, Infinity, 'AGV3');
+  expect(cooperativeAStar(layout, graph, table, 1, 3, { agvId: 'AGV1', startTime: 0, horizon: 5000 })).toBeNull();
+});
+
+test('itineraries honour scheduled departures', () => {
+  const itinerary = itineraryFromPath(graph, [1, 2, 3], 0, [0, 1500]);
+  expect(itinerary.map(stop => [stop.node, stop.arriveAt, stop.departAt])).toEqual([
+    [1, 0, 0], [2, 1000, 1500], [3, 2500, 2500]
+  ]);
+});
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mapColumns, normaliseTime, validateDataset, readDatasetFile } = require('../core/dataset');
+
+test('hackathon and plain CSV headers map to task fields', () => {
+  expect(mapColumns(['ID', 'Source Station', 'Destination Station', 'Payload Weight', 'Priority', 'Time of Scheduling']))
+    .toEqual({ columns: { payloadId: 0, startNode: 1, endNode: 2, weight: 3, priority: 4, scheduledAt: 5 }, missing: [] });
+  expect(mapColumns(['startNode', 'endNode', 'weight', 'priority']).columns)
+    .toEqual({ startNode: 0, endNode: 1, weight: 2, priority: 3 });
+  expect(mapColumns(['from', 'weight']).missing).toEqual(['endNode']);
+});
+
+test('Excel day fractions and text become HH:MM:SS', () => {
+  expect(normaliseTime(0.33402777777777776)).toBe('08:01:00');
+  expect(normaliseTime('8:05')).toBe('08:05:00');
+  expect(normaliseTime('25:00')).toBeNull();
+});
+
+test('every row is reported with its errors, warnings and normalised values', () => {
+  const { report, sheetReport, tasks, summary } = validateDataset([{
+    name: 'Orders',
+    rows: [
+      ['ID', 'Source', 'Destination', 'Weight', 'Priority', 'Time'],
+      ['payload_1', 7, 2, 10, 3, 0.5],
+      ['payload_2', ' 5 ', '3', '6', 'High', '09:30'],
+      [null, null, null, null, null, null],
+      ['payload_3', 'A', 3, -6, 'urgent', '9am'],
+      ['payload_2', 5, 5, 6, null, null],
+      ['payload_4', 12, 3, 6, 1, null]
+    ]
+  }, { name: 'Notes', rows: [['Comment'], ['ignore me']] }, { name: 'Returns', rows: [['Source', 'Destination'], [1, 2]] }], { hasNode: node => node >= 1 && node <= 9 });
+
+  expect(tasks).toEqual([
+    { payloadId: 'payload_1', startNode: 7, endNode: 2, weight: 10, priority: 'low', scheduledAt: '12:00:00', sheet: 'Orders', row: 2 },
+    { payloadId: 'payload_2', startNode: 5, endNode: 3, weight: 6, priority: 'high', scheduledAt: '09:30:00', sheet: 'Orders', row: 3 }
+  ]);
+  expect(report.map(entry => [entry.sheet, entry.row, entry.valid])).toEqual([
+    ['Orders', 2, true], ['Orders', 3, true], ['Orders', 5, false], ['Orders', 6, false], ['Orders', 7, false]
+  ]);
+  expect(report[2].errors).toEqual([
+    'Source "A" is not a node number',
+    'Weight -6 is negative',
+    'Priority "urgent" is not 1-3 or high/medium/low',
+    'Scheduling time "9am" is not a time of day'
+  ]);
+  expect(report[2].values).toMatchObject({ payloadId: 'payload_3', startNode: null, endNode: 3, weight: null });
+  expect(report[3].errors).toEqual(['Source and destination are both node 5']);
+  expect(report[3].warnings).toEqual(['Priority is empty, using medium', 'Payload payload_2 also appears at Orders row 3']);
+  expect(report[4].errors).toEqual(['Source node 12 is not in the layout']);
+  expect(sheetReport.map(entry => entry.sheet)).toEqual(['Notes', 'Returns']);
+  expect(summary).toEqual({ rows: 5, valid: 2, invalid: 3, warnings: 2, sheetErrors: 1, sheetsSkipped: 2 });
+});
+
+test('a sheet without task columns is skipped with a warning and one missing some is an error', () => {
+  const orders = { name: 'Orders', rows: [['Source', 'Destination', 'Weight', 'Priority'], [1, 2, 10, 'high']] };
+  const notes = { name: 'Notes', rows: [['Comment'], ['ignore me']] };
+  const returns = { name: 'Returns', rows: [['Source', 'Destination'], [1, 2]] };
+
+  const withNotes = validateDataset([orders, notes]);
+  expect(withNotes.sheetReport).toEqual([{ sheet: 'Notes', errors: [], warnings: ['No task columns (startNode, endNode, weight), sheet skipped'] }]);
+  expect(withNotes.summary).toEqual({ rows: 1, valid: 1, invalid: 0, warnings: 0, sheetErrors: 0, sheetsSkipped: 1 });
+
+  const withReturns = validateDataset([orders, returns]);
+  expect(withReturns.sheetReport).toEqual([{ sheet: 'Returns', errors: ['Missing column(s): weight'], warnings: [] }]);
+  expect(withReturns.summary).toMatchObject({ rows: 1, invalid: 0, sheetErrors: 1 });
+});
+
+test('quoted CSV fields are read as one cell', () => {
+  const file = path.join(os.tmpdir(), `dataset-${process.pid}.csv`);
+  fs.writeFileSync(file, 'id,startNode,endNode,weight,priority\n"crate, fragile",1,"2","12.5",low\n');
+  try {
+    const { tasks, summary } = readDatasetFile(file);
+    expect(summary).toMatchObject({ rows: 1, valid: 1 });
+    expect(tasks[0]).toMatchObject({ payloadId: 'crate, fragile', startNode: 1, endNode: 2, weight: 12.5, priority: 'low' });
+  } finally {
+    fs.unlinkSync(file);
+  }
+});
+
+test('the bundled workbook is read sheet by sheet', () => {
+  const dataset = readDatasetFile(path.join(__dirname, '../../AGV_Hackathon_dataset.xlsx'));
+  expect(dataset.sheets).toEqual(['Sheet1']);
+  expect(dataset.tasks).toHaveLength(100);
+  expect(dataset.summary).toEqual({ rows: 100, valid: 100, invalid: 0, warnings: 0, sheetErrors: 0, sheetsSkipped: 0 });
+  expect(dataset.tasks[0]).toMatchObject({ payloadId: 'payload_1', startNode: 7, endNode: 2, weight: 10, priority: 'low', scheduledAt: '08:01:00' });
+});
+
+test('CSV uploads are read too and other types are refused', () => {
+  const dataset = readDatasetFile(path.join(__dirname, '../../sample_dataset.csv'));
+  expect(dataset.tasks[0]).toMatchObject({ startNode: 1, endNode: 2, weight: 25, priority: 'high' });
+  expect(() => readDatasetFile('tasks.json')).toThrow(/Unsupported/);
+});
@@ -0,0 +1,49 @@
+const { DatasetRun } = require('../core/datasetRun');
+
+const rows = [
+  { payloadId: 'payload_2', startNode: 5, endNode: 3, weight: 6, priority: 'medium', scheduledAt: '08:02:30' },
+  { payloadId: 'payload_1', startNode: 7, endNode: 2, weight: 10, priority: 'low', scheduledAt: '08:01:00' },
+  { payloadId: 'manual', startNode: 1, endNode: 2, weight: 5, priority: 'high', scheduledAt: null }
+];
+
+test('rows are released at their offset from the first scheduled time', () => {
+  const run = new DatasetRun(rows, { timeScale: 10 });
+  expect(run.entries.map(entry => [entry.row.payloadId, entry.releaseAt])).toEqual([
+    ['payload_1', 0], ['manual', 0], ['payload_2', 9000]
+  ]);
+  expect(run.due(0)).toEqual([]);
+
+  run.start(1000);
+  const first = run.due(1000);
+  expect(first.map(entry => entry.row.payloadId)).toEqual(['payload_1', 'manual']);
+  first.forEach(entry => run.markReleased(entry, { status: 'pending' }));
+  expect(run.nextReleaseIn(4000)).toBe(6000);
+  expect(run.due(9999)).toEqual([]);
+  expect(run.due(10000).map(entry => entry.row.payloadId)).toEqual(['payload_2']);
+});
+
+test('the release clock stops while the simulation is stopped', () => {
+  const run = new DatasetRun(rows);
+  run.start(0);
+  run.pause(30000);
+  expect(run.elapsed(80000)).toBe(30000);
+  run.start(100000);
+  expect(run.elapsed(160000)).toBe(90000);
+  expect(run.due(160000).map(entry => entry.row.payloadId)).toEqual(['payload_1', 'manual', 'payload_2']);
+});
+
+test('progress follows released tasks through dispatch and completion', () => {
+  const run = new DatasetRun(rows, { id: 3 });
+  run.start(0);
+  const [first, second, third] = run.due(90000);
+  run.markReleased(first, { status: 'completed', dispatchedAt: 10 });
+  run.markReleased(second, { status: 'executing', dispatchedAt: 20 });
+  run.markRejected(third, 'No route');
+
+  expect(run.progress(90000)).toMatchObject({
+    id: 3, total: 3, scheduled: 0, released: 2, rejected: 1, queued: 0, dispatched: 2, completed: 1, failed: 0, finished: false
+  });
+  second.task.status = 'completed';
+  expect(run.progress(95000).finished).toBe(true);
+  expect(() => new DatasetRun(rows, { timeScale: 0 })).toThrow(/Time scale/);
+});
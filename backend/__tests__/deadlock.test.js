@@ -0,0 +1,56 @@
+const { findWaitCycles, deadlockKey } = require('../core/deadlock');
+
+test('head-on swap is a two-AGV cycle', () => {
+  const waitFor = new Map([['AGV1', 'AGV2'], ['AGV2', 'AGV1']]);
+  expect(findWaitCycles(waitFor)).toEqual([['AGV1', 'AGV2']]);
+});
+
+test('three-AGV cycle is found once, with waiting tails ignored', () => {
+  const waitFor = new Map([
+    ['AGV4', 'AGV1'],
+    ['AGV1', 'AGV2'],
+    ['AGV2', 'AGV3'],
+    ['AGV3', 'AGV1']
+  ]);
+  const cycles = findWaitCycles(waitFor);
+  expect(cycles).toHaveLength(1);
+  expect(deadlockKey(cycles[0])).toBe('AGV1|AGV2|AGV3');
+});
+
+test('a waiting chain without a cycle is not a deadlock', () => {
+  const waitFor = new Map([['AGV1', 'AGV2'], ['AGV2', 'AGV3']]);
+  expect(findWaitCycles(waitFor)).toEqual([]);
+});
+
+describe('movement coordinator', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { runSchedulerInWorker } = require('../scheduler');
+
+  // AGV1 at the junction heads for 7 through 4 or 8 while AGV2 at 4 and AGV3
+  // at 8 both need the junction: rerouting AGV1 alone only swaps which of
+  // them it waits on
+  test('three AGVs converging on a junction all get through', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agv-deadlock-'));
+    const dataset = path.join(dir, 'tasks.csv');
+    fs.writeFileSync(dataset, 'startNode,endNode,weight,priority,time\n5,7,10,low,08:00\n4,6,10,high,08:00\n8,2,10,high,08:00\n');
+    const fleet = [
+      { id: 'AGV1', startNode: 5, battery: 100 },
+      { id: 'AGV2', startNode: 4, battery: 90 },
+      { id: 'AGV3', startNode: 8, battery: 80 }
+    ];
+
+    const result = await runSchedulerInWorker({ dataset, fleet, out: path.join(dir, 'out'), maxHours: 1 });
+
+    expect(result.finished).toBe(true);
+    expect(result.tasks.map(task => [task.startNode, task.agvId, task.status])).toEqual([
+      [5, 'AGV1', 'completed'],
+      [4, 'AGV2', 'completed'],
+      [8, 'AGV3', 'completed']
+    ]);
+    const deadlocks = fs.readFileSync(path.join(dir, 'out', 'logs', 'system.log'), 'utf8').match(/Deadlock detected/g) || [];
+    expect(deadlocks.length).toBeLessThan(5);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,49 @@
+const {
+  parseEnergyModel,
+  agvEfficiency,
+  travelEnergyWh,
+  idleEnergyWh,
+  routeEnergyWh,
+  whToPercent
+} = require('../core/energy');
+
+const model = parseEnergyModel({
+  capacityWh: 10,
+  vehicleMassKg: 300,
+  rollingResistance: 0.015,
+  drivetrainEfficiency: 0.8,
+  idleDrawW: 2,
+  agvEfficiency: { AGV2: 0.5 }
+});
+
+test('driving energy grows with distance and payload', () => {
+  const empty = travelEnergyWh(model, 10);
+  expect(empty).toBeCloseTo((300 * 9.81 * 0.015 * 10) / 0.8 / 3600, 6);
+  expect(travelEnergyWh(model, 20)).toBeCloseTo(empty * 2, 6);
+  expect(travelEnergyWh(model, 10, 60)).toBeCloseTo(empty * 1.2, 6);
+});
+
+test('a less efficient AGV uses more energy for the same hop', () => {
+  const efficiency = agvEfficiency(model, 'AGV2');
+  expect(efficiency).toBe(0.5);
+  expect(agvEfficiency(model, 'AGV1')).toBe(1);
+  expect(travelEnergyWh(model, 10, 0, efficiency)).toBeCloseTo(travelEnergyWh(model, 10) * 2, 6);
+});
+
+test('idle draw and battery percentage', () => {
+  expect(idleEnergyWh(model, 3600 * 1000)).toBeCloseTo(2, 6);
+  expect(whToPercent(model, 2.5)).toBe(25);
+});
+
+test('route energy adds driving and idle draw for every edge', () => {
+  const edges = [{ length: 10, travelTime: 2000 }, { length: 20, travelTime: 4000 }];
+  expect(routeEnergyWh(model, edges, 60)).toBeCloseTo(travelEnergyWh(model, 30, 60) + idleEnergyWh(model, 6000), 6);
+  expect(routeEnergyWh(model, [])).toBe(0);
+});
+
+test('invalid energy settings are rejected', () => {
+  expect(() => parseEnergyModel({ capacityWh: 0 })).toThrow(/capacityWh/);
+  expect(() => parseEnergyModel({ drivetrainEfficiency: 1.5 })).toThrow(/exceed/);
+  expect(() => parseEnergyModel({ reservePercent: 100 })).toThrow(/reservePercent/);
+  expect(() => parseEnergyModel({ agvEfficiency: { AGV1: 2 } })).toThrow(/AGV1/);
+});
@@ -0,0 +1,57 @@
+const { formatExecutionLog, parseExecutionLog, validateExecutionLog, payloadNumber } = require('../core/executionLog');
+
+test('entries round-trip for every kind and multi-digit AGV numbers', () => {
+  const delivery = formatExecutionLog({ agvNumber: 12, startNode: 3, endNode: 7, time: '14:30:45', weight: 25, payloadNum: 456 });
+  expect(delivery).toBe('agv_12-3-7-14:30:45-25-payload_456');
+  expect(parseExecutionLog(delivery)).toEqual({
+    agvNumber: 12,
+    agvId: 'AGV12',
+    startNode: 3,
+    endNode: 7,
+    time: '14:30:45',
+    weight: 25,
+    kind: 'payload',
+    payloadNum: 456
+  });
+
+  const charging = formatExecutionLog({ agvNumber: 2, startNode: 8, endNode: 9, time: '09:05:00', kind: 'charging' });
+  expect(charging).toBe('agv_2-8-9-09:05:00-0-charging');
+  expect(parseExecutionLog(charging)).toMatchObject({ kind: 'charging', weight: 0, payloadNum: null });
+  expect(parseExecutionLog('agv_1-5-3-10:00:00-0-deadhead').kind).toBe('deadhead');
+});
+
+test('payload ids give their number to payload entries', () => {
+  expect(payloadNumber('payload_12')).toBe(12);
+  expect(payloadNumber(' P-007 ')).toBe(7);
+  expect(payloadNumber('42')).toBe(42);
+  expect(payloadNumber('crate')).toBeNull();
+  expect(payloadNumber(null)).toBeNull();
+});
+
+test('malformed entries are rejected with the reason', () => {
+  expect(() => parseExecutionLog('agv1-3-7-14:30:45-25-payload_456')).toThrow(/agv_\{num\}/);
+  expect(() => parseExecutionLog('agv_1-3-7-14:30:45-25')).toThrow(/6/);
+  expect(() => parseExecutionLog('agv_1-x-7-14:30:45-25-payload_1')).toThrow(/Start node/);
+  expect(() => parseExecutionLog('agv_1-3-7-14:30-25-payload_1')).toThrow(/HH:MM:SS/);
+  expect(() => parseExecutionLog('agv_1-3-7-25:30:45-25-payload_1')).toThrow(/Invalid time/);
+  expect(() => parseExecutionLog('agv_1-3-3-14:30:45-25-payload_1')).toThrow(/both 3/);
+  expect(() => parseExecutionLog('agv_1-3-9-14:30:45-5-charging')).toThrow(/weight 0/);
+  expect(() => parseExecutionLog('agv_1-3-7-14:30:45-25-payload')).toThrow(/payload_\{num\}/);
+});
+
+test('an execution.log file is validated line by line', () => {
+  const content = [
+    '# AGV Execution Logs - Format: agv_{num}-{start_node}-{end_node}-{HH:MM:SS}-{weight}-payload_{num}',
+    '[2024-05-01T10:00:00.000Z] EXECUTION: agv_1-5-3-10:00:00-0-deadhead',
+    '[2024-05-01T10:00:04.000Z] EXECUTION: agv_1-3-7-10:00:04-25-payload_12',
+    '',
+    '[not-a-date] EXECUTION: agv_2-1-9-10:00:05-0-charging',
+    'agv_3-2-2-10:00:06-10-payload_1'
+  ].join('\n');
+
+  const report = validateExecutionLog(content);
+  expect(report).toMatchObject({ total: 4, valid: 2 });
+  expect(report.entries.map(entry => [entry.line, entry.kind])).toEqual([[2, 'deadhead'], [3, 'payload']]);
+  expect(report.errors.map(error => error.line)).toEqual([5, 6]);
+  expect(report.errors[0].error).toMatch(/timestamp/);
+});
@@ -0,0 +1,36 @@
+const { agvNumber, buildAgvRecord } = require('../core/fleet');
+
+const options = {
+  hasNode: node => node >= 1 && node <= 9,
+  algorithms: ['A*', 'CA*'],
+  fleet: { AGV1: { id: 'AGV1' }, AGV2: { id: 'AGV2' } }
+};
+
+test('the AGV number is parsed from the whole id', () => {
+  expect(agvNumber('AGV3')).toBe(3);
+  expect(agvNumber('AGV12')).toBe(12);
+  expect(() => agvNumber('Robot1')).toThrow(/AGV<number>/);
+});
+
+test('a registration builds an idle AGV with defaults', () => {
+  expect(buildAgvRecord({ id: 'AGV10', startNode: '4' }, options)).toEqual({
+    id: 'AGV10',
+    position: 4,
+    battery: 100,
+    status: 'idle',
+    algorithm: 'A*',
+    capabilities: []
+  });
+  expect(buildAgvRecord({ id: 'AGV4', startNode: 2, battery: 60, algorithm: 'CA*', capabilities: ['sorting'] }, options))
+    .toMatchObject({ battery: 60, algorithm: 'CA*', capabilities: ['sorting'] });
+});
+
+test('invalid registrations are rejected', () => {
+  expect(() => buildAgvRecord({ id: 'AGV2', startNode: 1 }, options)).toThrow(/already exists/);
+  expect(() => buildAgvRecord({ id: 'AGV01', startNode: 1 }, options)).toThrow(/already used by AGV1/);
+  expect(() => buildAgvRecord({ id: 'forklift', startNode: 1 }, options)).toThrow(/AGV<number>/);
+  expect(() => buildAgvRecord({ id: 'AGV5', startNode: 42 }, options)).toThrow(/not a node/);
+  expect(() => buildAgvRecord({ id: 'AGV5', startNode: 1, battery: 120 }, options)).toThrow(/battery/);
+  expect(() => buildAgvRecord({ id: 'AGV5', startNode: 1, algorithm: 'Greedy' }, options)).toThrow(/algorithm/);
+  expect(() => buildAgvRecord({ id: 'AGV5', startNode: 1, capabilities: 'sorting' }, options)).toThrow(/capabilities/);
+});
@@ -0,0 +1,64 @@
+const { loadLayout, parseLayout, buildAdjacency, hasNode, nodeDistance } = require('../core/layout');
+
+test('default layout loads the 3x3 floor', () => {
+  const layout = loadLayout();
+  expect(layout.nodes).toHaveLength(9);
+  expect(layout.chargingNodes).toEqual([9]);
+
+  const adjacency = buildAdjacency(layout);
+  expect(adjacency[4]).toEqual(expect.arrayContaining([1, 5, 7]));
+  expect(adjacency[9]).toEqual([8]);
+});
+
+test('node checks follow the loaded layout', () => {
+  const layout = parseLayout({
+    nodes: [
+      { id: 10, x: 0, y: 0 },
+      { id: 20, x: 3, y: 4, type: 'charging' }
+    ],
+    edges: [{ from: 10, to: 20 }]
+  });
+  expect(hasNode(layout, 10)).toBe(true);
+  expect(hasNode(layout, 1)).toBe(false);
+  expect(layout.chargingNodes).toEqual([20]);
+  expect(nodeDistance(layout, 10, 20)).toBe(5);
+});
+
+test('chargers default to one slot and can declare a capacity', () => {
+  const layout = parseLayout({
+    nodes: [
+      { id: 1, x: 0, y: 0, type: 'charging' },
+      { id: 2, x: 10, y: 0 },
+      { id: 3, x: 20, y: 0 }
+    ],
+    edges: [{ from: 1, to: 2 }, { from: 2, to: 3 }],
+    chargingNodes: [1, { node: 3, capacity: 2 }]
+  });
+  expect(layout.chargingNodes).toEqual([1, 3]);
+  expect(layout.chargers).toEqual([{ node: 1, capacity: 1 }, { node: 3, capacity: 2 }]);
+
+  expect(() => parseLayout({
+    nodes: [{ id: 1, x: 0, y: 0 }],
+    edges: [],
+    chargingNodes: [{ node: 1, capacity: 0 }]
+  })).toThrow(/capacity/);
+});
+
+test('invalid layouts are rejected', () => {
+  expect(() => parseLayout({ nodes: [], edges: [] })).toThrow(/nodes/);
+  expect(() => parseLayout({
+    nodes: [{ id: 1, x: 0, y: 0 }],
+    edges: [{ from: 1, to: 2 }]
+  })).toThrow(/unknown node/);
+  expect(() => parseLayout({
+    nodes: [{ id: 1, x: 0, y: 0 }, { id: 1, x: 1, y: 0 }],
+    edges: []
+  })).toThrow(/Duplicate/);
+});
+
+test('an aisle declared shorter than its straight line is rejected, a longer one is kept', () => {
+  const nodes = [{ id: 1, x: 0, y: 0 }, { id: 2, x: 30, y: 40 }];
+  expect(() => parseLayout({ nodes, edges: [{ from: 1, to: 2, length: 10 }] })).toThrow(/shorter than the straight-line distance/);
+  expect(parseLayout({ nodes, edges: [{ from: 1, to: 2, length: 50 }] }).edges[0].length).toBe(50);
+  expect(parseLayout({ nodes, edges: [{ from: 1, to: 2, length: 80 }] }).edges[0].length).toBe(80);
+});
@@ -0,0 +1,79 @@
+const { MongoStore } = require('../core/mongoStore');
+const { buildSimulationReport, simulationRecordFields } = require('../core/simulationReport');
+
+// No database here: records are cast through the Mongoose models without saving,
+// and the store's queries are checked against mocked model methods
+
+const startedAt = Date.UTC(2024, 4, 1, 8);
+const report = buildSimulationReport({
+  startedAt,
+  finishedAt: startedAt + 60000,
+  agvs: {
+    AGV1: { id: 'AGV1', position: 3, battery: 81.234, status: 'idle' },
+    AGV2: { id: 'AGV2', position: 5, battery: 64.5, status: 'charging' }
+  },
+  tasks: [
+    { id: 1, agvId: 'AGV1', startNode: 1, endNode: 3, priority: 'high', status: 'completed', createdAt: startedAt, completedAt: startedAt + 30000 },
+    { id: 2, agvId: 'AGV2', startNode: 4, endNode: 5, priority: 'low', status: 'failed', createdAt: startedAt }
+  ],
+  chargeSessions: new Map([['AGV2', 1]]),
+  safetyEvents: [{ timestamp: startedAt + 5000, type: 'collision', agvId: 'AGV2', otherAgvId: 'AGV1', to: 2, reason: 'edge_swap' }]
+});
+
+let store;
+beforeEach(() => {
+  store = new MongoStore('mongodb://localhost:27017/agv_test');
+});
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// A query whose lean() resolves to value
+function leanQuery(value) {
+  return { lean: () => Promise.resolve(value), sort: () => leanQuery(value) };
+}
+
+test('a simulation record keeps every report field through the schema', () => {
+  const record = { simulationId: 'sim_1', status: 'completed', ...simulationRecordFields(report) };
+  const simulation = new store.Simulation(record);
+  expect(simulation.validateSync()).toBeUndefined();
+
+  const { _id, timestamp, ...stored } = simulation.toObject({ versionKey: false });
+  expect(_id).toBeDefined();
+  expect(timestamp).toBeInstanceOf(Date);
+  expect(stored).toEqual({ ...record, executionLogs: [], structuredLogs: [] });
+  expect(stored.agvStats[0]).toEqual({ agvId: 1, finalPosition: 3, batteryRemaining: 81.23, chargeCount: 0, tasksCompleted: 1, status: 'idle', province: 1 });
+  expect(stored.collisionEvents).toEqual([{ time: '08:00:05', agv1: 2, agv2: 1, location: 2, type: 'edge_swap' }]);
+});
+
+test('queries go by simulation id and leave out Mongo\'s own fields', async () => {
+  const record = { simulationId: 'sim_1', status: 'completed' };
+  jest.spyOn(store.Simulation, 'create').mockResolvedValue(new store.Simulation(record));
+  const findOne = jest.spyOn(store.Simulation, 'findOne').mockReturnValue(leanQuery(record));
+  const update = jest.spyOn(store.Simulation, 'findOneAndUpdate').mockReturnValue(leanQuery(record));
+  const findOneAndDelete = jest.spyOn(store.Simulation, 'findOneAndDelete').mockResolvedValueOnce(record).mockResolvedValueOnce(null);
+  const deleteTasks = jest.spyOn(store.Task, 'deleteMany').mockResolvedValue({});
+  const insertTasks = jest.spyOn(store.Task, 'insertMany').mockResolvedValue([]);
+  jest.spyOn(store.Event, 'deleteMany').mockResolvedValue({});
+  const findEvents = jest.spyOn(store.Event, 'find').mockReturnValue(leanQuery([]));
+
+  expect(await store.createSimulation(record)).toEqual(record);
+  expect(findOne).toHaveBeenCalledWith({ simulationId: 'sim_1' }, { _id: 0, __v: 0 });
+  await store.updateSimulation('sim_1', { status: 'failed' });
+  expect(update).toHaveBeenCalledWith({ simulationId: 'sim_1' }, { status: 'failed' }, { new: true, projection: { _id: 0, __v: 0 } });
+
+  await store.saveTasks('sim_1', [{ payloadId: '1' }]);
+  expect(deleteTasks).toHaveBeenCalledWith({ simulationId: 'sim_1' });
+  expect(insertTasks).toHaveBeenCalledWith([{ payloadId: '1', simulationId: 'sim_1' }]);
+  await store.listEvents('sim_1', { type: 'collision' });
+  expect(findEvents).toHaveBeenCalledWith({ simulationId: 'sim_1', type: 'collision' }, { _id: 0, __v: 0 });
+
+  expect(await store.deleteSimulation('sim_1')).toBe(true);
+  expect(await store.deleteSimulation('sim_1')).toBe(false);
+  expect(findOneAndDelete).toHaveBeenCalledTimes(2);
+  expect(deleteTasks).toHaveBeenCalledTimes(2);
+});
+
+test('status follows the connection', () => {
+  expect(store.status()).toBe('disconnected');
+});
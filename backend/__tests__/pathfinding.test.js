@@ -0,0 +1,85 @@
+const { loadLayout, parseLayout, buildWeightedGraph } = require('../core/layout');
+const { aStar, explainUnreachable, pathMetrics } = require('../core/pathfinding');
+
+test('A* follows edge lengths rather than hop count', () => {
+  const layout = parseLayout({
+    nodes: [
+      { id: 1, x: 0, y: 0 },
+      { id: 2, x: 10, y: 0 },
+      { id: 3, x: 0, y: 10 },
+      { id: 4, x: 10, y: 10 }
+    ],
+    edges: [
+      { from: 1, to: 4, length: 40 },
+      { from: 1, to: 2 },
+      { from: 2, to: 4 },
+      { from: 1, to: 3 }
+    ]
+  });
+  const graph = buildWeightedGraph(layout);
+
+  const result = aStar(layout, graph, 1, 4);
+  expect(result.path).toEqual([1, 2, 4]);
+  expect(result.cost).toBe(20);
+  expect(aStar(layout, graph, 1, 4, { avoidNodes: [2] }).path).toEqual([1, 4]);
+});
+
+test('unreachable destinations return null', () => {
+  const layout = parseLayout({
+    nodes: [{ id: 1, x: 0, y: 0 }, { id: 2, x: 5, y: 0 }, { id: 3, x: 9, y: 9 }],
+    edges: [{ from: 1, to: 2 }]
+  });
+  const graph = buildWeightedGraph(layout);
+  expect(aStar(layout, graph, 1, 3)).toBeNull();
+  expect(aStar(layout, graph, 1, 42)).toBeNull();
+});
+
+test('path metrics use edge speed limits', () => {
+  const layout = loadLayout();
+  const graph = buildWeightedGraph(layout);
+  const { path } = aStar(layout, graph, 1, 9);
+  expect(path).toHaveLength(5);
+  expect(pathMetrics(graph, path)).toEqual({ length: 40, travelTime: 8000 });
+});
+
+test('one-way edges are only followed in their direction', () => {
+  const layout = parseLayout({
+    nodes: [{ id: 1, x: 0, y: 0 }, { id: 2, x: 10, y: 0 }, { id: 3, x: 20, y: 0 }],
+    edges: [
+      { from: 1, to: 2, direction: 'one-way' },
+      { from: 2, to: 3 }
+    ]
+  });
+  const graph = buildWeightedGraph(layout);
+
+  expect(aStar(layout, graph, 1, 3).path).toEqual([1, 2, 3]);
+  expect(aStar(layout, graph, 3, 1)).toBeNull();
+  expect(explainUnreachable(layout, 3, 1)).toMatch(/against one-way traffic flow/);
+});
+
+test('counter-flow on priority edges is penalised', () => {
+  const layout = parseLayout({
+    counterFlowPenalty: 2,
+    nodes: [
+      { id: 1, x: 0, y: 0 },
+      { id: 2, x: 10, y: 0 },
+      { id: 3, x: 0, y: 10 },
+      { id: 4, x: 10, y: 10 }
+    ],
+    edges: [
+      { from: 2, to: 1, priority: 'forward' },
+      { from: 1, to: 3 },
+      { from: 3, to: 4, length: 15 },
+      { from: 4, to: 2 }
+    ]
+  });
+  const graph = buildWeightedGraph(layout);
+
+  expect(aStar(layout, graph, 2, 1)).toEqual({ path: [2, 1], cost: 10 });
+  expect(aStar(layout, graph, 1, 2).path).toEqual([1, 2]);
+  expect(aStar(layout, graph, 1, 2).cost).toBe(20);
+  expect(() => parseLayout({
+    nodes: [{ id: 1, x: 0, y: 0 }, { id: 2, x: 1, y: 0 }],
+    edges: [{ from: 1, to: 2, direction: 'one-way', priority: 'forward' }]
+  })).toThrow(/priority/);
+});
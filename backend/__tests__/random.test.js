@@ -0,0 +1,21 @@
+const { createRandom } = require('../core/random');
+
+test('the same seed gives the same sequence', () => {
+  const a = createRandom(42);
+  const b = createRandom(42);
+  const sequence = Array.from({ length: 5 }, () => a.next());
+  expect(Array.from({ length: 5 }, () => b.next())).toEqual(sequence);
+  expect(Array.from({ length: 5 }, () => createRandom(43).next())).not.toEqual(sequence);
+});
+
+test('values stay in range', () => {
+  const random = createRandom(7);
+  for (let i = 0; i < 200; i++) {
+    const value = random.next();
+    expect(value).toBeGreaterThanOrEqual(0);
+    expect(value).toBeLessThan(1);
+    const int = random.int(10, 12);
+    expect([10, 11, 12]).toContain(int);
+    expect(['a', 'b']).toContain(random.pick(['a', 'b']));
+  }
+});
@@ -0,0 +1,45 @@
+const { loadLayout, buildWeightedGraph, getEdge } = require('../core/layout');
+const { parseExecutionLog } = require('../core/executionLog');
+const { buildReplay } = require('../core/replay');
+
+const layout = loadLayout();
+const graph = buildWeightedGraph(layout);
+const hop = getEdge(graph, 1, 2).travelTime;
+
+test('legs are replayed hop by hop from the first entry', () => {
+  const replay = buildReplay([
+    parseExecutionLog('agv_1-1-3-10:00:00-0-deadhead'),
+    parseExecutionLog('agv_2-9-8-10:00:01-0-charging')
+  ], layout, graph);
+
+  expect(replay.agvs).toEqual([{ agvId: 'AGV1', startNode: 1 }, { agvId: 'AGV2', startNode: 9 }]);
+  expect(replay.hops.filter(h => h.agvId === 'AGV1').map(h => [h.from, h.to, h.departAt])).toEqual([[1, 2, 0], [2, 3, hop]]);
+  expect(replay.legs[1]).toMatchObject({ entry: 'agv_2-9-8-10:00:01-0-charging', startAt: 1000 });
+  expect(replay.duration).toBe(Math.max(2 * hop, 1000 + getEdge(graph, 9, 8).travelTime));
+});
+
+test('a leg waits for the same AGV to finish its previous leg', () => {
+  const replay = buildReplay([
+    parseExecutionLog('agv_1-1-3-10:00:00-0-deadhead'),
+    parseExecutionLog('agv_1-3-6-10:00:00-20-payload_5')
+  ], layout, graph);
+  expect(replay.legs[1].startAt).toBe(2 * hop);
+});
+
+test('logged timestamps take precedence and the clock wraps past midnight', () => {
+  const late = { ...parseExecutionLog('agv_1-1-2-23:59:59-0-deadhead') };
+  const early = { ...parseExecutionLog('agv_2-4-5-00:00:01-0-deadhead') };
+  expect(buildReplay([late, early], layout, graph).legs[1].startAt).toBe(2000);
+
+  const stamped = [
+    { ...late, loggedAt: '2024-05-01T10:00:00.000Z' },
+    { ...early, loggedAt: '2024-05-01T10:00:00.500Z' }
+  ];
+  expect(buildReplay(stamped, layout, graph).legs[1].startAt).toBe(500);
+});
+
+test('legs with no route in the layout are skipped', () => {
+  const replay = buildReplay([parseExecutionLog('agv_1-1-42-10:00:00-0-deadhead')], layout, graph);
+  expect(replay.legs).toHaveLength(0);
+  expect(replay.skipped[0].reason).toMatch(/No route/);
+});
@@ -0,0 +1,85 @@
+const { parseLayout } = require('../core/layout');
+const { ReservationTable } = require('../core/cooperativePlanner');
+const { ALGORITHMS, ServerPathfinding, planRoute, completeRoute, scoreAgv } = require('../core/routing');
+
+// Corridor 1-2-3 with a siding 4 off node 2
+const pathfinder = new ServerPathfinding(parseLayout({
+  defaultSpeedLimit: 10,
+  nodes: [
+    { id: 1, x: 0, y: 0 },
+    { id: 2, x: 10, y: 0 },
+    { id: 3, x: 20, y: 0 },
+    { id: 4, x: 10, y: 10 }
+  ],
+  edges: [{ from: 1, to: 2 }, { from: 2, to: 3 }, { from: 2, to: 4 }]
+}));
+
+test('every algorithm routes between connected nodes', () => {
+  ALGORITHMS.forEach(algorithm => {
+    const plan = planRoute(pathfinder, algorithm, {
+      agvId: 'AGV1', from: 1, to: 3, startTime: 0, reservations: () => new ReservationTable()
+    });
+    expect(plan.path).toEqual([1, 2, 3]);
+  });
+});
+
+test('only the time-aware algorithms ask for reservations and return a timed itinerary', () => {
+  const reservations = jest.fn(() => {
+    const table = new ReservationTable();
+    table.reserveNode(2, 0, 3000, 'AGV2');
+    return table;
+  });
+  const aStarPlan = planRoute(pathfinder, 'A*', { agvId: 'AGV1', from: 1, to: 3, startTime: 0, reservations });
+  expect(reservations).not.toHaveBeenCalled();
+  expect(aStarPlan.itinerary).toBeNull();
+
+  ['CA*', 'Dijkstra+TimeWindow'].forEach((algorithm, index) => {
+    const plan = planRoute(pathfinder, algorithm, { agvId: 'AGV1', from: 1, to: 3, startTime: 0, reservations });
+    expect(reservations).toHaveBeenCalledTimes(index + 1);
+    const atNode2 = plan.itinerary.find(stop => stop.node === 2);
+    expect(atNode2.arriveAt).toBeGreaterThanOrEqual(3000);
+  });
+});
+
+test('time-window Dijkstra waits in place for a reserved node', () => {
+  const table = new ReservationTable();
+  table.reserveNode(2, 0, 5000, 'AGV2');
+  const plan = pathfinder.dijkstraWithTimeWindow(1, 3, { start: 0, end: 60000 }, table, 'AGV1');
+  expect(plan.path).toEqual([1, 2, 3]);
+  expect(plan.itinerary[0]).toEqual({ node: 1, arriveAt: 0, departAt: plan.itinerary[1].arriveAt - 1000 });
+  expect(plan.itinerary[1].arriveAt).toBeGreaterThanOrEqual(5000);
+  expect(plan.waitTime).toBeGreaterThan(0);
+  expect(plan.totalTime).toBe(plan.itinerary[2].arriveAt);
+});
+
+test('time-window Dijkstra gives up when the window closes first', () => {
+  const table = new ReservationTable();
+  table.reserveNode(2, 0, 20000, 'AGV2');
+  const plan = pathfinder.dijkstraWithTimeWindow(1, 3, { start: 0, end: 10000 }, table, 'AGV1');
+  expect(plan.path).toEqual([]);
+  expect(plan.itinerary).toBeNull();
+  expect(pathfinder.dijkstraWithTimeWindow(1, 4, { start: 0, end: 10000 }).path).toEqual([1, 2, 4]);
+});
+
+test('unroutable destinations give an empty path', () => {
+  const island = new ServerPathfinding(parseLayout({
+    nodes: [{ id: 1, x: 0, y: 0 }, { id: 2, x: 5, y: 0 }, { id: 3, x: 9, y: 9 }],
+    edges: [{ from: 1, to: 2 }]
+  }));
+  expect(planRoute(island, 'A*', { agvId: 'AGV1', from: 1, to: 3, startTime: 0 }).path).toEqual([]);
+});
+
+test('closer, charged AGVs score higher', () => {
+  const task = { pickupLocation: 3 };
+  const near = { position: 2, battery: 90, priority: 'Medium', algorithm: 'A*' };
+  expect(scoreAgv(pathfinder, near, task)).toBeGreaterThan(scoreAgv(pathfinder, { ...near, position: 4 }, task));
+  expect(scoreAgv(pathfinder, near, task)).toBeGreaterThan(scoreAgv(pathfinder, { ...near, battery: 20 }, task));
+});
+
+test('completed ACO routes reinforce the pheromone map', () => {
+  const before = pathfinder.antColony.level(2, 4);
+  completeRoute(pathfinder, 'A*', [1, 2, 4]);
+  expect(pathfinder.antColony.level(2, 4)).toBe(before);
+  completeRoute(pathfinder, 'ACO', [1, 2, 4]);
+  expect(pathfinder.antColony.level(2, 4)).toBeGreaterThan(before);
+});
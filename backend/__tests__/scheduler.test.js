@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findDataset, runSchedulerInWorker } = require('../scheduler');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'agv-scheduler-'));
+}
+
+test('a dataset runs to completion in a worker and yields the simulation report', async () => {
+  const dir = tempDir();
+  const dataset = path.join(dir, 'tasks.csv');
+  fs.writeFileSync(dataset, 'id,startNode,endNode,weight,priority,time\npayload_7,1,3,10,high,08:00\npayload_8,7,2,5,low,08:01\n,4,6,20,medium,08:02\n');
+  const logged = [];
+
+  const result = await runSchedulerInWorker({ dataset, out: path.join(dir, 'out') }, { onLog: line => logged.push(line) });
+
+  expect(result.finished).toBe(true);
+  expect(result.progress).toMatchObject({ total: 3, completed: 3, failed: 0 });
+  expect(result.report).toMatchObject({ tasks_completed: 3, total_tasks: 3, tasks_failed: 0, collision_events: [] });
+  expect(result.report.agv_stats.reduce((sum, agv) => sum + agv.tasksCompleted, 0)).toBe(3);
+  expect(Object.keys(result.report.average_delivery_times).sort()).toEqual(['high', 'low', 'medium', 'overall']);
+  // Payload entries carry the dataset's payload numbers; a row without one is numbered in turn
+  expect(result.executionLogs.filter(line => line.includes('-payload_')).map(line => line.split('-').pop())).toEqual(['payload_7', 'payload_8', 'payload_1']);
+  expect(logged).toEqual(result.executionLogs);
+  expect(result.tasks.map(task => task.status)).toEqual(['completed', 'completed', 'completed']);
+  expect(JSON.parse(fs.readFileSync(path.join(dir, 'out', 'simulation_report.json'), 'utf8'))).toEqual(result.report);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// The datasets that ship with the repository run to the end
+test.each([
+  ['sample_dataset.csv', 20],
+  ['AGV_Hackathon_dataset.xlsx', 100]
+])('%s completes within the default 24 hours', async (name, total) => {
+  const dir = tempDir();
+
+  const result = await runSchedulerInWorker({ dataset: path.join(__dirname, '../..', name), out: dir });
+
+  expect(result.finished).toBe(true);
+  expect(result.progress).toMatchObject({ total, completed: total, failed: 0, rejected: 0 });
+  expect(result.report).toMatchObject({ tasks_completed: total, tasks_failed: 0, collision_events: [] });
+  fs.rmSync(dir, { recursive: true, force: true });
+}, 60000);
+
+test('progress of a run stopped at maxHours matches its report', async () => {
+  const dir = tempDir();
+
+  const result = await runSchedulerInWorker({ dataset: path.join(__dirname, '../../AGV_Hackathon_dataset.xlsx'), out: dir, maxHours: 1 });
+
+  expect(result.finished).toBe(false);
+  expect(result.progress.completed).toBe(result.report.tasks_completed);
+  expect(result.progress.failed).toBe(result.report.tasks_failed);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('an AGV that runs flat between nodes leaves the edge free for others', async () => {
+  const dir = tempDir();
+  const file = (name, content) => {
+    fs.writeFileSync(path.join(dir, name), typeof content === 'string' ? content : JSON.stringify(content));
+    return path.join(dir, name);
+  };
+  // 1 - 2 -------- 3 - 4 at 1 m/s with a two-slot charger on 2: AGV1 heads
+  // there from 3 with the battery for 180s of idle draw, not the 300s hop
+  const layout = file('layout.json', {
+    defaultSpeedLimit: 1,
+    nodes: [{ id: 1, x: 0, y: 0 }, { id: 2, x: 10, y: 0 }, { id: 3, x: 310, y: 0 }, { id: 4, x: 320, y: 0 }],
+    edges: [{ from: 1, to: 2 }, { from: 2, to: 3 }, { from: 3, to: 4 }],
+    chargingNodes: [{ node: 2, capacity: 2 }]
+  });
+  const energy = file('energy.json', { capacityWh: 100 });
+  const dataset = file('tasks.csv', 'startNode,endNode,weight,priority,time\n1,4,10,high,08:00\n');
+
+  const result = await runSchedulerInWorker({
+    dataset,
+    layout,
+    energy,
+    fleet: [{ id: 'AGV1', startNode: 3, battery: 0.1 }, { id: 'AGV2', startNode: 1 }],
+    out: path.join(dir, 'out'),
+    maxHours: 1
+  });
+
+  // AGV2 crosses the edge AGV1 was stranded on, and node 2 where it stopped
+  expect(result.finished).toBe(true);
+  expect(result.progress).toMatchObject({ total: 1, completed: 1 });
+  expect(result.report.agv_stats.map(({ finalPosition, status }) => ({ finalPosition, status }))).toEqual([
+    { finalPosition: 2, status: 'stranded' },
+    { finalPosition: 4, status: 'idle' }
+  ]);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a run that cannot start rejects with the reason', async () => {
+  const dir = tempDir();
+  const dataset = path.join(dir, 'tasks.csv');
+  fs.writeFileSync(dataset, 'startNode,endNode,weight\n1,1,10\n');
+
+  await expect(runSchedulerInWorker({ dataset, out: path.join(dir, 'out') })).rejects.toThrow('No valid rows');
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the newest uploaded dataset is picked, else the hackathon workbook', () => {
+  const dir = tempDir();
+  expect(path.basename(findDataset(dir))).toBe('AGV_Hackathon_dataset.xlsx');
+
+  fs.writeFileSync(path.join(dir, 'old.csv'), '');
+  fs.writeFileSync(path.join(dir, 'notes.txt'), '');
+  fs.writeFileSync(path.join(dir, 'new.xlsx'), '');
+  fs.utimesSync(path.join(dir, 'old.csv'), new Date(2024, 0, 1), new Date(2024, 0, 1));
+  expect(findDataset(dir)).toBe(path.join(dir, 'new.xlsx'));
+  fs.rmSync(dir, { recursive: true, force: true });
+});
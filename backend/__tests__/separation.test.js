@@ -0,0 +1,109 @@
+const { edgeKey, nodesWithinHops, findDepartureConflict, findCollisions, SafetyLog } = require('../core/separation');
+
+// 1 -- 2 -- 3 in a line
+const adjacency = { 1: [2], 2: [1, 3], 3: [2] };
+const rules = { adjacency, minSeparationMs: 1000, minSeparationNodes: 0 };
+
+function state(overrides = {}) {
+  return {
+    blocker: null,
+    occupants: new Map(),
+    reservedEdges: new Map(),
+    nodeReleasedAt: new Map(),
+    ...overrides
+  };
+}
+
+const departure = { agvId: 'AGV1', from: 1, to: 2 };
+
+test('an edge has one key for both directions', () => {
+  expect(edgeKey(1, 2)).toBe('1-2');
+  expect(edgeKey(2, 1)).toBe('1-2');
+});
+
+test('nodes within hops ignore everything further away', () => {
+  expect([...nodesWithinHops(adjacency, 1, 0)]).toEqual([1]);
+  expect([...nodesWithinHops(adjacency, 1, 1)].sort()).toEqual([1, 2]);
+  expect([...nodesWithinHops(adjacency, 2, 1)].sort()).toEqual([1, 2, 3]);
+});
+
+test('a free edge and node can be entered', () => {
+  expect(findDepartureConflict(departure, 5000, state(), rules)).toBeNull();
+});
+
+test('a full node holds the departure back as a queue, not a near miss', () => {
+  const conflict = findDepartureConflict(departure, 5000, state({ blocker: 'AGV2', occupants: new Map([[2, 'AGV2']]) }), rules);
+  expect(conflict).toEqual({ reason: 'node_occupied', otherAgvId: 'AGV2', nearMiss: false });
+});
+
+test('an AGV on the edge in the other direction is never followed onto it', () => {
+  const reservedEdges = new Map([['1-2', { agvId: 'AGV2', from: 2, to: 1, enteredAt: 0 }]]);
+  expect(findDepartureConflict(departure, 60000, state({ reservedEdges }), rules))
+    .toEqual({ reason: 'edge_swap', otherAgvId: 'AGV2', nearMiss: true });
+});
+
+test('an AGV ahead on the edge is followed at the minimum separation', () => {
+  const reservedEdges = new Map([['1-2', { agvId: 'AGV2', from: 1, to: 2, enteredAt: 4500 }]]);
+  expect(findDepartureConflict(departure, 5000, state({ reservedEdges }), rules))
+    .toEqual({ reason: 'following_distance', otherAgvId: 'AGV2', nearMiss: true });
+  expect(findDepartureConflict(departure, 5500, state({ reservedEdges }), rules)).toBeNull();
+});
+
+test('a node just left by another AGV stays closed for the minimum separation', () => {
+  const nodeReleasedAt = new Map([[2, { agvId: 'AGV2', at: 4800 }]]);
+  expect(findDepartureConflict(departure, 5000, state({ nodeReleasedAt }), rules))
+    .toEqual({ reason: 'separation_time', otherAgvId: 'AGV2', nearMiss: true });
+  expect(findDepartureConflict(departure, 5800, state({ nodeReleasedAt }), rules)).toBeNull();
+  // Its own release does not hold an AGV back
+  const ownRelease = new Map([[2, { agvId: 'AGV1', at: 4800 }]]);
+  expect(findDepartureConflict(departure, 5000, state({ nodeReleasedAt: ownRelease }), rules)).toBeNull();
+});
+
+test('node separation keeps AGVs the given number of hops apart', () => {
+  const occupants = new Map([[3, 'AGV2']]);
+  expect(findDepartureConflict(departure, 5000, state({ occupants }), rules)).toBeNull();
+  expect(findDepartureConflict(departure, 5000, state({ occupants }), { ...rules, minSeparationNodes: 1 }))
+    .toEqual({ reason: 'separation_nodes', otherAgvId: 'AGV2', nearMiss: true });
+});
+
+test('AGVs sharing a node beyond its capacity or an edge head-on collide', () => {
+  const capacity = node => (node === 3 ? 2 : 1);
+  expect(findCollisions([
+    { agvId: 'AGV1', node: 3 },
+    { agvId: 'AGV2', node: 3 },
+    { agvId: 'AGV3', from: 1, to: 2 },
+    { agvId: 'AGV4', from: 1, to: 2 }
+  ], capacity)).toEqual([]);
+
+  expect(findCollisions([
+    { agvId: 'AGV1', node: 2 },
+    { agvId: 'AGV2', node: 2 },
+    { agvId: 'AGV3', from: 1, to: 2 },
+    { agvId: 'AGV4', from: 2, to: 1 }
+  ], capacity)).toEqual([
+    { key: 'node:2', agvId: 'AGV2', otherAgvId: 'AGV1', from: 2, to: 2, reason: 'same_node' },
+    { key: 'edge:1-2', agvId: 'AGV4', otherAgvId: 'AGV3', from: 2, to: 1, reason: 'edge_swap' }
+  ]);
+});
+
+test('the safety log keeps the latest events and counts them all', () => {
+  const log = new SafetyLog(2);
+  log.record('near_miss', { agvId: 'AGV1' }, 1000);
+  log.record('collision', { agvId: 'AGV1' }, 2000);
+  const event = log.record('near_miss', { agvId: 'AGV2' }, 3000);
+
+  expect(event).toEqual({ timestamp: new Date(3000).toISOString(), type: 'near_miss', agvId: 'AGV2' });
+  expect(log.events.map(e => e.timestamp)).toEqual([new Date(2000).toISOString(), new Date(3000).toISOString()]);
+  expect(log).toMatchObject({ collisions: 1, nearMisses: 2 });
+  expect(log.since(2500)).toEqual([event]);
+});
+
+test('a lasting collision is reported once until it clears', () => {
+  const log = new SafetyLog();
+  const collision = { key: 'node:2', agvId: 'AGV2', otherAgvId: 'AGV1', from: 2, to: 2, reason: 'same_node' };
+
+  expect(log.newCollisions([collision, { ...collision, agvId: 'AGV3' }])).toEqual([collision]);
+  expect(log.newCollisions([collision])).toEqual([]);
+  expect(log.newCollisions([])).toEqual([]);
+  expect(log.newCollisions([collision])).toEqual([collision]);
+});
@@ -0,0 +1,39 @@
+const { buildSimulationReport } = require('../core/simulationReport');
+
+test('a run is summarised in the simulation_report.json layout', () => {
+  const report = buildSimulationReport({
+    startedAt: 0,
+    finishedAt: 90500,
+    agvs: {
+      AGV1: { id: 'AGV1', position: 3, battery: 61.237, status: 'idle' },
+      AGV12: { id: 'AGV12', position: 9, battery: 40, status: 'charging' }
+    },
+    tasks: [
+      { agvId: 'AGV1', startNode: 1, endNode: 3, priority: 'high', status: 'completed', createdAt: 0, completedAt: 20000 },
+      { agvId: 'AGV12', startNode: 3, endNode: 7, priority: 'low', status: 'completed', createdAt: 10000, completedAt: 50000 },
+      { agvId: 'AGV12', startNode: 7, endNode: 9, priority: 'charging', status: 'completed', isCharging: true },
+      { agvId: 'AGV1', startNode: 3, endNode: 5, priority: 'low', status: 'failed', createdAt: 60000 },
+      { agvId: null, startNode: 2, endNode: 4, priority: 'medium', status: 'pending', createdAt: 70000 }
+    ],
+    chargeSessions: new Map([['AGV12', 2]]),
+    safetyEvents: [
+      { timestamp: new Date(2024, 4, 1, 8, 30, 5).toISOString(), type: 'collision', agvId: 'AGV1', otherAgvId: 'AGV12', to: 5, reason: 'same_node' },
+      { timestamp: new Date(2024, 4, 1, 8, 31, 0).toISOString(), type: 'near_miss', agvId: 'AGV1', otherAgvId: 'AGV12', to: 6 }
+    ]
+  });
+
+  expect(report).toEqual({
+    total_execution_time: 90.5,
+    tasks_completed: 2,
+    total_tasks: 4,
+    tasks_failed: 1,
+    agv_stats: [
+      { agvId: 1, finalPosition: 3, batteryRemaining: 61.24, chargeCount: 0, tasksCompleted: 1, status: 'idle', province: 3 },
+      { agvId: 12, finalPosition: 9, batteryRemaining: 40, chargeCount: 2, tasksCompleted: 1, status: 'charging', province: 3 }
+    ],
+    collision_events: [{ time: '08:30:05', agv1: 1, agv2: 12, location: 5, type: 'same_node' }],
+    average_delivery_times: { overall: 30, high: 20, low: 40 },
+    major_docking_stations: [3, 1, 5],
+    provinces: { AGV1: [1, 3, 5], AGV12: [3, 7] }
+  });
+});
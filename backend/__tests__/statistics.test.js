@@ -0,0 +1,34 @@
+const { normalCdf, welchTTest, pairedTTest, twoProportionTest, poissonRateTest } = require('../core/statistics');
+
+test('the normal distribution matches its tables', () => {
+  expect(normalCdf(1.96)).toBeCloseTo(0.975, 4);
+  expect(normalCdf(-1)).toBeCloseTo(0.1587, 4);
+  expect(normalCdf(0)).toBeCloseTo(0.5, 6);
+});
+
+test('t-tests give the textbook p-values', () => {
+  const welch = welchTTest([19.1, 20.5, 21.2, 18.9, 20.3], [22.4, 23.1, 21.8, 24.0, 22.9]);
+  expect(welch.t).toBeCloseTo(4.985, 3);
+  expect(welch.df).toBeCloseTo(7.774, 3);
+  expect(welch.pValue).toBeCloseTo(0.00117, 4);
+
+  const paired = pairedTTest([1, 2, 3, 4, 5], [2, 2.5, 4.1, 4.4, 6.2]);
+  expect(paired.t).toBeCloseTo(5.150, 3);
+  expect(paired.pValue).toBeCloseTo(0.00674, 4);
+
+  expect(welchTTest([1, 2, 3], [1, 2, 3]).pValue).toBeCloseTo(1, 6);
+  expect(welchTTest([1], [2, 3])).toBeNull();
+  expect(welchTTest([2, 2], [2, 2])).toBeNull();
+  expect(pairedTTest([1, 2], [2, 3])).toBeNull(); // every AGV moved by the same amount
+});
+
+test('proportions and event rates are tested exactly where they can be', () => {
+  expect(twoProportionTest(45, 100, 60, 100).pValue).toBeCloseTo(0.0337, 3);
+  expect(twoProportionTest(10, 10, 10, 10)).toBeNull();
+  expect(twoProportionTest(0, 0, 1, 2)).toBeNull();
+
+  // 2 against 10 events over the same time: 2 * P(X >= 10), X ~ B(12, 0.5)
+  expect(poissonRateTest(2, 100, 10, 100).pValue).toBeCloseTo(2 * 79 / 4096, 8);
+  expect(poissonRateTest(0, 60, 0, 60).pValue).toBe(1);
+  expect(poissonRateTest(1, 0, 2, 60)).toBeNull();
+});
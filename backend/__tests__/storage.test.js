@@ -0,0 +1,93 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileStore, createStore, toTaskRecord, toEventRecord, reportFromRecord } = require('../core/storage');
+
+let dir;
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agv-store-'));
+});
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the file store keeps simulations across instances and lists them newest first', async () => {
+  const store = new FileStore(dir);
+  await store.createSimulation({ simulationId: 'sim_1', timestamp: new Date(Date.UTC(2024, 4, 1, 8)) });
+  await store.createSimulation({ simulationId: 'sim_2', timestamp: new Date(Date.UTC(2024, 4, 1, 9)), status: 'pending' });
+  await expect(store.createSimulation({ simulationId: 'sim_1' })).rejects.toThrow('sim_1 already exists');
+
+  const updated = await store.updateSimulation('sim_1', { status: 'completed', tasksCompleted: 3, totalTasks: 4, executionLogs: ['agv_1-1-3-08:00:00-10-payload_1'] });
+  expect(updated).toMatchObject({ simulationId: 'sim_1', status: 'completed', timestamp: '2024-05-01T08:00:00.000Z' });
+  expect(await store.updateSimulation('sim_9', { status: 'failed' })).toBeNull();
+
+  const reopened = new FileStore(dir);
+  expect(await reopened.getSimulation('sim_1')).toEqual(updated);
+  expect(await reopened.getSimulation('sim_9')).toBeNull();
+  expect(await reopened.listSimulations({ page: 1, limit: 1 })).toEqual({
+    simulations: [{ simulationId: 'sim_2', timestamp: '2024-05-01T09:00:00.000Z', status: 'pending' }],
+    total: 2
+  });
+  expect((await reopened.listSimulations({ page: 2, limit: 1 })).simulations[0]).toEqual({
+    simulationId: 'sim_1', timestamp: '2024-05-01T08:00:00.000Z', status: 'completed', tasksCompleted: 3, totalTasks: 4
+  });
+});
+
+test('tasks are replaced, events appended, and both go with their simulation', async () => {
+  const store = new FileStore(dir);
+  await store.createSimulation({ simulationId: 'sim_1' });
+  await store.createSimulation({ simulationId: 'sim_2' });
+  await store.saveTasks('sim_1', [{ payloadId: '1' }, { payloadId: '2' }]);
+  await store.saveTasks('sim_1', [{ payloadId: '3' }]);
+  await store.saveTasks('sim_2', [{ payloadId: '4' }]);
+  await store.appendEvents('sim_1', [{ time: '2024-05-01T08:00:05.000Z', type: 'near_miss' }]);
+  await store.appendEvents('sim_1', [{ time: '2024-05-01T08:00:01.000Z', type: 'collision' }]);
+
+  expect(await store.listTasks('sim_1')).toEqual([{ payloadId: '3', simulationId: 'sim_1' }]);
+  expect((await store.listEvents('sim_1')).map(event => event.type)).toEqual(['collision', 'near_miss']);
+  expect(await store.listEvents('sim_1', { type: 'near_miss' })).toHaveLength(1);
+
+  expect(await store.deleteSimulation('sim_1')).toBe(true);
+  expect(await store.deleteSimulation('sim_1')).toBe(false);
+  const reopened = new FileStore(dir);
+  expect(await reopened.listTasks('sim_1')).toEqual([]);
+  expect(await reopened.listEvents('sim_1')).toEqual([]);
+  expect(await reopened.listTasks('sim_2')).toHaveLength(1);
+});
+
+test('server tasks, safety events and records map to their stored forms', () => {
+  const created = Date.UTC(2024, 4, 1, 8);
+  expect(toTaskRecord('sim_1', {
+    id: 7, payloadId: 'P12', startNode: 1, endNode: 3, weight: 10, priority: 'high', agvId: 'AGV12', status: 'completed',
+    createdAt: created, dispatchedAt: created + 1000, completedAt: created + 30500
+  })).toEqual({
+    simulationId: 'sim_1', payloadId: 'P12', sourceNode: 1, destinationNode: 3, weight: 10, priority: 1,
+    timeOfScheduling: '2024-05-01T08:00:00.000Z', assignedAGV: 12, startTime: '2024-05-01T08:00:01.000Z',
+    completionTime: '2024-05-01T08:00:30.500Z', deliveryTime: 30.5, status: 'completed'
+  });
+  expect(toTaskRecord('sim_1', { id: 8, priority: 'low', status: 'interrupted', createdAt: created })).toMatchObject({ payloadId: '8', priority: 3, status: 'failed' });
+  expect(toTaskRecord('sim_1', { id: 9, priority: 'medium', status: 'executing', createdAt: created }).status).toBe('in_progress');
+
+  expect(toEventRecord('sim_1', { timestamp: '2024-05-01T08:00:05.000Z', type: 'collision', agvId: 'AGV1', otherAgvId: 'AGV2', to: 5 }))
+    .toEqual({ simulationId: 'sim_1', time: '2024-05-01T08:00:05.000Z', type: 'collision', agvId: 'AGV1', details: { otherAgvId: 'AGV2', to: 5 } });
+
+  expect(reportFromRecord({ simulationId: 'sim_1', tasksCompleted: 3, totalTasks: 4 }).efficiency).toBe(75);
+  expect(reportFromRecord({ simulationId: 'sim_2', status: 'pending' }).efficiency).toBeNull();
+});
+
+test('the store type comes from configuration', () => {
+  expect(createStore({ type: 'file', dir })).toBeInstanceOf(FileStore);
+  expect(createStore({ name: 'server', type: 'file', dir }).dir).toBe(path.join(dir, 'server'));
+});
+
+test('each server keeps its own file store', async () => {
+  const server = createStore({ name: 'server', type: 'file', dir });
+  const enhanced = createStore({ name: 'enhanced_server', type: 'file', dir });
+  await server.createSimulation({ simulationId: 'session_1' });
+  await enhanced.createSimulation({ simulationId: 'sim_1' });
+  await server.updateSimulation('session_1', { status: 'completed' });
+
+  expect((await new FileStore(path.join(dir, 'server')).listSimulations()).simulations.map(record => record.simulationId)).toEqual(['session_1']);
+  expect((await new FileStore(path.join(dir, 'enhanced_server')).listSimulations()).simulations.map(record => record.simulationId)).toEqual(['sim_1']);
+  expect(() => createStore({ type: 'redis' })).toThrow('Unknown store "redis"');
+});
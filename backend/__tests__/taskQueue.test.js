@@ -0,0 +1,37 @@
+const { PendingTaskQueue } = require('../core/taskQueue');
+
+test('tasks are ordered by priority, then by age', () => {
+  const queue = new PendingTaskQueue();
+  queue.enqueue({ id: 1, priority: 'low' }, 1000);
+  queue.enqueue({ id: 2, priority: 'medium' }, 2000);
+  queue.enqueue({ id: 3, priority: 'high' }, 3000);
+  expect(queue.enqueue({ id: 4, priority: 'medium' }, 1500)).toBe(2);
+
+  expect([1, 2, 3, 4].map(() => queue.dequeue().id)).toEqual([3, 4, 2, 1]);
+  expect(queue.dequeue()).toBeNull();
+});
+
+test('tasks enqueued at the same time keep arrival order', () => {
+  const queue = new PendingTaskQueue();
+  queue.enqueue({ id: 1, priority: 'high' }, 1000);
+  queue.enqueue({ id: 2, priority: 'high' }, 1000);
+  expect(queue.peek().id).toBe(1);
+});
+
+test('snapshot reports position and wait time', () => {
+  const queue = new PendingTaskQueue();
+  queue.enqueue({ id: 1, priority: 'low' }, 1000);
+  queue.enqueue({ id: 2, priority: 'high' }, 4000);
+
+  const snapshot = queue.toArray(5000);
+  expect(snapshot.map(task => [task.id, task.position, task.waitTime])).toEqual([[2, 1, 1000], [1, 2, 4000]]);
+});
+
+test('a queued task can be removed by id', () => {
+  const queue = new PendingTaskQueue();
+  queue.enqueue({ id: 1, priority: 'medium' });
+  queue.enqueue({ id: 2, priority: 'medium' });
+  expect(queue.remove(1).id).toBe(1);
+  expect(queue.remove(1)).toBeNull();
+  expect(queue.size).toBe(1);
+});
@@ -0,0 +1,181 @@
+const { parseLayout } = require('../core/layout');
+const { ServerPathfinding } = require('../core/routing');
+const { itineraryFromPath } = require('../core/cooperativePlanner');
+const { TimeWindowPlanner, startWhenClear } = require('../core/timeWindowPlanner');
+
+// 3x3 grid, 1s per edge
+// 1 - 2 - 3
+// |   |   |
+// 4 - 5 - 6
+// |   |   |
+// 7 - 8 - 9
+const nodes = [];
+for (let id = 1; id <= 9; id++) nodes.push({ id, x: ((id - 1) % 3) * 10, y: Math.floor((id - 1) / 3) * 10 });
+const pathfinder = new ServerPathfinding(parseLayout({
+  defaultSpeedLimit: 10,
+  nodes,
+  edges: [
+    { from: 1, to: 2 }, { from: 2, to: 3 }, { from: 4, to: 5 }, { from: 5, to: 6 }, { from: 7, to: 8 }, { from: 8, to: 9 },
+    { from: 1, to: 4 }, { from: 4, to: 7 }, { from: 2, to: 5 }, { from: 5, to: 8 }, { from: 3, to: 6 }, { from: 6, to: 9 }
+  ]
+}));
+
+function agv(id, position) {
+  return { id, position, algorithm: 'A*' };
+}
+
+function task(id, agvId, path, { status = 'assigned', deliveryLocation = path[path.length - 1], ...rest } = {}) {
+  return {
+    id,
+    assignedAGV: agvId,
+    status,
+    priority: 'Medium',
+    createdAt: id,
+    pickupLocation: path[path.length - 1],
+    deliveryLocation,
+    plannedPath: path,
+    plannedItinerary: itineraryFromPath(pathfinder.graph, path, 0),
+    ...rest
+  };
+}
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: 0 });
+});
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('overlapping paths are a conflict, counted once while both tasks are active', () => {
+  const first = task(1, 'AGV1', [1, 2, 3], { status: 'executing' });
+  const second = task(2, 'AGV2', [7, 4, 1, 2, 3]);
+  const fleet = { tasks: [first, second, task(3, 'AGV3', [9, 8])], agvs: {} };
+  const planner = new TimeWindowPlanner(pathfinder, fleet);
+
+  const { conflicts, newConflicts } = planner.detectConflicts(500);
+  expect(conflicts).toEqual([{ type: 'path_conflict', tasks: [1, 2], agvs: ['AGV1', 'AGV2'], nodes: [1, 2, 3], severity: 'medium', detectedAt: 500 }]);
+  expect(newConflicts).toBe(1);
+  expect(planner.detectConflicts().newConflicts).toBe(0);
+
+  // A finished pair is forgotten
+  first.status = 'completed';
+  expect(planner.detectConflicts().conflicts).toEqual([]);
+  expect(planner.seenConflicts.size).toBe(0);
+});
+
+test('reroute takes the task that has not started around the shared nodes', () => {
+  const fleet = {
+    tasks: [task(1, 'AGV1', [1, 2, 3], { status: 'executing' }), task(2, 'AGV2', [7, 4, 1, 2, 3])],
+    agvs: { AGV1: agv('AGV1', 1), AGV2: agv('AGV2', 7) }
+  };
+  const planner = new TimeWindowPlanner(pathfinder, fleet);
+  const { resolutions, unresolved } = planner.resolveConflicts(planner.detectConflicts().conflicts, 'reroute');
+
+  expect(unresolved).toEqual([]);
+  expect(resolutions).toHaveLength(1);
+  const [{ type, avoidNodes, conflict, changes: [change] }] = resolutions;
+  expect({ type, avoidNodes, conflict }).toEqual({ type: 'reroute', avoidNodes: [1, 2], conflict: [1, 2] });
+  expect(change).toMatchObject({ taskId: 2, agvId: 'AGV2', before: [7, 4, 1, 2, 3] });
+  expect(change.after).toHaveLength(5);
+  expect(change.after).not.toContain(1);
+  expect(change.after).not.toContain(2);
+
+  planner.applyResolution(resolutions[0], 100);
+  expect(fleet.tasks[1]).toMatchObject({ plannedPath: change.after, plannedItinerary: change.itinerary, plannedAt: 100 });
+  expect(planner.detectConflicts().conflicts).toEqual([]);
+});
+
+test('a time-aware AGV plans its detour around the rest of the fleet', () => {
+  // AGV3 crosses node 6 from 2.5s; the detour 7-4-5-6-3 reaches 6 at 3s
+  const crossing = task(3, 'AGV3', [6, 9], { status: 'executing' });
+  crossing.plannedItinerary = itineraryFromPath(pathfinder.graph, [6, 9], 2500);
+  const fleet = {
+    tasks: [task(1, 'AGV1', [3, 2, 1], { status: 'executing' }), task(2, 'AGV2', [7, 4, 1, 2, 3]), crossing],
+    agvs: { AGV1: agv('AGV1', 3), AGV2: { ...agv('AGV2', 7), algorithm: 'CA*' }, AGV3: agv('AGV3', 6) }
+  };
+  const planner = new TimeWindowPlanner(pathfinder, fleet);
+  const [{ changes: [change] }] = planner.resolveConflicts(planner.detectConflicts().conflicts, 'reroute').resolutions;
+
+  expect(change.after).not.toContain(1);
+  expect(change.after).not.toContain(2);
+  // Node 6 is only entered once AGV3 has left it and its clearance has passed
+  const atSix = change.itinerary.find(stop => stop.node === 6);
+  expect(atSix.arriveAt).toBeGreaterThanOrEqual(3500);
+});
+
+test('swap exchanges the AGVs of two tasks that have not started', () => {
+  const fleet = {
+    tasks: [task(1, 'AGV1', [1, 2, 3, 6, 9]), task(2, 'AGV2', [9, 6, 3, 2, 1])],
+    agvs: { AGV1: agv('AGV1', 1), AGV2: { ...agv('AGV2', 9), algorithm: 'CA*' } }
+  };
+  const planner = new TimeWindowPlanner(pathfinder, fleet);
+  const { resolutions } = planner.resolveConflicts(planner.detectConflicts().conflicts, 'swap');
+
+  expect(resolutions).toHaveLength(1);
+  expect(resolutions[0].changes.map(({ taskId, agvId, previousAgvId, after }) => ({ taskId, agvId, previousAgvId, after }))).toEqual([
+    { taskId: 2, agvId: 'AGV1', previousAgvId: 'AGV2', after: [1] },
+    { taskId: 1, agvId: 'AGV2', previousAgvId: 'AGV1', after: [9] }
+  ]);
+
+  planner.applyResolution(resolutions[0]);
+  expect(fleet.tasks.map(({ assignedAGV, algorithm }) => ({ assignedAGV, algorithm }))).toEqual([
+    { assignedAGV: 'AGV2', algorithm: 'CA*' },
+    { assignedAGV: 'AGV1', algorithm: 'A*' }
+  ]);
+});
+
+test('delay holds the task until the other has delivered, not just reached its pickup', () => {
+  // AGV1 reaches the pickup 3 at 2s, then delivers to 9 by 4s
+  const moving = task(1, 'AGV1', [1, 2, 3], { status: 'executing', phase: 'to_pickup', deliveryLocation: 9 });
+  const waiting = task(2, 'AGV2', [5, 2, 3]);
+  const fleet = { tasks: [moving, waiting], agvs: { AGV1: agv('AGV1', 1), AGV2: agv('AGV2', 5) } };
+  const planner = new TimeWindowPlanner(pathfinder, fleet);
+
+  expect(planner.routeEndsAt(moving)).toBe(4000);
+  const { resolutions } = planner.resolveConflicts(planner.detectConflicts().conflicts, 'delay');
+  expect(resolutions[0]).toMatchObject({ type: 'delay', delayedUntil: 5000, delayedFor: 1 });
+  expect(resolutions[0].changes[0].itinerary.map(stop => stop.arriveAt)).toEqual([5000, 6000, 7000]);
+
+  planner.applyResolution(resolutions[0]);
+  expect(waiting).toMatchObject({ delayedUntil: 5000, delayedFor: 1 });
+  expect(planner.detectConflicts().conflicts).toEqual([]);
+
+  // The delivery leg is planned later than estimated: the delay follows it
+  Object.assign(moving, { phase: 'to_delivery', plannedPath: [3, 6, 9], plannedItinerary: itineraryFromPath(pathfinder.graph, [3, 6, 9], 4500) });
+  expect(planner.extendDelays(moving)).toEqual([waiting]);
+  expect(waiting.delayedUntil).toBe(7500);
+  expect(waiting.plannedItinerary.map(stop => stop.arriveAt)).toEqual([7500, 8500, 9500]);
+  expect(planner.extendDelays(moving)).toEqual([]);
+});
+
+test('auto falls back to a delay when no reroute or swap helps, and leaves two running tasks alone', () => {
+  // AGV2 goes from 2 to 3, both on AGV1's route, so there is nothing to route around
+  const moving = task(1, 'AGV1', [1, 2, 3], { status: 'executing', deliveryLocation: 3 });
+  const waiting = task(2, 'AGV2', [2, 3]);
+  const planner = new TimeWindowPlanner(pathfinder, { tasks: [moving, waiting], agvs: { AGV1: agv('AGV1', 1), AGV2: agv('AGV2', 2) } });
+  const { resolutions } = planner.resolveConflicts(planner.detectConflicts().conflicts);
+  expect(resolutions.map(resolution => resolution.type)).toEqual(['delay']);
+
+  waiting.status = 'executing';
+  expect(planner.resolveConflicts(planner.detectConflicts().conflicts)).toEqual({
+    resolutions: [],
+    unresolved: [{ tasks: [1, 2], reason: 'both tasks are under way' }]
+  });
+});
+
+test('a delayed task starts when its delay ends, waiting out an extension', () => {
+  const start = jest.fn();
+  const delayed = { id: 2, delayedUntil: 5000 };
+  startWhenClear(delayed, start);
+  expect(delayed.startsAt).toBe(5000);
+
+  jest.advanceTimersByTime(4000);
+  delayed.delayedUntil = 7000;
+  jest.advanceTimersByTime(1000);
+  expect(start).not.toHaveBeenCalled();
+  expect(delayed.startsAt).toBe(7000);
+
+  jest.advanceTimersByTime(2000);
+  expect(start).toHaveBeenCalledTimes(1);
+  expect(delayed.startsAt).toBeUndefined();
+});
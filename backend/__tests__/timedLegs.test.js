@@ -0,0 +1,112 @@
+const { parseLayout } = require('../core/layout');
+const { ServerPathfinding } = require('../core/routing');
+const { itineraryFromPath } = require('../core/cooperativePlanner');
+const { buildReservationTable, planTimedLeg, followItinerary } = require('../core/timedLegs');
+
+// Corridor 1-2-3 with a siding 4 off node 2 and a one-way exit 3 -> 5; 1s per edge
+const pathfinder = new ServerPathfinding(parseLayout({
+  defaultSpeedLimit: 10,
+  nodes: [
+    { id: 1, x: 0, y: 0 },
+    { id: 2, x: 10, y: 0 },
+    { id: 3, x: 20, y: 0 },
+    { id: 4, x: 10, y: 10 },
+    { id: 5, x: 30, y: 0 }
+  ],
+  edges: [{ from: 1, to: 2 }, { from: 2, to: 3 }, { from: 2, to: 4 }, { from: 3, to: 5, direction: 'one-way' }]
+}));
+const emptyFleet = { tasks: [], agvs: {} };
+
+// AGV2 under way from 3 to 4 through 2, leaving at 0
+const busyFleet = {
+  tasks: [{ id: 1, status: 'executing', assignedAGV: 'AGV2', plannedPath: [3, 2, 4], plannedItinerary: itineraryFromPath(pathfinder.graph, [3, 2, 4], 0) }],
+  agvs: { AGV1: { id: 'AGV1', position: 1 }, AGV2: { id: 'AGV2', position: 3 } }
+};
+
+test('a space-only algorithm drives its route as soon as possible', () => {
+  expect(planTimedLeg(pathfinder, busyFleet, { id: 'AGV1', algorithm: 'A*' }, 1, 3, 5000)).toEqual({
+    path: [1, 2, 3],
+    itinerary: [{ node: 1, arriveAt: 5000, departAt: 5000 }, { node: 2, arriveAt: 6000, departAt: 6000 }, { node: 3, arriveAt: 7000, departAt: 7000 }],
+    fallback: false
+  });
+});
+
+test('time-aware algorithms wait for the other AGVs\' planned itineraries', () => {
+  ['CA*', 'Dijkstra+TimeWindow'].forEach(algorithm => {
+    const leg = planTimedLeg(pathfinder, busyFleet, { id: 'AGV1', algorithm }, 1, 3, 0);
+    expect(leg.path).toEqual([1, 2, 3]);
+    expect(leg.fallback).toBe(false);
+    // AGV2 passes node 2 at 1s and keeps it clear for another second
+    expect(leg.itinerary[1]).toEqual({ node: 2, arriveAt: 2000, departAt: 2000 });
+  });
+});
+
+test('an AGV parked on the destination leaves a time-aware plan to the A* route', () => {
+  const fleet = { tasks: [], agvs: { AGV2: { id: 'AGV2', position: 3 } } };
+  const leg = planTimedLeg(pathfinder, fleet, { id: 'AGV1', algorithm: 'CA*' }, 1, 3, 0);
+  expect(leg).toMatchObject({ path: [1, 2, 3], fallback: true });
+  expect(leg.itinerary.map(stop => stop.arriveAt)).toEqual([0, 1000, 2000]);
+});
+
+test('there is no leg against a one-way aisle', () => {
+  expect(planTimedLeg(pathfinder, emptyFleet, { id: 'AGV1', algorithm: 'A*' }, 5, 3, 0)).toBeNull();
+  expect(planTimedLeg(pathfinder, emptyFleet, { id: 'AGV1', algorithm: 'CA*' }, 5, 3, 0)).toBeNull();
+});
+
+test('the reservation table holds other AGVs\' routes and parked AGVs, not the planning AGV', () => {
+  const fleet = {
+    tasks: [...busyFleet.tasks, { id: 2, status: 'completed', assignedAGV: 'AGV3', plannedPath: [4, 2, 1] }],
+    agvs: { ...busyFleet.agvs, AGV3: { id: 'AGV3', position: 1 } }
+  };
+  const table = buildReservationTable(pathfinder, fleet, 'AGV1', 0);
+  expect(table.isNodeFree(2, 1000, 1500, 'AGV1')).toBe(false);
+  expect(table.isNodeFree(1, 60000, 61000, 'AGV1')).toBe(false); // AGV3 parked; its finished task reserves nothing
+  expect(table.isNodeFree(1, 60000, 61000, 'AGV3')).toBe(true);
+});
+
+describe('following an itinerary', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 10000 });
+  });
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('moves stop by stop at the planned times and then arrives', () => {
+    const moves = [];
+    const onArrive = jest.fn();
+    const { stops, delay } = followItinerary(itineraryFromPath(pathfinder.graph, [1, 2, 3], 10000), {
+      onMove: stop => moves.push([stop.node, Date.now()]),
+      onArrive
+    });
+    expect(delay).toBe(0);
+    expect(stops.map(stop => stop.arriveAt)).toEqual([10000, 11000, 12000]);
+
+    jest.advanceTimersByTime(1500);
+    expect(moves).toEqual([[2, 11000]]);
+    expect(onArrive).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(500);
+    expect(moves).toEqual([[2, 11000], [3, 12000]]);
+    expect(onArrive).toHaveBeenCalledTimes(1);
+  });
+
+  test('a late itinerary is shifted to start now', () => {
+    const onMove = jest.fn();
+    const { stops, delay } = followItinerary(itineraryFromPath(pathfinder.graph, [1, 2], 7000), { onMove, onArrive: () => {} });
+    expect(delay).toBe(3000);
+    expect(stops).toEqual([{ node: 1, arriveAt: 10000, departAt: 10000 }, { node: 2, arriveAt: 11000, departAt: 11000 }]);
+    jest.advanceTimersByTime(999);
+    expect(onMove).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(onMove).toHaveBeenCalledWith({ node: 2, arriveAt: 11000, departAt: 11000 });
+  });
+
+  test('an AGV already at the end arrives without moving', () => {
+    const onMove = jest.fn();
+    const onArrive = jest.fn();
+    followItinerary([{ node: 3, arriveAt: 10000, departAt: 10000 }], { onMove, onArrive });
+    jest.advanceTimersByTime(0);
+    expect(onArrive).toHaveBeenCalledTimes(1);
+    expect(onMove).not.toHaveBeenCalled();
+  });
+});
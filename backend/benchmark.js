@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+// Routing benchmark (core/benchmark.js).
+// Replays one seeded task set with the same fleet once per routing algorithm
+// and dispatch strategy of ultimateServer.js and writes the metrics to
+// benchmark.json and benchmark.csv.
+//
+//   node benchmark.js [--seed 1] [--tasks 50] [--mean-gap 5] [--layout layouts/default.json]
+//     [--fleet fleet.json] [--energy energy.json] [--algorithms A*,CA*]
+//     [--strategies score,nearest] [--out ../output/benchmark]
+//
+// The fleet file is a JSON list of AGV registrations as accepted by
+// ultimateServer.js POST /api/agvs ({ id, startNode, battery, priority }).
+
+const fs = require('fs');
+const path = require('path');
+const { loadLayout, getNodeIds } = require('./core/layout');
+const { loadEnergyModel } = require('./core/energy');
+const { buildAgvRecord } = require('./core/fleet');
+const { ALGORITHMS, ServerPathfinding } = require('./core/routing');
+const {
+  DISPATCH_STRATEGIES, DEFAULT_FLEET, DEFAULT_TASK_COUNT, DEFAULT_MEAN_GAP,
+  generateTasks, runBenchmark, writeBenchmark
+} = require('./core/benchmark');
+
+const USAGE = 'Usage: node benchmark.js [--seed <n>] [--tasks <n>] [--mean-gap <seconds>] [--layout <json>] ' +
+  '[--fleet <json>] [--energy <json>] [--algorithms <list>] [--strategies <list>] [--out <dir>]';
+const OPTION_NAMES = ['seed', 'tasks', 'mean-gap', 'layout', 'fleet', 'energy', 'algorithms', 'strategies', 'out'];
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    if (!argv[i].startsWith('--') || !OPTION_NAMES.includes(name)) {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+    if (argv[i + 1] === undefined) {
+      throw new Error(`--${name} needs a value`);
+    }
+    args[name] = argv[i + 1];
+  }
+
+  const options = {
+    seed: Number(args.seed || 1),
+    tasks: Number(args.tasks || DEFAULT_TASK_COUNT),
+    meanGap: args['mean-gap'] === undefined ? DEFAULT_MEAN_GAP : Number(args['mean-gap']) * 1000,
+    layout: args.layout && path.resolve(args.layout),
+    fleet: args.fleet && path.resolve(args.fleet),
+    energy: args.energy && path.resolve(args.energy),
+    algorithms: args.algorithms ? args.algorithms.split(',') : ALGORITHMS,
+    strategies: args.strategies ? args.strategies.split(',') : DISPATCH_STRATEGIES,
+    out: path.resolve(args.out || path.join(__dirname, '../output/benchmark'))
+  };
+  if (!Number.isInteger(options.seed)) throw new Error('seed must be an integer');
+  if (!(Number.isInteger(options.tasks) && options.tasks > 0)) throw new Error('tasks must be a positive integer');
+  if (!(options.meanGap >= 0)) throw new Error('mean-gap must be zero or positive');
+  return options;
+}
+
+// AGVs from the fleet file, or ultimateServer.js's starting fleet placed as the server places it
+function loadFleet(fleetFile, layout) {
+  const nodeIds = getNodeIds(layout);
+  if (!fleetFile) {
+    return DEFAULT_FLEET.map((agv, index) =>
+      (nodeIds.includes(agv.position) ? agv : { ...agv, position: nodeIds[index % nodeIds.length] }));
+  }
+  const specs = JSON.parse(fs.readFileSync(fleetFile, 'utf8'));
+  const fleet = {};
+  return specs.map(spec => {
+    const agv = buildAgvRecord(spec, { hasNode: node => nodeIds.includes(node), algorithms: ALGORITHMS, fleet });
+    fleet[agv.id] = agv;
+    return { id: agv.id, position: agv.position, battery: agv.battery, priority: spec.priority || 'Medium' };
+  });
+}
+
+function run(options) {
+  const pathfinder = new ServerPathfinding(loadLayout(options.layout));
+  const fleet = loadFleet(options.fleet, pathfinder.layout);
+  const tasks = generateTasks(pathfinder, { count: options.tasks, seed: options.seed, meanGap: options.meanGap });
+  const report = runBenchmark(pathfinder, {
+    fleet,
+    tasks,
+    seed: options.seed,
+    energyModel: loadEnergyModel(options.energy),
+    algorithms: options.algorithms,
+    strategies: options.strategies
+  });
+
+  console.table(report.results.map(({ algorithm, strategy, completed, failed, pathLength, averagePlanningTimeMs, fallbacks, waits, conflicts, makespan, energyWh }) =>
+    ({ algorithm, strategy, completed, failed, pathLength, averagePlanningTimeMs, fallbacks, waits, conflicts, makespan, energyWh })));
+  const files = writeBenchmark(report, options.out);
+  console.log(`${tasks.length} tasks, ${fleet.length} AGVs, seed ${options.seed} - written to ${files.json} and ${files.csv}`);
+}
+
+if (require.main === module) {
+  try {
+    run(parseArgs(process.argv.slice(2)));
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    console.error(USAGE);
+    process.exitCode = 1;
+  }
+}
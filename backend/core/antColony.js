@@ -0,0 +1,181 @@
+// Ant Colony Optimisation router (the ACO algorithm of ultimateServer.js).
+// Every layout edge carries a pheromone level. To route, each iteration sends
+// a colony of ants from the start; at each node an ant picks an unvisited
+// neighbour with probability proportional to pheromone^alpha * (1/cost)^beta
+// and gives up at a dead end. After each iteration the pheromone evaporates
+// and every ant that reached the goal deposits depositAmount / route cost on
+// the edges it used. Completed trips are reinforced the same way, so routes
+// that work in practice attract later ants. Pheromone is kept within
+// [minPheromone, maxPheromone] so no edge is ruled out or dominates forever.
+
+const DEFAULT_ACO_SETTINGS = {
+  ants: 10,
+  iterations: 20,
+  alpha: 1, // weight of pheromone
+  beta: 2, // weight of edge cost
+  evaporation: 0.1, // share of pheromone lost per iteration
+  depositAmount: 10,
+  initialPheromone: 1,
+  minPheromone: 0.01,
+  maxPheromone: 20
+};
+
+function edgeKey(a, b) {
+  return a < b ? `${a}-${b}` : `${b}-${a}`;
+}
+
+// Validated settings layered over the defaults
+function parseAcoSettings(raw = {}) {
+  const settings = { ...DEFAULT_ACO_SETTINGS, ...raw };
+  ['ants', 'iterations'].forEach(key => {
+    if (!(Number.isInteger(settings[key]) && settings[key] > 0 && settings[key] <= 1000)) {
+      throw new Error(`ACO ${key} must be an integer from 1 to 1000`);
+    }
+  });
+  ['alpha', 'beta'].forEach(key => {
+    if (!(typeof settings[key] === 'number' && settings[key] >= 0)) {
+      throw new Error(`ACO ${key} must be zero or positive`);
+    }
+  });
+  if (!(settings.evaporation > 0 && settings.evaporation < 1)) {
+    throw new Error('ACO evaporation must be between 0 and 1');
+  }
+  ['depositAmount', 'initialPheromone', 'minPheromone', 'maxPheromone'].forEach(key => {
+    if (!(settings[key] > 0)) {
+      throw new Error(`ACO ${key} must be a positive number`);
+    }
+  });
+  if (settings.minPheromone > settings.maxPheromone) {
+    throw new Error('ACO minPheromone must not exceed maxPheromone');
+  }
+  return settings;
+}
+
+class AntColonyRouter {
+  // graph: buildWeightedGraph() output; random() returns [0, 1), seed it for repeatable routes
+  constructor(layout, graph, { random = Math.random, ...settings } = {}) {
+    this.layout = layout;
+    this.graph = graph;
+    this.random = random;
+    this.settings = parseAcoSettings(settings);
+    this.pheromone = new Map(); // edgeKey -> level
+    this.reset();
+  }
+
+  reset() {
+    this.pheromone.clear();
+    this.layout.edges.forEach(edge => {
+      this.pheromone.set(edgeKey(edge.from, edge.to), this.settings.initialPheromone);
+    });
+  }
+
+  // Change settings; the pheromone map is kept
+  configure(changes) {
+    this.settings = parseAcoSettings({ ...this.settings, ...changes });
+    return this.settings;
+  }
+
+  level(from, to) {
+    return this.pheromone.get(edgeKey(from, to)) || this.settings.minPheromone;
+  }
+
+  clamp(value) {
+    return Math.min(this.settings.maxPheromone, Math.max(this.settings.minPheromone, value));
+  }
+
+  // One ant's walk; returns { path, cost } or null at a dead end
+  walk(start, goal) {
+    const { alpha, beta } = this.settings;
+    const path = [start];
+    const visited = new Set(path);
+    let cost = 0;
+    let current = start;
+    while (current !== goal) {
+      const options = (this.graph[current] || []).filter(arc => !visited.has(arc.to));
+      if (options.length === 0) return null;
+      const weights = options.map(arc => (this.level(current, arc.to) ** alpha) * ((1 / arc.cost) ** beta));
+      const total = weights.reduce((sum, weight) => sum + weight, 0);
+      let pick = this.random() * total;
+      let index = 0;
+      while (index < options.length - 1 && pick >= weights[index]) {
+        pick -= weights[index];
+        index++;
+      }
+      const arc = options[index];
+      path.push(arc.to);
+      visited.add(arc.to);
+      cost += arc.cost;
+      current = arc.to;
+    }
+    return { path, cost };
+  }
+
+  deposit(path, cost) {
+    const amount = this.settings.depositAmount / Math.max(cost, 1e-9);
+    for (let i = 0; i + 1 < path.length; i++) {
+      const key = edgeKey(path[i], path[i + 1]);
+      this.pheromone.set(key, this.clamp((this.pheromone.get(key) || 0) + amount));
+    }
+  }
+
+  evaporate() {
+    const keep = 1 - this.settings.evaporation;
+    for (const [key, level] of this.pheromone.entries()) {
+      this.pheromone.set(key, this.clamp(level * keep));
+    }
+  }
+
+  // Cheapest route the colony finds, { path, cost }, or null when no ant reached the goal
+  route(start, goal) {
+    if (!this.graph[start] || !this.graph[goal]) return null;
+    if (start === goal) return { path: [start], cost: 0 };
+
+    let best = null;
+    for (let iteration = 0; iteration < this.settings.iterations; iteration++) {
+      const trips = [];
+      for (let ant = 0; ant < this.settings.ants; ant++) {
+        const trip = this.walk(start, goal);
+        if (trip) trips.push(trip);
+      }
+      this.evaporate();
+      trips.forEach(trip => {
+        this.deposit(trip.path, trip.cost);
+        if (!best || trip.cost < best.cost) best = trip;
+      });
+    }
+    return best;
+  }
+
+  // Reinforce a route an AGV has driven
+  reinforce(path) {
+    let cost = 0;
+    for (let i = 0; i + 1 < path.length; i++) {
+      const arc = (this.graph[path[i]] || []).find(a => a.to === path[i + 1]);
+      if (!arc) return false;
+      cost += arc.cost;
+    }
+    if (path.length < 2) return false;
+    this.deposit(path, cost);
+    return true;
+  }
+
+  // Pheromone per layout edge, for GET /api/aco/pheromones
+  snapshot() {
+    const edges = this.layout.edges.map(edge => ({
+      from: edge.from,
+      to: edge.to,
+      pheromone: Math.round(this.level(edge.from, edge.to) * 1000) / 1000
+    }));
+    return {
+      settings: { ...this.settings },
+      maxLevel: edges.length > 0 ? Math.max(...edges.map(edge => edge.pheromone)) : 0,
+      edges
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_ACO_SETTINGS,
+  parseAcoSettings,
+  AntColonyRouter
+};
@@ -0,0 +1,319 @@
+const fs = require('fs');
+const path = require('path');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { getNodeIds } = require('./layout');
+const { pathMetrics } = require('./pathfinding');
+const { ReservationTable, DEFAULT_TIME_STEP, DEFAULT_HORIZON, DEFAULT_CLEARANCE } = require('./cooperativePlanner');
+const { agvEfficiency, routeEnergyWh, idleEnergyWh, whToPercent } = require('./energy');
+const { ALGORITHMS, ServerPathfinding, completeRoute, scoreAgv } = require('./routing');
+const { planTimedRoute } = require('./timedLegs');
+const { createRandom } = require('./random');
+
+// Routing benchmark for ultimateServer.js.
+// One seeded task set and one fleet are replayed once per routing algorithm
+// and dispatch strategy, with every AGV planning with the algorithm under
+// test. Tasks go out in release order to an idle AGV chosen by the strategy;
+// each AGV drives to the pickup, unless it is already there, then to the
+// delivery node. Legs are planned as ultimateServer.js plans them
+// (timedLegs.js planTimedRoute()): a time-aware plan that finds nothing falls
+// back to the A* route, which counts as a fallback. Routes are driven
+// on simulated time against the itineraries of the AGVs that went before: an
+// AGV waits at a node until the next edge and node are clear, so algorithms
+// that plan around other AGVs (Dijkstra+TimeWindow, CA*) wait by plan and the
+// others wait on the way. An AGV that finds its node taken while it waits, or
+// gives up waiting after the planning horizon, counts a conflict. Idle AGVs
+// are assumed to clear the way. Planning time is wall-clock time spent in planRoute().
+// Every replay starts from a fresh pheromone map for ACO, with its ants
+// drawing from the benchmark seed, and completed trips reinforce it as in the
+// server. A large benchmark takes seconds, so the server runs it with
+// runBenchmarkInWorker() to keep its event loop free.
+
+const DISPATCH_STRATEGIES = ['score', 'nearest', 'round_robin'];
+const DEFAULT_TASK_COUNT = 50;
+const DEFAULT_MEAN_GAP = 5000; // ms between task releases on average
+
+// The fleet ultimateServer.js starts with
+const DEFAULT_FLEET = [
+  { id: 'AGV1', position: 1, battery: 100, priority: 'High' },
+  { id: 'AGV2', position: 5, battery: 85, priority: 'Medium' },
+  { id: 'AGV3', position: 9, battery: 92, priority: 'Low' }
+];
+
+const CSV_COLUMNS = [
+  'algorithm', 'strategy', 'tasks', 'completed', 'failed', 'pathLength', 'averagePathLength',
+  'planningTimeMs', 'averagePlanningTimeMs', 'fallbacks', 'waits', 'waitTime', 'conflicts',
+  'averageCompletionTime', 'makespan', 'energyWh'
+];
+
+function roundTo(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Transport tasks like ultimateServer.js's auto-generated ones, released at
+// random gaps averaging meanGap ms. Only deliveries with a route are kept.
+function generateTasks(pathfinder, { count = DEFAULT_TASK_COUNT, seed = 1, meanGap = DEFAULT_MEAN_GAP } = {}) {
+  const random = createRandom(seed);
+  const nodeIds = getNodeIds(pathfinder.layout);
+  const tasks = [];
+  let releaseAt = 0;
+  for (let attempt = 0; tasks.length < count && attempt < count * 20; attempt++) {
+    const pickupLocation = random.pick(nodeIds);
+    const deliveryLocation = random.pick(nodeIds);
+    const priority = random.pick(['High', 'Medium', 'Low']);
+    const weight = random.int(10, 59);
+    const gap = Math.round(random.next() * 2 * meanGap);
+    if (pickupLocation === deliveryLocation || pathfinder.aStarPathfinding(pickupLocation, deliveryLocation).length === 0) {
+      continue;
+    }
+    releaseAt += gap;
+    tasks.push({ id: tasks.length + 1, type: 'transport', pickupLocation, deliveryLocation, priority, weight, releaseAt });
+  }
+  if (tasks.length < count) {
+    throw new Error(`Only ${tasks.length} of ${count} benchmark tasks could be routed on layout ${pathfinder.layout.name}`);
+  }
+  return tasks;
+}
+
+// The idle AGV a strategy hands the task to
+function chooseAgv(pathfinder, strategy, idle, task, lastIndex) {
+  switch (strategy) {
+    case 'nearest':
+      return idle.reduce((best, agv) =>
+        pathfinder.heuristic(agv.position, task.pickupLocation) < pathfinder.heuristic(best.position, task.pickupLocation) ? agv : best);
+    case 'round_robin':
+      return idle.find(agv => agv.index > lastIndex) || idle[0];
+    case 'score':
+    default:
+      return idle.reduce((best, agv) => scoreAgv(pathfinder, agv, task) > scoreAgv(pathfinder, best, task) ? agv : best);
+  }
+}
+
+// Drive a planned itinerary against the table. Each stop departs at its
+// planned time or later, once the next edge and node are clear.
+function driveItinerary(table, planned, agvId) {
+  const stops = [];
+  let arriveAt = planned[0].arriveAt;
+  let waits = 0;
+  let waitTime = 0;
+  let conflicts = 0;
+
+  planned.forEach((stop, index) => {
+    const next = planned[index + 1];
+    if (!next) {
+      stops.push({ node: stop.node, arriveAt, departAt: arriveAt });
+      return;
+    }
+    const hop = next.arriveAt - stop.departAt;
+    const isClear = time => table.isEdgeFree(stop.node, next.node, time, time + hop, agvId) &&
+      table.isNodeFree(next.node, time + hop, time + hop + DEFAULT_CLEARANCE, agvId);
+    let departAt = Math.max(arriveAt, stop.departAt);
+    while (!isClear(departAt) && departAt - arriveAt < DEFAULT_HORIZON) {
+      departAt += DEFAULT_TIME_STEP;
+    }
+    if (!isClear(departAt)) conflicts++;
+    if (departAt > arriveAt) {
+      waits++;
+      waitTime += departAt - arriveAt;
+      if (!table.isNodeFree(stop.node, arriveAt, departAt + DEFAULT_CLEARANCE, agvId)) conflicts++;
+    }
+    stops.push({ node: stop.node, arriveAt, departAt });
+    arriveAt = departAt + hop;
+  });
+
+  return { itinerary: stops, waits, waitTime, conflicts };
+}
+
+// Graph arcs along a path, or null when a hop has no edge
+function pathArcs(graph, nodes) {
+  const arcs = [];
+  for (let i = 0; i + 1 < nodes.length; i++) {
+    const arc = (graph[nodes[i]] || []).find(a => a.to === nodes[i + 1]);
+    if (!arc) return null;
+    arcs.push(arc);
+  }
+  return arcs;
+}
+
+// One replay of the task set with every AGV on algorithm, dispatched by strategy
+function runBenchmarkCase(serverPathfinder, { fleet, tasks, algorithm, strategy, energyModel, seed }) {
+  const pathfinder = new ServerPathfinding(serverPathfinder.layout, {
+    aco: { ...serverPathfinder.antColony.settings, random: createRandom(seed).next }
+  });
+  const { graph } = pathfinder;
+  const agvs = fleet.map((agv, index) => ({ ...agv, algorithm, index, availableAt: 0 }));
+  const table = new ReservationTable();
+  const totals = { pathLength: 0, planningTime: 0, plans: 0, fallbacks: 0, waits: 0, waitTime: 0, conflicts: 0, energyWh: 0 };
+  const completionTimes = [];
+  let failed = 0;
+  let makespan = 0;
+  let now = 0;
+  let lastIndex = -1;
+
+  [...tasks].sort((a, b) => a.releaseAt - b.releaseAt).forEach(task => {
+    now = Math.max(now, task.releaseAt, Math.min(...agvs.map(agv => agv.availableAt)));
+    const agv = chooseAgv(pathfinder, strategy, agvs.filter(candidate => candidate.availableAt <= now), task, lastIndex);
+    lastIndex = agv.index;
+
+    const legs = [
+      { from: agv.position, to: task.pickupLocation, payload: 0 },
+      { from: task.pickupLocation, to: task.deliveryLocation, payload: task.weight }
+    ];
+    const driven = [];
+    let time = now;
+    for (const leg of legs) {
+      if (leg.from === leg.to) continue; // Already at the pickup
+      const started = process.hrtime.bigint();
+      const plan = planTimedRoute(pathfinder, algorithm, {
+        agvId: agv.id,
+        from: leg.from,
+        to: leg.to,
+        startTime: time,
+        reservations: () => table
+      });
+      totals.planningTime += Number(process.hrtime.bigint() - started) / 1e6;
+      totals.plans++;
+
+      const arcs = plan && pathArcs(graph, plan.path);
+      if (!arcs || plan.path[0] !== leg.from || plan.path[plan.path.length - 1] !== leg.to) {
+        failed++;
+        return;
+      }
+      if (plan.fallback) totals.fallbacks++;
+      const run = driveItinerary(table, plan.itinerary, agv.id);
+      driven.push({ leg, arcs, run });
+      time = run.itinerary[run.itinerary.length - 1].arriveAt;
+    }
+
+    const efficiency = agvEfficiency(energyModel, agv.id);
+    driven.forEach(({ leg, arcs, run }) => {
+      const nodes = run.itinerary.map(stop => stop.node);
+      table.reserveItinerary(run.itinerary, agv.id, { park: false });
+      completeRoute(pathfinder, algorithm, nodes);
+      const energy = routeEnergyWh(energyModel, arcs, leg.payload, efficiency) + idleEnergyWh(energyModel, run.waitTime);
+      totals.energyWh += energy;
+      agv.battery = Math.max(0, agv.battery - whToPercent(energyModel, energy));
+      totals.pathLength += pathMetrics(graph, nodes).length;
+      totals.waits += run.waits;
+      totals.waitTime += run.waitTime;
+      totals.conflicts += run.conflicts;
+    });
+    agv.position = task.deliveryLocation;
+    agv.availableAt = time;
+    completionTimes.push((time - task.releaseAt) / 1000);
+    makespan = Math.max(makespan, time / 1000);
+  });
+
+  const completed = completionTimes.length;
+  return {
+    algorithm,
+    strategy,
+    tasks: tasks.length,
+    completed,
+    failed,
+    pathLength: roundTo(totals.pathLength, 2),
+    averagePathLength: completed > 0 ? roundTo(totals.pathLength / completed, 2) : null,
+    planningTimeMs: roundTo(totals.planningTime, 3),
+    averagePlanningTimeMs: totals.plans > 0 ? roundTo(totals.planningTime / totals.plans, 3) : null,
+    fallbacks: totals.fallbacks,
+    waits: totals.waits,
+    waitTime: roundTo(totals.waitTime / 1000, 1),
+    conflicts: totals.conflicts,
+    averageCompletionTime: completed > 0 ? roundTo(completionTimes.reduce((sum, value) => sum + value, 0) / completed, 1) : null,
+    makespan: roundTo(makespan, 1),
+    energyWh: roundTo(totals.energyWh, 3)
+  };
+}
+
+// fleet: [{ id, position, battery, priority }]; tasks: generateTasks() output.
+// Returns { seed, fleet, tasks, results } with one result per algorithm and strategy.
+function runBenchmark(pathfinder, { fleet, tasks, energyModel, seed = 1, algorithms = ALGORITHMS, strategies = DISPATCH_STRATEGIES }) {
+  if (fleet.length === 0) {
+    throw new Error('A benchmark needs at least one AGV');
+  }
+  if (!Array.isArray(algorithms) || !Array.isArray(strategies)) {
+    throw new Error('algorithms and strategies must be lists');
+  }
+  const unknownAlgorithm = algorithms.find(algorithm => !ALGORITHMS.includes(algorithm));
+  if (unknownAlgorithm) {
+    throw new Error(`Unknown algorithm ${unknownAlgorithm} - use ${ALGORITHMS.join(', ')}`);
+  }
+  const unknownStrategy = strategies.find(strategy => !DISPATCH_STRATEGIES.includes(strategy));
+  if (unknownStrategy) {
+    throw new Error(`Unknown dispatch strategy ${unknownStrategy} - use ${DISPATCH_STRATEGIES.join(', ')}`);
+  }
+
+  const results = [];
+  strategies.forEach(strategy => {
+    algorithms.forEach(algorithm => {
+      results.push(runBenchmarkCase(pathfinder, { fleet, tasks, algorithm, strategy, energyModel, seed }));
+    });
+  });
+  return { seed, layout: pathfinder.layout.name, fleet, tasks, results };
+}
+
+function benchmarkCsv(results) {
+  const rows = results.map(result => CSV_COLUMNS.map(column => (result[column] === null ? '' : result[column])).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+// Write benchmark.json and benchmark.csv into dir; returns their paths
+function writeBenchmark(report, dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const files = { json: path.join(dir, 'benchmark.json'), csv: path.join(dir, 'benchmark.csv') };
+  fs.writeFileSync(files.json, JSON.stringify(report, null, 2));
+  fs.writeFileSync(files.csv, benchmarkCsv(report.results));
+  return files;
+}
+
+// generateTasks() and runBenchmark() in a worker thread, on a pathfinder built
+// from layout with the given ACO settings (the only state a replay takes from
+// the server's pathfinder). options: { count, meanGap, seed, fleet,
+// energyModel, algorithms, strategies }. Resolves with runBenchmark()'s report.
+function runBenchmarkInWorker(layout, acoSettings, options) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, { workerData: { benchmarkRun: { layout, acoSettings, options } } });
+    let settled = false;
+    const settle = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      worker.terminate();
+      callback(value);
+    };
+
+    worker.on('message', message => {
+      if (message.type === 'result') {
+        settle(resolve, message.report);
+      } else if (message.type === 'error') {
+        settle(reject, new Error(message.error));
+      }
+    });
+    worker.on('error', error => settle(reject, error));
+    worker.on('exit', code => settle(reject, new Error(`Benchmark worker exited with code ${code}`)));
+  });
+}
+
+module.exports = {
+  DISPATCH_STRATEGIES,
+  DEFAULT_FLEET,
+  DEFAULT_TASK_COUNT,
+  DEFAULT_MEAN_GAP,
+  generateTasks,
+  runBenchmark,
+  runBenchmarkInWorker,
+  benchmarkCsv,
+  writeBenchmark
+};
+
+// Worker thread started by runBenchmarkInWorker()
+if (!isMainThread && workerData && workerData.benchmarkRun) {
+  const { layout, acoSettings, options } = workerData.benchmarkRun;
+  const { count, meanGap, seed, ...run } = options;
+  try {
+    const pathfinder = new ServerPathfinding(layout, { aco: acoSettings });
+    const tasks = generateTasks(pathfinder, { count, seed, meanGap });
+    parentPort.postMessage({ type: 'result', report: runBenchmark(pathfinder, { ...run, tasks, seed }) });
+  } catch (error) {
+    parentPort.postMessage({ type: 'error', error: error.message });
+  }
+}
@@ -0,0 +1,144 @@
+// Charger slots, reservations and the queue of AGVs waiting for a free charger.
+// An AGV holds a slot from the moment it is sent to a charger until it has
+// finished charging, so two AGVs are never sent to the same last free slot.
+
+class ChargerPool {
+  constructor(chargers, now = Date.now()) {
+    this.chargers = new Map(chargers.map(({ node, capacity }) => [node, {
+      node,
+      capacity,
+      holders: new Map(), // agvId -> { state: 'reserved' | 'charging', since }
+      busyMs: 0, // slot time spent charging in finished sessions
+      sessions: 0
+    }]));
+    this.waiting = []; // [{ agvId, since }] in arrival order
+    this.trackingSince = now;
+  }
+
+  isCharger(node) {
+    return this.chargers.has(node);
+  }
+
+  // Nodes hold one AGV unless a charger gives them more slots
+  capacity(node) {
+    return this.chargers.has(node) ? this.chargers.get(node).capacity : 1;
+  }
+
+  chargerOf(agvId) {
+    for (const charger of this.chargers.values()) {
+      if (charger.holders.has(agvId)) return charger.node;
+    }
+    return null;
+  }
+
+  hasFreeSlot(node, agvId) {
+    const charger = this.chargers.get(node);
+    if (!charger) return false;
+    return charger.holders.has(agvId) || charger.holders.size < charger.capacity;
+  }
+
+  // Charger with a free slot at the lowest cost according to costTo(node);
+  // chargers with an infinite cost (unreachable) are skipped
+  findNearestAvailable(agvId, costTo) {
+    let best = null;
+    let bestCost = Infinity;
+    for (const node of this.chargers.keys()) {
+      if (!this.hasFreeSlot(node, agvId)) continue;
+      const cost = costTo(node);
+      if (cost < bestCost) {
+        best = node;
+        bestCost = cost;
+      }
+    }
+    return best;
+  }
+
+  reserve(node, agvId, now = Date.now()) {
+    if (!this.hasFreeSlot(node, agvId)) return false;
+    this.release(agvId, now);
+    this.chargers.get(node).holders.set(agvId, { state: 'reserved', since: now });
+    return true;
+  }
+
+  startCharging(node, agvId, now = Date.now()) {
+    if (!this.hasFreeSlot(node, agvId)) return false;
+    if (this.chargerOf(agvId) !== node) this.release(agvId, now);
+    this.chargers.get(node).holders.set(agvId, { state: 'charging', since: now });
+    return true;
+  }
+
+  // Free whatever slot the AGV holds. Returns the charger node or null.
+  release(agvId, now = Date.now()) {
+    const node = this.chargerOf(agvId);
+    if (node === null) return null;
+    const charger = this.chargers.get(node);
+    const holder = charger.holders.get(agvId);
+    if (holder.state === 'charging') {
+      charger.busyMs += now - holder.since;
+      charger.sessions++;
+    }
+    charger.holders.delete(agvId);
+    return node;
+  }
+
+  // Drop every slot held by an AGV that has not started charging yet
+  cancelReservations() {
+    for (const charger of this.chargers.values()) {
+      for (const [agvId, holder] of charger.holders.entries()) {
+        if (holder.state === 'reserved') charger.holders.delete(agvId);
+      }
+    }
+  }
+
+  // Add an AGV to the charger queue. Returns its 1-based position.
+  enqueue(agvId, now = Date.now()) {
+    const index = this.waiting.findIndex(entry => entry.agvId === agvId);
+    if (index !== -1) return index + 1;
+    this.waiting.push({ agvId, since: now });
+    return this.waiting.length;
+  }
+
+  removeWaiting(agvId) {
+    this.waiting = this.waiting.filter(entry => entry.agvId !== agvId);
+  }
+
+  waitingAgvs() {
+    return this.waiting.map(entry => entry.agvId);
+  }
+
+  clearWaiting() {
+    this.waiting = [];
+  }
+
+  // Per-charger occupancy and utilisation: the share of available slot time
+  // spent charging since tracking started
+  stats(now = Date.now()) {
+    const elapsed = Math.max(1, now - this.trackingSince);
+    return [...this.chargers.values()].map(charger => {
+      const holders = [...charger.holders.values()];
+      const charging = holders.filter(holder => holder.state === 'charging');
+      const busyMs = charger.busyMs + charging.reduce((sum, holder) => sum + (now - holder.since), 0);
+      return {
+        node: charger.node,
+        capacity: charger.capacity,
+        charging: charging.length,
+        reserved: holders.length - charging.length,
+        sessions: charger.sessions,
+        busyMs,
+        utilisation: Math.round((busyMs / (charger.capacity * elapsed)) * 1000) / 10
+      };
+    });
+  }
+
+  queueSnapshot(now = Date.now()) {
+    return this.waiting.map((entry, index) => ({
+      agvId: entry.agvId,
+      position: index + 1,
+      waitTime: now - entry.since
+    }));
+  }
+}
+
+module.exports = {
+  ChargerPool
+};
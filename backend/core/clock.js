@@ -0,0 +1,98 @@
+// Time source for the simulation.
+// server.js reads the time and sets its timers through the current clock. The
+// HTTP server keeps the system clock; the batch runner installs a VirtualClock
+// before loading it, so the same coordinator, charging and dispatch code runs
+// on simulated time as fast as the CPU allows.
+
+const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: id => clearTimeout(id),
+  setInterval: (callback, delay) => setInterval(callback, delay),
+  clearInterval: id => clearInterval(id)
+};
+
+class VirtualClock {
+  constructor(start = Date.now()) {
+    this.time = start;
+    this.timers = new Map(); // id -> { callback, at, interval, seq }
+    this.nextId = 1;
+    this.seq = 0; // timers due at the same time fire in the order they were (re)scheduled
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setTimeout(callback, delay = 0) {
+    return this.schedule(callback, delay, null);
+  }
+
+  setInterval(callback, delay = 0) {
+    return this.schedule(callback, delay, Math.max(1, delay));
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  clearInterval(id) {
+    this.timers.delete(id);
+  }
+
+  schedule(callback, delay, interval) {
+    const id = this.nextId++;
+    this.timers.set(id, { callback, at: this.time + Math.max(0, delay || 0), interval, seq: this.seq++ });
+    return id;
+  }
+
+  // Move the clock to the earliest timer and fire it. Returns false when no timer is left.
+  step() {
+    let nextId = null;
+    let next = null;
+    this.timers.forEach((timer, id) => {
+      if (!next || timer.at < next.at || (timer.at === next.at && timer.seq < next.seq)) {
+        nextId = id;
+        next = timer;
+      }
+    });
+    if (!next) return false;
+
+    this.time = next.at;
+    if (next.interval) {
+      next.at += next.interval;
+      next.seq = this.seq++;
+    } else {
+      this.timers.delete(nextId);
+    }
+    next.callback();
+    return true;
+  }
+
+  // Fire timers in order until done() holds, no timer is left or the next one is
+  // due after `until`. Returns true when done() held.
+  run(done, until = Infinity) {
+    while (!done()) {
+      const dueAt = Math.min(...[...this.timers.values()].map(timer => timer.at));
+      if (!(dueAt <= until) || !this.step()) return false;
+    }
+    return true;
+  }
+}
+
+let currentClock = systemClock;
+
+function useClock(clock) {
+  currentClock = clock;
+}
+
+function getClock() {
+  return currentClock;
+}
+
+module.exports = {
+  systemClock,
+  VirtualClock,
+  useClock,
+  getClock
+};
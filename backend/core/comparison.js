@@ -0,0 +1,149 @@
+const { SIGNIFICANCE_LEVEL, mean, welchTTest, pairedTTest, twoProportionTest, poissonRateTest } = require('./statistics');
+
+// Side-by-side comparison of stored simulation runs (see storage.js).
+// The first run is the baseline; every other run gets the deltas against it.
+// Where the runs hold enough samples a difference is tested and flagged
+// significant below SIGNIFICANCE_LEVEL:
+//   tasks completed        completion rate, two-proportion z-test
+//   collision events       collisions per second of run, exact Poisson test
+//   average delivery times per-task delivery times, Welch's t-test
+//   battery, charge counts the AGVs in both runs, paired t-test
+// Total execution time is one number per run and is not tested.
+
+const DELIVERY_KEYS = ['overall', 'high', 'medium', 'low'];
+const PRIORITY_NAMES = { 1: 'high', 2: 'medium', 3: 'low' };
+
+function roundTo(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+// { baseline, value, delta, percent }; delta and percent are null when a side is missing
+function difference(baseline, value) {
+  const known = isNumber(baseline) && isNumber(value);
+  return {
+    baseline: isNumber(baseline) ? baseline : null,
+    value: isNumber(value) ? value : null,
+    delta: known ? roundTo(value - baseline, 3) : null,
+    percent: known && baseline !== 0 ? roundTo((value - baseline) / baseline * 100, 1) : null
+  };
+}
+
+function tested(metric, test) {
+  return {
+    ...metric,
+    pValue: test ? roundTo(test.pValue, 4) : null,
+    significant: Boolean(test) && test.pValue < SIGNIFICANCE_LEVEL
+  };
+}
+
+// Completed delivery times in seconds per DELIVERY_KEYS entry
+function deliverySamples(tasks) {
+  const completed = tasks.filter(task => task.status === 'completed' && isNumber(task.deliveryTime));
+  const samples = { overall: completed.map(task => task.deliveryTime) };
+  ['high', 'medium', 'low'].forEach(priority => {
+    samples[priority] = completed.filter(task => PRIORITY_NAMES[task.priority] === priority).map(task => task.deliveryTime);
+  });
+  return samples;
+}
+
+function agvTable(simulation) {
+  return new Map((simulation.agvStats || []).map(agv => [agv.agvId, agv]));
+}
+
+function compareRun(base, run) {
+  const { simulation: a, tasks: tasksA } = base;
+  const { simulation: b, tasks: tasksB } = run;
+
+  const completion = tested(difference(a.tasksCompleted, b.tasksCompleted),
+    isNumber(a.totalTasks) && isNumber(b.totalTasks) ?
+      twoProportionTest(a.tasksCompleted, a.totalTasks, b.tasksCompleted, b.totalTasks) :
+      null);
+  completion.completionRate = difference(
+    a.totalTasks > 0 ? roundTo(a.tasksCompleted / a.totalTasks * 100, 1) : null,
+    b.totalTasks > 0 ? roundTo(b.tasksCompleted / b.totalTasks * 100, 1) : null);
+
+  const collisionsA = (a.collisionEvents || []).length;
+  const collisionsB = (b.collisionEvents || []).length;
+  const collisions = tested(difference(collisionsA, collisionsB),
+    poissonRateTest(collisionsA, a.totalExecutionTime, collisionsB, b.totalExecutionTime));
+
+  const samplesA = deliverySamples(tasksA);
+  const samplesB = deliverySamples(tasksB);
+  const deliveryTimes = {};
+  DELIVERY_KEYS.forEach(key => {
+    const baseline = (a.averageDeliveryTimes || {})[key];
+    const value = (b.averageDeliveryTimes || {})[key];
+    if (!isNumber(baseline) && !isNumber(value)) return;
+    deliveryTimes[key] = {
+      ...tested(difference(baseline, value), welchTTest(samplesA[key], samplesB[key])),
+      samples: { baseline: samplesA[key].length, value: samplesB[key].length }
+    };
+  });
+
+  const agvsA = agvTable(a);
+  const agvsB = agvTable(b);
+  const agvIds = [...new Set([...agvsA.keys(), ...agvsB.keys()])].sort((x, y) => x - y);
+  const shared = agvIds.filter(id => agvsA.has(id) && agvsB.has(id));
+  const fleetMetric = field => {
+    const valuesA = shared.map(id => agvsA.get(id)[field]);
+    const valuesB = shared.map(id => agvsB.get(id)[field]);
+    return tested(
+      difference(shared.length > 0 ? roundTo(mean(valuesA), 2) : null, shared.length > 0 ? roundTo(mean(valuesB), 2) : null),
+      pairedTTest(valuesA, valuesB));
+  };
+
+  return {
+    simulationId: b.simulationId,
+    totalExecutionTime: difference(a.totalExecutionTime, b.totalExecutionTime),
+    tasksCompleted: completion,
+    collisionEvents: collisions,
+    averageDeliveryTimes: deliveryTimes,
+    // Fleet means over the AGVs in both runs
+    batteryRemaining: fleetMetric('batteryRemaining'),
+    chargeCount: fleetMetric('chargeCount'),
+    agvs: agvIds.map(agvId => ({
+      agvId,
+      batteryRemaining: difference((agvsA.get(agvId) || {}).batteryRemaining, (agvsB.get(agvId) || {}).batteryRemaining),
+      chargeCount: difference((agvsA.get(agvId) || {}).chargeCount, (agvsB.get(agvId) || {}).chargeCount)
+    }))
+  };
+}
+
+// runs: [{ simulation (record), tasks (its task records) }], at least two
+function compareRuns(runs) {
+  if (runs.length < 2) {
+    throw new Error('A comparison needs at least two simulations');
+  }
+  const [base, ...others] = runs;
+  return {
+    baseline: base.simulation.simulationId,
+    significanceLevel: SIGNIFICANCE_LEVEL,
+    runs: runs.map(({ simulation }) => ({
+      simulationId: simulation.simulationId,
+      timestamp: simulation.timestamp,
+      status: simulation.status
+    })),
+    comparisons: others.map(run => compareRun(base, run))
+  };
+}
+
+// Load and compare stored simulations by id. Returns { comparison }, or
+// { missing } with the ids the store does not have.
+async function compareStoredSimulations(store, ids) {
+  const runs = await Promise.all(ids.map(async simulationId => ({
+    simulation: await store.getSimulation(simulationId),
+    tasks: await store.listTasks(simulationId)
+  })));
+  const missing = ids.filter((simulationId, index) => !runs[index].simulation);
+  return missing.length > 0 ? { missing } : { comparison: compareRuns(runs) };
+}
+
+module.exports = {
+  compareRuns,
+  compareStoredSimulations
+};
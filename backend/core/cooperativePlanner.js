@@ -0,0 +1,229 @@
+const { nodeDistance } = require('./layout');
+
+// Cooperative A* (CA*) - space-time planning against a shared reservation table.
+// Each AGV is planned in turn; its itinerary is written to the table so AGVs
+// planned later route around it in both space and time. Waiting in place is a
+// move like any other, so waits are planned instead of discovered.
+
+const DEFAULT_TIME_STEP = 500; // ms resolution of the space-time search
+const DEFAULT_HORIZON = 120000; // ms beyond the start time before giving up
+const DEFAULT_CLEARANCE = 1000; // ms a node stays reserved after an AGV leaves it
+
+function edgeKey(a, b) {
+  return a < b ? `${a}-${b}` : `${b}-${a}`;
+}
+
+function overlaps(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+// Time intervals [start, end) in ms during which nodes and edges are taken
+class ReservationTable {
+  constructor() {
+    this.nodes = new Map(); // nodeId -> [{ start, end, agvId }]
+    this.edges = new Map(); // edgeKey -> [{ start, end, agvId, from }]
+  }
+
+  reserveNode(nodeId, start, end, agvId) {
+    if (!this.nodes.has(nodeId)) this.nodes.set(nodeId, []);
+    this.nodes.get(nodeId).push({ start, end, agvId });
+  }
+
+  reserveEdge(from, to, start, end, agvId) {
+    const key = edgeKey(from, to);
+    if (!this.edges.has(key)) this.edges.set(key, []);
+    this.edges.get(key).push({ start, end, agvId, from });
+  }
+
+  isNodeFree(nodeId, start, end, agvId) {
+    return !(this.nodes.get(nodeId) || [])
+      .some(slot => slot.agvId !== agvId && overlaps(slot, { start, end }));
+  }
+
+  // Edges carry one AGV at a time regardless of direction, which rules out swaps
+  isEdgeFree(from, to, start, end, agvId) {
+    return !(this.edges.get(edgeKey(from, to)) || [])
+      .some(slot => slot.agvId !== agvId && overlaps(slot, { start, end }));
+  }
+
+  // Write an itinerary ([{ node, arriveAt, departAt }]) into the table.
+  // The last node is held indefinitely unless park is false.
+  reserveItinerary(itinerary, agvId, options = {}) {
+    const { clearance = DEFAULT_CLEARANCE, park = true } = options;
+    itinerary.forEach((stop, index) => {
+      const isLast = index === itinerary.length - 1;
+      const end = isLast && park ? Infinity : stop.departAt + clearance;
+      this.reserveNode(stop.node, stop.arriveAt, end, agvId);
+      if (!isLast) {
+        this.reserveEdge(stop.node, itinerary[index + 1].node, stop.departAt, itinerary[index + 1].arriveAt, agvId);
+      }
+    });
+  }
+
+  release(agvId) {
+    for (const table of [this.nodes, this.edges]) {
+      for (const [key, slots] of table.entries()) {
+        const kept = slots.filter(slot => slot.agvId !== agvId);
+        if (kept.length > 0) table.set(key, kept);
+        else table.delete(key);
+      }
+    }
+  }
+}
+
+// Minimal binary heap keyed on fScore for the open set
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(item) {
+    this.items.push(item);
+    let i = this.items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.items[parent].fScore <= this.items[i].fScore) break;
+      [this.items[parent], this.items[i]] = [this.items[i], this.items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const top = this.items[0];
+    const last = this.items.pop();
+    if (this.items.length > 0) {
+      this.items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < this.items.length && this.items[left].fScore < this.items[smallest].fScore) smallest = left;
+        if (right < this.items.length && this.items[right].fScore < this.items[smallest].fScore) smallest = right;
+        if (smallest === i) break;
+        [this.items[smallest], this.items[i]] = [this.items[i], this.items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+// Times along a path when every hop is taken as soon as possible, optionally
+// holding at each node until schedule[i] (a planned departure time)
+function itineraryFromPath(graph, path, startTime, schedule = null) {
+  const itinerary = [];
+  let time = startTime;
+  path.forEach((node, index) => {
+    const arriveAt = time;
+    const departAt = schedule && schedule[index] !== undefined ? Math.max(arriveAt, schedule[index]) : arriveAt;
+    itinerary.push({ node, arriveAt, departAt });
+    if (index + 1 < path.length) {
+      const arc = (graph[node] || []).find(a => a.to === path[index + 1]);
+      time = departAt + (arc ? arc.travelTime : 0);
+    }
+  });
+  return itinerary;
+}
+
+// Space-time A* from start to goal leaving at startTime.
+// Returns { path, itinerary, waitTime } or null when no conflict-free plan
+// exists within the horizon. itinerary is [{ node, arriveAt, departAt }] with
+// absolute ms times; path lists the distinct nodes visited.
+// informed: false drops the heuristic, making the search a space-time Dijkstra.
+function cooperativeAStar(layout, graph, table, start, goal, options = {}) {
+  const {
+    agvId,
+    startTime = Date.now(),
+    timeStep = DEFAULT_TIME_STEP,
+    horizon = DEFAULT_HORIZON,
+    clearance = DEFAULT_CLEARANCE,
+    informed = true
+  } = options;
+  if (!graph[start] || !graph[goal]) return null;
+
+  // Admissible time heuristic: straight-line distance at the fastest speed limit
+  const maxSpeed = Math.max(...layout.edges.map(edge => edge.speedLimit));
+  const heuristic = (node) => (informed ? (nodeDistance(layout, node, goal) / maxSpeed) * 1000 : 0);
+  const roundUp = (ms) => Math.ceil(ms / timeStep) * timeStep;
+  const deadline = startTime + horizon;
+
+  const open = new MinHeap();
+  const closed = new Set();
+  open.push({ node: start, time: startTime, fScore: heuristic(start), parent: null });
+
+  while (open.size > 0) {
+    const state = open.pop();
+    const key = `${state.node}@${state.time}`;
+    if (closed.has(key)) continue;
+    closed.add(key);
+
+    // Only stop at the goal if nobody needs it afterwards
+    if (state.node === goal && table.isNodeFree(goal, state.time, Infinity, agvId)) {
+      return buildPlan(state);
+    }
+    if (state.time > deadline) continue;
+
+    // Wait in place for one step
+    const waitUntil = state.time + timeStep;
+    if (table.isNodeFree(state.node, state.time, waitUntil + clearance, agvId)) {
+      open.push({
+        node: state.node,
+        time: waitUntil,
+        fScore: waitUntil - startTime + heuristic(state.node),
+        parent: state
+      });
+    }
+
+    // Traverse an edge
+    for (const arc of graph[state.node]) {
+      const arriveAt = state.time + roundUp(arc.travelTime);
+      if (!table.isEdgeFree(state.node, arc.to, state.time, arriveAt, agvId)) continue;
+      if (!table.isNodeFree(arc.to, arriveAt, arriveAt + timeStep + clearance, agvId)) continue;
+      if (closed.has(`${arc.to}@${arriveAt}`)) continue;
+      open.push({
+        node: arc.to,
+        time: arriveAt,
+        fScore: arriveAt - startTime + heuristic(arc.to),
+        parent: state
+      });
+    }
+  }
+
+  return null;
+}
+
+// Collapse the chain of search states into one stop per node visit
+function buildPlan(goalState) {
+  const states = [];
+  for (let state = goalState; state; state = state.parent) {
+    states.unshift(state);
+  }
+
+  const itinerary = [];
+  states.forEach(state => {
+    const previous = itinerary[itinerary.length - 1];
+    if (previous && previous.node === state.node) {
+      previous.departAt = state.time; // A wait step extends the current stop
+    } else {
+      itinerary.push({ node: state.node, arriveAt: state.time, departAt: state.time });
+    }
+  });
+
+  const waitTime = itinerary.reduce((sum, stop, index) =>
+    index < itinerary.length - 1 ? sum + (stop.departAt - stop.arriveAt) : sum, 0);
+  return { path: itinerary.map(stop => stop.node), itinerary, waitTime };
+}
+
+module.exports = {
+  DEFAULT_TIME_STEP,
+  DEFAULT_HORIZON,
+  DEFAULT_CLEARANCE,
+  ReservationTable,
+  cooperativeAStar,
+  itineraryFromPath
+};
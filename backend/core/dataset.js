@@ -0,0 +1,213 @@
+const path = require('path');
+const XLSX = require('xlsx');
+
+// Task datasets uploaded as CSV or Excel workbooks.
+// Columns are matched by header name, so both the hackathon workbook
+// ("Source Station", "Destination Station", "Payload Weight", "Priority",
+// "Time of Scheduling") and the plain CSV layout (startNode,endNode,weight,priority)
+// are read. Every row is validated before it becomes a task, and the
+// per-row report says what was wrong, what was assumed and what was read.
+
+const DATASET_EXTENSIONS = ['.csv', '.xlsx', '.xls'];
+
+// Header spellings per task field, compared lower-case without spaces or punctuation
+const COLUMN_ALIASES = {
+  payloadId: ['id', 'payload', 'payloadid', 'taskid'],
+  startNode: ['startnode', 'source', 'sourcestation', 'sourcenode', 'from', 'pickup'],
+  endNode: ['endnode', 'destination', 'destinationstation', 'destinationnode', 'to', 'drop'],
+  weight: ['weight', 'payloadweight'],
+  priority: ['priority'],
+  scheduledAt: ['timeofscheduling', 'schedulingtime', 'scheduledat', 'scheduletime', 'time']
+};
+const REQUIRED_COLUMNS = ['startNode', 'endNode', 'weight'];
+
+// Numeric priorities rank 1 highest, as in the hackathon workbook
+const NUMERIC_PRIORITIES = { 1: 'high', 2: 'medium', 3: 'low' };
+const PRIORITIES = ['high', 'medium', 'low'];
+const DEFAULT_PRIORITY = 'medium';
+
+function normaliseHeader(header) {
+  return String(header === null || header === undefined ? '' : header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Column index per task field for a header row, plus the required fields
+// that have no column
+function mapColumns(headerRow) {
+  const headers = headerRow.map(normaliseHeader);
+  const columns = {};
+  Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+    const index = headers.findIndex(header => aliases.includes(header));
+    if (index !== -1) columns[field] = index;
+  });
+  const missing = REQUIRED_COLUMNS.filter(field => columns[field] === undefined);
+  return { columns, missing };
+}
+
+// null when the priority is not one we know
+function normalisePriority(value) {
+  if (NUMERIC_PRIORITIES[Number(value)]) return NUMERIC_PRIORITIES[Number(value)];
+  const priority = String(value).trim().toLowerCase();
+  return PRIORITIES.includes(priority) ? priority : null;
+}
+
+// Scheduling time as HH:MM:SS. Excel stores times as a fraction of a day;
+// text cells may hold HH:MM or HH:MM:SS.
+function normaliseTime(value) {
+  if (isBlank(value)) return null;
+  if (typeof value === 'number') {
+    if (!(value >= 0)) return null;
+    const seconds = Math.round((value % 1) * 24 * 3600) % (24 * 3600);
+    return [seconds / 3600, (seconds % 3600) / 60, seconds % 60]
+      .map(part => String(Math.floor(part)).padStart(2, '0'))
+      .join(':');
+  }
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(value).trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59 || Number(match[3] || 0) > 59) return null;
+  return `${match[1].padStart(2, '0')}:${match[2]}:${match[3] || '00'}`;
+}
+
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+function toInteger(value) {
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  return Number.isInteger(number) ? number : null;
+}
+
+// Check one data row. Returns { errors, warnings, values } where values holds
+// the normalised task fields (null where the cell could not be read).
+// options.hasNode(node) and options.isReachable(start, end) check against the
+// layout when given.
+function validateRow(cell, options) {
+  const errors = [];
+  const warnings = [];
+  const values = { payloadId: null, startNode: null, endNode: null, weight: null, priority: null, scheduledAt: null };
+
+  if (!isBlank(cell('payloadId'))) values.payloadId = String(cell('payloadId')).trim();
+
+  [['startNode', 'Source'], ['endNode', 'Destination']].forEach(([field, label]) => {
+    const raw = cell(field);
+    const node = isBlank(raw) ? null : toInteger(raw);
+    if (isBlank(raw)) errors.push(`${label} is empty`);
+    else if (node === null) errors.push(`${label} "${raw}" is not a node number`);
+    else if (options.hasNode && !options.hasNode(node)) errors.push(`${label} node ${node} is not in the layout`);
+    else values[field] = node;
+  });
+  if (values.startNode !== null && values.startNode === values.endNode) {
+    errors.push(`Source and destination are both node ${values.startNode}`);
+  } else if (values.startNode !== null && values.endNode !== null &&
+    options.isReachable && !options.isReachable(values.startNode, values.endNode)) {
+    errors.push(`Node ${values.endNode} cannot be reached from node ${values.startNode}`);
+  }
+
+  const weight = cell('weight');
+  if (isBlank(weight)) errors.push('Weight is empty');
+  else if (!Number.isFinite(Number(weight))) errors.push(`Weight "${weight}" is not a number`);
+  else if (Number(weight) < 0) errors.push(`Weight ${weight} is negative`);
+  else values.weight = Number(weight);
+
+  const priority = cell('priority');
+  if (isBlank(priority)) {
+    values.priority = DEFAULT_PRIORITY;
+    warnings.push(`Priority is empty, using ${DEFAULT_PRIORITY}`);
+  } else if (normalisePriority(priority) === null) {
+    errors.push(`Priority "${priority}" is not 1-3 or ${PRIORITIES.join('/')}`);
+  } else {
+    values.priority = normalisePriority(priority);
+  }
+
+  const time = cell('scheduledAt');
+  if (!isBlank(time)) {
+    values.scheduledAt = normaliseTime(time);
+    if (values.scheduledAt === null) errors.push(`Scheduling time "${time}" is not a time of day`);
+  }
+
+  return { errors, warnings, values };
+}
+
+// Validate the rows of every sheet; the first row of each is its header.
+// sheets: [{ name, rows }]. Returns { report, sheetReport, tasks, summary }
+// where report has one { sheet, row, valid, errors, warnings, values } per data
+// row (1-based row numbers) and tasks are the values of the valid rows with
+// their sheet and row. Sheets whose rows are not read are listed in
+// sheetReport as { sheet, errors, warnings }: a sheet with none of the task
+// columns (a notes or lookup sheet) is skipped with a warning, one with only
+// some of them is an error.
+function validateDataset(sheets, options = {}) {
+  const report = [];
+  const sheetReport = [];
+  const payloadRows = new Map(); // payloadId -> first "sheet row N"
+
+  sheets.forEach(({ name: sheet, rows }) => {
+    if (rows.length === 0) return;
+    const { columns, missing } = mapColumns(rows[0]);
+    if (missing.length === REQUIRED_COLUMNS.length) {
+      sheetReport.push({ sheet, errors: [], warnings: [`No task columns (${REQUIRED_COLUMNS.join(', ')}), sheet skipped`] });
+      return;
+    }
+    if (missing.length > 0) {
+      sheetReport.push({ sheet, errors: [`Missing column(s): ${missing.join(', ')}`], warnings: [] });
+      return;
+    }
+
+    rows.slice(1).forEach((cells, index) => {
+      if (cells.every(isBlank)) return;
+      const row = index + 2;
+      const cell = field => (columns[field] === undefined ? null : cells[columns[field]]);
+      const { errors, warnings, values } = validateRow(cell, options);
+
+      if (values.payloadId !== null) {
+        if (payloadRows.has(values.payloadId)) {
+          warnings.push(`Payload ${values.payloadId} also appears at ${payloadRows.get(values.payloadId)}`);
+        } else {
+          payloadRows.set(values.payloadId, `${sheet} row ${row}`);
+        }
+      }
+      report.push({ sheet, row, valid: errors.length === 0, errors, warnings, values });
+    });
+  });
+
+  const tasks = report
+    .filter(entry => entry.valid)
+    .map(({ sheet, row, values }) => ({ ...values, sheet, row }));
+  return {
+    report,
+    sheetReport,
+    tasks,
+    summary: {
+      rows: report.length,
+      valid: tasks.length,
+      invalid: report.length - tasks.length,
+      warnings: report.reduce((count, entry) => count + entry.warnings.length, 0),
+      sheetErrors: sheetReport.filter(entry => entry.errors.length > 0).length,
+      sheetsSkipped: sheetReport.length
+    }
+  };
+}
+
+// Read and validate every sheet of a CSV or Excel file.
+// Returns validateDataset()'s result with the sheet names.
+function readDatasetFile(filePath, options = {}) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (!DATASET_EXTENSIONS.includes(extension)) {
+    throw new Error(`Unsupported dataset type ${extension || '(none)'} - use ${DATASET_EXTENSIONS.join(', ')}`);
+  }
+
+  // CSV cells stay text so "08:05" is not read as a date
+  const workbook = XLSX.readFile(filePath, { raw: extension === '.csv' });
+  const sheets = workbook.SheetNames.map(name => ({
+    name,
+    rows: XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, raw: true, defval: null })
+  }));
+  return { sheets: workbook.SheetNames, ...validateDataset(sheets, options) };
+}
+
+module.exports = {
+  DATASET_EXTENSIONS,
+  mapColumns,
+  normalisePriority,
+  normaliseTime,
+  validateDataset,
+  readDatasetFile
+};
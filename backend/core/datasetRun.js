@@ -0,0 +1,110 @@
+// Release schedule for an uploaded dataset.
+// Each row becomes a task at its scheduling time, measured from the moment the
+// simulation starts: the earliest scheduled row is released at once and the
+// others follow at their offset from it, divided by timeScale. Rows without a
+// scheduling time are released at the start. The clock only runs while the
+// simulation does, so stopping and restarting pauses the schedule.
+
+function clockMs(time) {
+  const [hours, minutes, seconds] = time.split(':').map(Number);
+  return ((hours * 60 + minutes) * 60 + seconds) * 1000;
+}
+
+class DatasetRun {
+  // rows: validated dataset tasks (see dataset.js)
+  constructor(rows, { id, timeScale = 1 } = {}) {
+    if (!(timeScale > 0)) {
+      throw new Error(`Time scale must be a positive number, got ${timeScale}`);
+    }
+    const scheduled = rows.filter(row => row.scheduledAt).map(row => clockMs(row.scheduledAt));
+    const first = scheduled.length > 0 ? Math.min(...scheduled) : 0;
+
+    this.id = id;
+    this.timeScale = timeScale;
+    // [{ row, releaseAt, status: 'scheduled' | 'released' | 'rejected', task, error }] in release order
+    this.entries = rows
+      .map((row, index) => ({
+        row,
+        index,
+        releaseAt: row.scheduledAt ? (clockMs(row.scheduledAt) - first) / timeScale : 0,
+        status: 'scheduled',
+        task: null,
+        error: null
+      }))
+      .sort((a, b) => a.releaseAt - b.releaseAt || a.index - b.index);
+    this.elapsedMs = 0; // clock time banked before the last pause
+    this.resumedAt = null; // when the clock last started, null while paused
+  }
+
+  get running() {
+    return this.resumedAt !== null;
+  }
+
+  start(now = Date.now()) {
+    if (this.resumedAt === null) this.resumedAt = now;
+  }
+
+  pause(now = Date.now()) {
+    if (this.resumedAt === null) return;
+    this.elapsedMs += now - this.resumedAt;
+    this.resumedAt = null;
+  }
+
+  elapsed(now = Date.now()) {
+    return this.elapsedMs + (this.resumedAt === null ? 0 : now - this.resumedAt);
+  }
+
+  // Rows whose release time has come and that have not been released yet;
+  // nothing is due while the clock is paused
+  due(now = Date.now()) {
+    if (!this.running) return [];
+    const elapsed = this.elapsed(now);
+    return this.entries.filter(entry => entry.status === 'scheduled' && entry.releaseAt <= elapsed);
+  }
+
+  // Milliseconds of simulation time until the next release, null when none is left
+  nextReleaseIn(now = Date.now()) {
+    const next = this.entries.find(entry => entry.status === 'scheduled');
+    return next ? Math.max(0, next.releaseAt - this.elapsed(now)) : null;
+  }
+
+  markReleased(entry, task) {
+    entry.status = 'released';
+    entry.task = task;
+  }
+
+  markRejected(entry, error) {
+    entry.status = 'rejected';
+    entry.error = error;
+  }
+
+  // Counts for dashboards; dispatched and completed follow the released tasks
+  progress(now = Date.now()) {
+    const tasks = this.entries.filter(entry => entry.task).map(entry => entry.task);
+    const counts = {
+      total: this.entries.length,
+      scheduled: this.entries.filter(entry => entry.status === 'scheduled').length,
+      released: tasks.length,
+      rejected: this.entries.filter(entry => entry.status === 'rejected').length,
+      queued: tasks.filter(task => task.status === 'pending').length,
+      dispatched: tasks.filter(task => task.dispatchedAt).length,
+      completed: tasks.filter(task => task.status === 'completed').length,
+      failed: tasks.filter(task => task.status === 'failed' || task.status === 'interrupted').length
+    };
+    const next = this.nextReleaseIn(now);
+    return {
+      id: this.id,
+      running: this.running,
+      timeScale: this.timeScale,
+      elapsedMs: this.elapsed(now),
+      durationMs: this.entries.length > 0 ? this.entries[this.entries.length - 1].releaseAt : 0,
+      nextReleaseInMs: next,
+      finished: counts.scheduled === 0 && counts.completed + counts.failed + counts.rejected === counts.total,
+      ...counts
+    };
+  }
+}
+
+module.exports = {
+  DatasetRun
+};
@@ -0,0 +1,40 @@
+// Wait-for graph helpers for the movement coordinator.
+// A wait-for graph maps each waiting AGV to the AGV standing on (or travelling
+// to) the node it needs next. Every AGV waits on at most one other, so any
+// deadlock shows up as a simple cycle: a head-on swap is a cycle of two.
+
+// Returns each cycle once, as an array of AGV ids in wait order
+function findWaitCycles(waitFor) {
+  const cycles = [];
+  const visited = new Set();
+
+  for (const startId of waitFor.keys()) {
+    if (visited.has(startId)) continue;
+
+    const chain = [];
+    const positionInChain = new Map();
+    let current = startId;
+    while (current !== undefined && !visited.has(current) && !positionInChain.has(current)) {
+      positionInChain.set(current, chain.length);
+      chain.push(current);
+      current = waitFor.get(current);
+    }
+
+    if (current !== undefined && positionInChain.has(current)) {
+      cycles.push(chain.slice(positionInChain.get(current)));
+    }
+    chain.forEach(agvId => visited.add(agvId));
+  }
+
+  return cycles;
+}
+
+// Stable identifier for a set of deadlocked AGVs, independent of cycle rotation
+function deadlockKey(agvIds) {
+  return [...agvIds].sort().join('|');
+}
+
+module.exports = {
+  findWaitCycles,
+  deadlockKey
+};
@@ -0,0 +1,95 @@
+const fs = require('fs');
+
+// Battery energy model.
+// Driving energy is the work against rolling resistance for the vehicle plus
+// its payload, divided by drivetrain efficiency and the AGV's own efficiency.
+// Every AGV that is switched on and not charging also draws a constant idle
+// power. Layout units are taken to be metres and payload weight kilograms.
+// The default pack is scaled down so a demo run visibly drains it.
+
+const GRAVITY = 9.81; // m/s^2
+const JOULES_PER_WH = 3600;
+
+const DEFAULT_ENERGY_MODEL = {
+  capacityWh: 10,
+  vehicleMassKg: 300,
+  rollingResistance: 0.015,
+  drivetrainEfficiency: 0.8,
+  idleDrawW: 2,
+  reservePercent: 10, // battery a task must leave after the run back to a charger
+  agvEfficiency: {} // agvId -> factor in (0, 1], 1 when not listed
+};
+
+// Model from an optional JSON file (AGV_ENERGY_CONFIG) layered over the defaults
+function loadEnergyModel(configFile = process.env.AGV_ENERGY_CONFIG) {
+  if (!configFile) return parseEnergyModel({});
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to read energy config ${configFile}: ${err.message}`);
+  }
+  return parseEnergyModel(raw);
+}
+
+function parseEnergyModel(raw) {
+  const model = { ...DEFAULT_ENERGY_MODEL, ...raw };
+  ['capacityWh', 'vehicleMassKg', 'rollingResistance', 'drivetrainEfficiency'].forEach(key => {
+    if (!(model[key] > 0)) {
+      throw new Error(`Energy model ${key} must be a positive number`);
+    }
+  });
+  if (model.drivetrainEfficiency > 1) {
+    throw new Error('Energy model drivetrainEfficiency must not exceed 1');
+  }
+  if (!(model.idleDrawW >= 0)) {
+    throw new Error('Energy model idleDrawW must be zero or positive');
+  }
+  if (!(model.reservePercent >= 0 && model.reservePercent < 100)) {
+    throw new Error('Energy model reservePercent must be in [0, 100)');
+  }
+  Object.entries(model.agvEfficiency || {}).forEach(([agvId, factor]) => {
+    if (!(factor > 0 && factor <= 1)) {
+      throw new Error(`Energy efficiency for ${agvId} must be in (0, 1]`);
+    }
+  });
+  return model;
+}
+
+function agvEfficiency(model, agvId) {
+  return (model.agvEfficiency && model.agvEfficiency[agvId]) || 1;
+}
+
+// Wh to drive distance metres carrying payloadKg
+function travelEnergyWh(model, distance, payloadKg = 0, efficiency = 1) {
+  const massKg = model.vehicleMassKg + payloadKg;
+  const joules = massKg * GRAVITY * model.rollingResistance * distance;
+  return joules / (model.drivetrainEfficiency * efficiency) / JOULES_PER_WH;
+}
+
+// Wh drawn by onboard systems over durationMs
+function idleEnergyWh(model, durationMs) {
+  return (model.idleDrawW * durationMs) / 1000 / JOULES_PER_WH;
+}
+
+// Wh to drive a planned route, including idle draw for the time it takes.
+// edges are layout graph arcs ({ length, travelTime } with travelTime in ms).
+function routeEnergyWh(model, edges, payloadKg = 0, efficiency = 1) {
+  return edges.reduce((sum, edge) =>
+    sum + travelEnergyWh(model, edge.length, payloadKg, efficiency) + idleEnergyWh(model, edge.travelTime), 0);
+}
+
+function whToPercent(model, wh) {
+  return (wh / model.capacityWh) * 100;
+}
+
+module.exports = {
+  DEFAULT_ENERGY_MODEL,
+  loadEnergyModel,
+  parseEnergyModel,
+  agvEfficiency,
+  travelEnergyWh,
+  idleEnergyWh,
+  routeEnergyWh,
+  whToPercent
+};
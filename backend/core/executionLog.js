@@ -0,0 +1,118 @@
+// Execution log entries: one line per AGV leg.
+//   agv_{num}-{start_node}-{end_node}-{HH:MM:SS}-{weight}-payload_{num}   loaded delivery
+//   agv_{num}-{start_node}-{end_node}-{HH:MM:SS}-0-deadhead               empty run to a pickup
+//   agv_{num}-{start_node}-{end_node}-{HH:MM:SS}-0-charging               run to a charger
+// In execution.log each entry is prefixed with "[ISO timestamp] EXECUTION: "
+// and the file starts with a "#" header line.
+
+const ENTRY_KINDS = ['payload', 'deadhead', 'charging'];
+
+const ENTRY_PATTERN = /^agv_(\d+)-(\d+)-(\d+)-(\d{2}):(\d{2}):(\d{2})-(\d+(?:\.\d+)?)-(?:payload_(\d+)|(deadhead)|(charging))$/;
+const FILE_LINE_PATTERN = /^\[([^\]]+)\] EXECUTION: (.*)$/;
+
+// HH:MM:SS in local time, as written in entries
+function formatClock(date = new Date()) {
+  return date.toTimeString().split(' ')[0];
+}
+
+// The number a dataset payload id carries (payload_12, P-12 or 12 -> 12),
+// which payload entries record; null for an id that does not end in one
+function payloadNumber(payloadId) {
+  const match = /(\d+)$/.exec(String(payloadId === null || payloadId === undefined ? '' : payloadId).trim());
+  return match ? Number(match[1]) : null;
+}
+
+// Build an entry. time is a Date or an HH:MM:SS string; payloadNum is only
+// used by payload entries, whose weight may be non-zero.
+function formatExecutionLog({ agvNumber, startNode, endNode, time = new Date(), weight = 0, kind = 'payload', payloadNum }) {
+  if (!ENTRY_KINDS.includes(kind)) {
+    throw new Error(`Unknown execution log kind "${kind}"`);
+  }
+  const clock = time instanceof Date ? formatClock(time) : time;
+  const suffix = kind === 'payload' ? `${weight}-payload_${payloadNum}` : `0-${kind}`;
+  const entry = `agv_${agvNumber}-${startNode}-${endNode}-${clock}-${suffix}`;
+  parseExecutionLog(entry); // never write an entry the parser would reject
+  return entry;
+}
+
+// Strictly parse one entry; throws an Error saying what is wrong with it
+function parseExecutionLog(entry) {
+  const text = String(entry).trim();
+  const match = ENTRY_PATTERN.exec(text);
+  if (!match) {
+    throw new Error(describeMismatch(text));
+  }
+
+  const [, agvNumber, startNode, endNode, hours, minutes, seconds, weight, payloadNum, deadhead, charging] = match;
+  if (Number(hours) > 23 || Number(minutes) > 59 || Number(seconds) > 59) {
+    throw new Error(`Invalid time ${hours}:${minutes}:${seconds}`);
+  }
+  if (startNode === endNode) {
+    throw new Error(`Start and end node are both ${startNode}`);
+  }
+  const kind = deadhead || charging || 'payload';
+  if (kind !== 'payload' && Number(weight) !== 0) {
+    throw new Error(`A ${kind} entry must have weight 0, got ${weight}`);
+  }
+
+  return {
+    agvNumber: Number(agvNumber),
+    agvId: `AGV${Number(agvNumber)}`,
+    startNode: Number(startNode),
+    endNode: Number(endNode),
+    time: `${hours}:${minutes}:${seconds}`,
+    weight: Number(weight),
+    kind,
+    payloadNum: payloadNum === undefined ? null : Number(payloadNum)
+  };
+}
+
+// Name the first field that does not fit the format
+function describeMismatch(text) {
+  const fields = text.split('-');
+  if (!/^agv_\d+$/.test(fields[0])) return `Expected agv_{num} at the start, got "${fields[0]}"`;
+  if (fields.length !== 6) return `Expected 6 "-"-separated fields, got ${fields.length}`;
+  if (!/^\d+$/.test(fields[1])) return `Start node "${fields[1]}" is not a number`;
+  if (!/^\d+$/.test(fields[2])) return `End node "${fields[2]}" is not a number`;
+  if (!/^\d{2}:\d{2}:\d{2}$/.test(fields[3])) return `Time "${fields[3]}" is not HH:MM:SS`;
+  if (!/^\d+(\.\d+)?$/.test(fields[4])) return `Weight "${fields[4]}" is not a number`;
+  return `Expected payload_{num}, deadhead or charging at the end, got "${fields[5]}"`;
+}
+
+// Check every line of an execution.log file. Accepts the file format
+// (header comment, timestamp prefixes) or bare entries, one per line.
+// Returns { total, valid, entries, errors: [{ line, text, error }] }
+function validateExecutionLog(content) {
+  const entries = [];
+  const errors = [];
+  let total = 0;
+
+  String(content).split(/\r?\n/).forEach((raw, index) => {
+    const text = raw.trim();
+    if (!text || text.startsWith('#')) return;
+    total++;
+
+    const prefixed = FILE_LINE_PATTERN.exec(text);
+    if (prefixed && Number.isNaN(Date.parse(prefixed[1]))) {
+      errors.push({ line: index + 1, text, error: `Invalid timestamp "${prefixed[1]}"` });
+      return;
+    }
+    try {
+      const entry = parseExecutionLog(prefixed ? prefixed[2] : text);
+      entries.push({ line: index + 1, loggedAt: prefixed ? prefixed[1] : null, ...entry });
+    } catch (err) {
+      errors.push({ line: index + 1, text, error: err.message });
+    }
+  });
+
+  return { total, valid: entries.length, entries, errors };
+}
+
+module.exports = {
+  ENTRY_KINDS,
+  formatClock,
+  formatExecutionLog,
+  parseExecutionLog,
+  payloadNumber,
+  validateExecutionLog
+};
@@ -0,0 +1,54 @@
+// Fleet registration helpers shared by both servers.
+// AGV ids are "AGV" followed by a number; the number is what execution logs
+// record (agv_12-...), so it is parsed from the id rather than taken from its
+// last character.
+
+const AGV_ID_PATTERN = /^AGV(\d+)$/;
+
+function agvNumber(agvId) {
+  const match = AGV_ID_PATTERN.exec(agvId);
+  if (!match) {
+    throw new Error(`AGV id must look like AGV<number>, got ${agvId}`);
+  }
+  return parseInt(match[1], 10);
+}
+
+// Validate a registration request and build the AGV record.
+// options: hasNode(nodeId), algorithms (allowed routing algorithms), fleet (current agvs by id)
+function buildAgvRecord(spec, { hasNode, algorithms, fleet }) {
+  const { id, startNode, battery = 100, algorithm = algorithms[0], capabilities = [] } = spec || {};
+
+  if (typeof id !== 'string' || !AGV_ID_PATTERN.test(id)) {
+    throw new Error('id must look like AGV<number>, e.g. AGV4');
+  }
+  if (fleet[id]) {
+    throw new Error(`AGV ${id} already exists`);
+  }
+  const number = agvNumber(id);
+  const clash = Object.keys(fleet).find(otherId => agvNumber(otherId) === number);
+  if (clash) {
+    throw new Error(`AGV number ${number} is already used by ${clash}`);
+  }
+
+  const position = Number(startNode);
+  if (!Number.isInteger(position) || !hasNode(position)) {
+    throw new Error(`startNode ${startNode} is not a node of the layout`);
+  }
+  if (typeof battery !== 'number' || !(battery >= 0 && battery <= 100)) {
+    throw new Error('battery must be a number from 0 to 100');
+  }
+  if (!algorithms.includes(algorithm)) {
+    throw new Error(`algorithm must be one of: ${algorithms.join(', ')}`);
+  }
+  if (!Array.isArray(capabilities) || capabilities.some(capability => typeof capability !== 'string')) {
+    throw new Error('capabilities must be a list of strings');
+  }
+
+  return { id, position, battery, status: 'idle', algorithm, capabilities: [...capabilities] };
+}
+
+module.exports = {
+  AGV_ID_PATTERN,
+  agvNumber,
+  buildAgvRecord
+};
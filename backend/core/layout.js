@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+
+// Warehouse topology loader - nodes, edges and charging stations come from a JSON layout file
+const DEFAULT_LAYOUT_FILE = path.join(__dirname, '../layouts/default.json');
+const NODE_TYPES = ['station', 'junction', 'charging', 'dock'];
+const DEFAULT_SPEED_LIMIT = 5; // layout units per second
+const EDGE_DIRECTIONS = ['both', 'one-way'];
+const EDGE_PRIORITIES = ['forward', 'backward'];
+const DEFAULT_COUNTER_FLOW_PENALTY = 1.5; // cost multiplier against a priority direction
+
+function loadLayout(layoutFile = process.env.AGV_LAYOUT_FILE || DEFAULT_LAYOUT_FILE) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(layoutFile, 'utf8'));
+  } catch (err) {
+    throw new Error(`Failed to read layout file ${layoutFile}: ${err.message}`);
+  }
+  return parseLayout(raw);
+}
+
+// Validate a raw layout object and return a normalised copy
+function parseLayout(raw) {
+  if (!raw || !Array.isArray(raw.nodes) || raw.nodes.length === 0) {
+    throw new Error('Layout must define a non-empty "nodes" array');
+  }
+  if (!Array.isArray(raw.edges)) {
+    throw new Error('Layout must define an "edges" array');
+  }
+
+  const nodes = raw.nodes.map((node, index) => {
+    const id = Number(node.id);
+    if (!Number.isInteger(id) || id < 1) {
+      throw new Error(`Node at index ${index} has invalid id "${node.id}" (positive integer expected)`);
+    }
+    if (!Number.isFinite(node.x) || !Number.isFinite(node.y)) {
+      throw new Error(`Node ${id} is missing numeric x/y coordinates`);
+    }
+    const type = node.type || 'station';
+    if (!NODE_TYPES.includes(type)) {
+      throw new Error(`Node ${id} has unknown type "${type}"`);
+    }
+    return { id, x: node.x, y: node.y, type };
+  });
+
+  const nodeIds = new Set();
+  nodes.forEach(node => {
+    if (nodeIds.has(node.id)) {
+      throw new Error(`Duplicate node id ${node.id}`);
+    }
+    nodeIds.add(node.id);
+  });
+
+  const defaultSpeedLimit = raw.defaultSpeedLimit === undefined ? DEFAULT_SPEED_LIMIT : raw.defaultSpeedLimit;
+  if (!(defaultSpeedLimit > 0)) {
+    throw new Error('Layout defaultSpeedLimit must be a positive number');
+  }
+  const counterFlowPenalty = raw.counterFlowPenalty === undefined ? DEFAULT_COUNTER_FLOW_PENALTY : raw.counterFlowPenalty;
+  if (!(counterFlowPenalty >= 1)) {
+    throw new Error('Layout counterFlowPenalty must be a number >= 1');
+  }
+  const nodeById = new Map(nodes.map(node => [node.id, node]));
+
+  const edges = raw.edges.map((edge, index) => {
+    const from = Number(edge.from);
+    const to = Number(edge.to);
+    if (!nodeIds.has(from) || !nodeIds.has(to)) {
+      throw new Error(`Edge at index ${index} references unknown node (${edge.from} -> ${edge.to})`);
+    }
+    if (from === to) {
+      throw new Error(`Edge at index ${index} is a self-loop on node ${from}`);
+    }
+
+    // Length defaults to the straight-line distance; a longer routed aisle can be declared explicitly, a shorter one cannot
+    const a = nodeById.get(from);
+    const b = nodeById.get(to);
+    const length = edge.length === undefined ? Math.hypot(a.x - b.x, a.y - b.y) : edge.length;
+    if (!(length > 0)) {
+      throw new Error(`Edge ${from} -> ${to} must have a positive length`);
+    }
+    // A* heuristics take the straight line as a lower bound on the aisle
+    if (length < Math.hypot(a.x - b.x, a.y - b.y) - 1e-9) {
+      throw new Error(`Edge ${from} -> ${to} length ${length} is shorter than the straight-line distance between its nodes`);
+    }
+    const speedLimit = edge.speedLimit === undefined ? defaultSpeedLimit : edge.speedLimit;
+    if (!(speedLimit > 0)) {
+      throw new Error(`Edge ${from} -> ${to} must have a positive speedLimit`);
+    }
+
+    // One-way aisles are traversable from -> to only; two-way aisles may prefer one direction
+    const direction = edge.direction || 'both';
+    if (!EDGE_DIRECTIONS.includes(direction)) {
+      throw new Error(`Edge ${from} -> ${to} has unknown direction "${direction}"`);
+    }
+    const priority = edge.priority || null;
+    if (priority !== null && (direction !== 'both' || !EDGE_PRIORITIES.includes(priority))) {
+      throw new Error(`Edge ${from} -> ${to} priority must be "forward" or "backward" on a two-way edge`);
+    }
+    return { from, to, length, speedLimit, direction, priority };
+  });
+
+  // Chargers can be listed explicitly - as a node id or { node, capacity } - or
+  // marked by node type. capacity is how many AGVs can charge there at once.
+  const chargers = (raw.chargingNodes || nodes.filter(n => n.type === 'charging').map(n => n.id))
+    .map(entry => {
+      const isObject = typeof entry === 'object' && entry !== null;
+      const node = Number(isObject ? entry.node : entry);
+      const capacity = isObject && entry.capacity !== undefined ? entry.capacity : 1;
+      if (!nodeIds.has(node)) {
+        throw new Error(`Charging node ${isObject ? entry.node : entry} is not defined in nodes`);
+      }
+      if (!Number.isInteger(capacity) || capacity < 1) {
+        throw new Error(`Charger at node ${node} must have a positive integer capacity`);
+      }
+      return { node, capacity };
+    });
+  const chargingNodes = chargers.map(charger => charger.node);
+  if (new Set(chargingNodes).size !== chargingNodes.length) {
+    throw new Error('A charging node is listed more than once');
+  }
+
+  return {
+    name: raw.name || 'Unnamed layout',
+    units: raw.units || 'm',
+    defaultSpeedLimit,
+    counterFlowPenalty,
+    nodes,
+    edges,
+    chargingNodes,
+    chargers
+  };
+}
+
+// Adjacency list honouring one-way edges: nodeId -> [neighbourIds]
+function buildAdjacency(layout, options = {}) {
+  const graph = buildWeightedGraph(layout, options);
+  const adjacency = {};
+  Object.keys(graph).forEach(nodeId => {
+    adjacency[nodeId] = graph[nodeId].map(arc => arc.to);
+  });
+  return adjacency;
+}
+
+// Weighted directed adjacency list: nodeId -> [{ to, length, speedLimit, travelTime, cost, hasPriority }]
+// travelTime is in milliseconds at the edge speed limit. cost is the planning cost:
+// the length, scaled by counterFlowPenalty when travelling against a priority direction.
+// hasPriority is true/false on prioritised edges and null otherwise.
+// Pass { ignoreDirection: true } to treat every edge as two-way.
+function buildWeightedGraph(layout, options = {}) {
+  const { ignoreDirection = false } = options;
+  const penalty = layout.counterFlowPenalty || DEFAULT_COUNTER_FLOW_PENALTY;
+  const graph = {};
+  layout.nodes.forEach(node => {
+    graph[node.id] = [];
+  });
+  const addArc = (from, to, edge, hasPriority) => {
+    if (graph[from].some(arc => arc.to === to)) return;
+    graph[from].push({
+      to,
+      length: edge.length,
+      speedLimit: edge.speedLimit,
+      travelTime: (edge.length / edge.speedLimit) * 1000,
+      cost: hasPriority === false ? edge.length * penalty : edge.length,
+      hasPriority
+    });
+  };
+  layout.edges.forEach(edge => {
+    const hasForwardPriority = edge.priority ? edge.priority === 'forward' : null;
+    const hasBackwardPriority = edge.priority ? edge.priority === 'backward' : null;
+    addArc(edge.from, edge.to, edge, hasForwardPriority);
+    if (edge.direction !== 'one-way' || ignoreDirection) {
+      addArc(edge.to, edge.from, edge, hasBackwardPriority);
+    }
+  });
+  return graph;
+}
+
+function getEdge(graph, fromId, toId) {
+  return (graph[fromId] || []).find(arc => arc.to === toId) || null;
+}
+
+function getNode(layout, nodeId) {
+  return layout.nodes.find(node => node.id === Number(nodeId)) || null;
+}
+
+function hasNode(layout, nodeId) {
+  return getNode(layout, nodeId) !== null;
+}
+
+function getNodeIds(layout) {
+  return layout.nodes.map(node => node.id);
+}
+
+// Straight-line distance between two nodes in layout units
+function nodeDistance(layout, fromId, toId) {
+  const a = getNode(layout, fromId);
+  const b = getNode(layout, toId);
+  if (!a || !b) return Infinity;
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+module.exports = {
+  DEFAULT_LAYOUT_FILE,
+  NODE_TYPES,
+  DEFAULT_SPEED_LIMIT,
+  EDGE_DIRECTIONS,
+  EDGE_PRIORITIES,
+  loadLayout,
+  parseLayout,
+  buildAdjacency,
+  buildWeightedGraph,
+  getEdge,
+  getNode,
+  hasNode,
+  getNodeIds,
+  nodeDistance
+};
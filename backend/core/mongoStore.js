@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const { SUMMARY_FIELDS } = require('./storage');
+
+// Simulation history in MongoDB (AGV_STORE=mongo); see storage.js for the
+// interface. Queries return plain objects without Mongo's _id and __v.
+
+// Entries of the simulation record's arrays, in the shape of simulation_report.json
+// (see simulationReport.js). They carry no _id of their own, so records read
+// back match the file store's. A field named type needs { type: String }, or
+// Mongoose takes the whole entry for a string.
+const StructuredLogSchema = new mongoose.Schema({
+  time: String,
+  event: String,
+  agvId: String,
+  edge: String,
+  batteryRemaining: Number,
+  status: String,
+  payload: String,
+  weight: Number
+}, { _id: false });
+
+const AgvStatsSchema = new mongoose.Schema({
+  agvId: Number,
+  finalPosition: Number,
+  batteryRemaining: Number,
+  chargeCount: Number,
+  tasksCompleted: Number,
+  status: String,
+  province: Number
+}, { _id: false });
+
+const CollisionEventSchema = new mongoose.Schema({
+  time: String,
+  agv1: Number,
+  agv2: Number,
+  location: Number,
+  type: { type: String }
+}, { _id: false });
+
+const SimulationSchema = new mongoose.Schema({
+  simulationId: { type: String, unique: true, required: true },
+  timestamp: { type: Date, default: Date.now },
+  // pending: dataset uploaded, not run yet
+  status: { type: String, enum: ['pending', 'running', 'completed', 'failed'], default: 'running' },
+  totalExecutionTime: Number,
+  tasksCompleted: Number,
+  totalTasks: Number,
+  executionLogs: [String],
+  structuredLogs: [StructuredLogSchema],
+  agvStats: [AgvStatsSchema],
+  collisionEvents: [CollisionEventSchema],
+  averageDeliveryTimes: mongoose.Schema.Types.Mixed,
+  majorDockingStations: [Number],
+  provinces: mongoose.Schema.Types.Mixed
+});
+
+const TaskSchema = new mongoose.Schema({
+  simulationId: { type: String, index: true },
+  payloadId: String,
+  sourceNode: Number,
+  destinationNode: Number,
+  weight: Number,
+  priority: Number,
+  timeOfScheduling: Date,
+  assignedAGV: Number,
+  startTime: Date,
+  completionTime: Date,
+  deliveryTime: Number,
+  status: { type: String, enum: ['pending', 'in_progress', 'completed', 'failed'], default: 'pending' }
+});
+
+const EventSchema = new mongoose.Schema({
+  simulationId: { type: String, index: true },
+  time: Date,
+  type: String,
+  agvId: String,
+  details: mongoose.Schema.Types.Mixed
+});
+
+const HIDDEN_FIELDS = { _id: 0, __v: 0 };
+
+class MongoStore {
+  constructor(url) {
+    this.type = 'mongo';
+    this.url = url;
+    this.connection = mongoose.createConnection();
+    this.Simulation = this.connection.model('Simulation', SimulationSchema);
+    this.Task = this.connection.model('Task', TaskSchema);
+    this.Event = this.connection.model('Event', EventSchema);
+  }
+
+  async open() {
+    await this.connection.openUri(this.url);
+  }
+
+  async close() {
+    await this.connection.close();
+  }
+
+  status() {
+    return this.connection.readyState === 1 ? 'connected' : 'disconnected';
+  }
+
+  async createSimulation(record) {
+    const simulation = await this.Simulation.create(record);
+    return this.getSimulation(simulation.simulationId);
+  }
+
+  async updateSimulation(simulationId, changes) {
+    return this.Simulation.findOneAndUpdate({ simulationId }, changes, { new: true, projection: HIDDEN_FIELDS }).lean();
+  }
+
+  async getSimulation(simulationId) {
+    return this.Simulation.findOne({ simulationId }, HIDDEN_FIELDS).lean();
+  }
+
+  async listSimulations({ page = 1, limit = 10 } = {}) {
+    const [simulations, total] = await Promise.all([
+      this.Simulation.find({}, { ...Object.fromEntries(SUMMARY_FIELDS.map(field => [field, 1])), _id: 0 })
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      this.Simulation.countDocuments()
+    ]);
+    return { simulations, total };
+  }
+
+  async deleteSimulation(simulationId) {
+    const simulation = await this.Simulation.findOneAndDelete({ simulationId });
+    if (!simulation) return false;
+    await Promise.all([this.Task.deleteMany({ simulationId }), this.Event.deleteMany({ simulationId })]);
+    return true;
+  }
+
+  async saveTasks(simulationId, tasks) {
+    await this.Task.deleteMany({ simulationId });
+    await this.Task.insertMany(tasks.map(task => ({ ...task, simulationId })));
+  }
+
+  async listTasks(simulationId) {
+    return this.Task.find({ simulationId }, HIDDEN_FIELDS).lean();
+  }
+
+  async appendEvents(simulationId, events) {
+    await this.Event.insertMany(events.map(event => ({ ...event, simulationId })));
+  }
+
+  async listEvents(simulationId, { type } = {}) {
+    return this.Event.find(type ? { simulationId, type } : { simulationId }, HIDDEN_FIELDS).sort({ time: 1 }).lean();
+  }
+}
+
+module.exports = {
+  MongoStore
+};
@@ -0,0 +1,80 @@
+const { nodeDistance, buildWeightedGraph } = require('./layout');
+
+// Cost-based A* over a weighted graph built with buildWeightedGraph().
+// Edge cost is the aisle length (penalised against priority flow); the heuristic
+// is the straight-line distance between node coordinates, which never
+// overestimates because parseLayout() rejects aisles declared shorter than
+// that distance. One-way edges only appear in their direction.
+// Returns { path, cost } or null when the destination is unreachable.
+function aStar(layout, graph, start, end, options = {}) {
+  const { avoidNodes = [] } = options;
+  if (!graph[start] || !graph[end]) return null;
+  if (start === end) return { path: [start], cost: 0 };
+
+  const openSet = [{ node: start, fScore: nodeDistance(layout, start, end) }];
+  const closedSet = new Set();
+  const cameFrom = new Map();
+  const gScore = new Map([[start, 0]]);
+
+  while (openSet.length > 0) {
+    openSet.sort((a, b) => a.fScore - b.fScore);
+    const current = openSet.shift().node;
+
+    if (current === end) {
+      return { path: reconstructPath(cameFrom, current), cost: gScore.get(current) };
+    }
+    if (closedSet.has(current)) continue;
+    closedSet.add(current);
+
+    for (const arc of graph[current]) {
+      if (closedSet.has(arc.to) || avoidNodes.includes(arc.to)) continue;
+
+      const tentativeGScore = gScore.get(current) + arc.cost;
+      if (tentativeGScore < (gScore.has(arc.to) ? gScore.get(arc.to) : Infinity)) {
+        cameFrom.set(arc.to, current);
+        gScore.set(arc.to, tentativeGScore);
+        openSet.push({ node: arc.to, fScore: tentativeGScore + nodeDistance(layout, arc.to, end) });
+      }
+    }
+  }
+
+  return null;
+}
+
+function reconstructPath(cameFrom, current) {
+  const path = [current];
+  while (cameFrom.has(current)) {
+    current = cameFrom.get(current);
+    path.unshift(current);
+  }
+  return path;
+}
+
+// Human-readable reason a route does not exist, distinguishing a missing
+// connection from one that only exists against one-way traffic flow
+function explainUnreachable(layout, start, end) {
+  if (aStar(layout, buildWeightedGraph(layout, { ignoreDirection: true }), start, end)) {
+    return `Node ${end} is only reachable from node ${start} against one-way traffic flow`;
+  }
+  return `No route from node ${start} to node ${end}`;
+}
+
+// Sum of edge lengths and travel times along a path
+function pathMetrics(graph, path) {
+  let length = 0;
+  let travelTime = 0;
+  for (let i = 0; i + 1 < path.length; i++) {
+    const arc = (graph[path[i]] || []).find(a => a.to === path[i + 1]);
+    if (!arc) return null;
+    length += arc.length;
+    travelTime += arc.travelTime;
+  }
+  return { length, travelTime };
+}
+
+module.exports = {
+  aStar,
+  reconstructPath,
+  explainUnreachable,
+  pathMetrics
+};
@@ -0,0 +1,26 @@
+// Seeded pseudo-random numbers (mulberry32) for runs that must be repeatable,
+// such as benchmarks replaying the same task set. Not for anything secret.
+
+function createRandom(seed = 1) {
+  let state = seed >>> 0;
+
+  // Uniform in [0, 1), like Math.random()
+  const next = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    // Integer in [min, max]
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: items => items[Math.floor(next() * items.length)]
+  };
+}
+
+module.exports = {
+  createRandom
+};
@@ -0,0 +1,100 @@
+const { getEdge } = require('./layout');
+const { aStar } = require('./pathfinding');
+const { formatExecutionLog } = require('./executionLog');
+
+// Turn parsed execution log entries into a timeline the dashboard can play back.
+// A log only records where each leg started and ended, so legs are replayed
+// along the layout's A* route with every hop taking the edge's travel time.
+// Times are relative to the first entry, in milliseconds.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Milliseconds since midnight for an HH:MM:SS clock
+function clockMs(time) {
+  const [hours, minutes, seconds] = time.split(':').map(Number);
+  return ((hours * 60 + minutes) * 60 + seconds) * 1000;
+}
+
+// Absolute time of every entry: the logged ISO timestamp when every entry has
+// one, otherwise the entry clock, moving to the next day when it runs backwards
+// by more than half a day
+function entryTimes(entries) {
+  if (entries.every(entry => entry.loggedAt)) {
+    return entries.map(entry => Date.parse(entry.loggedAt));
+  }
+  let dayOffset = 0;
+  let previous = null;
+  return entries.map(entry => {
+    let at = clockMs(entry.time) + dayOffset;
+    if (previous !== null && previous - at > DAY_MS / 2) {
+      dayOffset += DAY_MS;
+      at += DAY_MS;
+    }
+    previous = at;
+    return at;
+  });
+}
+
+// entries: parsed entries (see executionLog.js), in log order.
+// Returns { duration, agvs: [{ agvId, startNode }], legs, hops, skipped } where
+// legs are [{ agvId, kind, startNode, endNode, startAt, endAt, entry }] and
+// hops are [{ agvId, from, to, departAt, arriveAt, kind }], both by start time.
+function buildReplay(entries, layout, graph) {
+  const times = entryTimes(entries);
+  const origin = times.length > 0 ? Math.min(...times) : 0;
+  const agvs = new Map(); // agvId -> { startNode, freeAt }
+  const legs = [];
+  const hops = [];
+  const skipped = [];
+
+  entries
+    .map((entry, index) => ({ entry, at: times[index] - origin }))
+    .sort((a, b) => a.at - b.at)
+    .forEach(({ entry, at }) => {
+      const text = formatExecutionLog(entry);
+      const route = aStar(layout, graph, entry.startNode, entry.endNode);
+      if (!route) {
+        skipped.push({ entry: text, reason: `No route from ${entry.startNode} to ${entry.endNode} in this layout` });
+        return;
+      }
+
+      if (!agvs.has(entry.agvId)) {
+        agvs.set(entry.agvId, { startNode: entry.startNode, freeAt: 0 });
+      }
+      const agv = agvs.get(entry.agvId);
+
+      // A leg cannot start before the AGV's previous leg has finished
+      const startAt = Math.max(at, agv.freeAt);
+      let clock = startAt;
+      route.path.slice(1).forEach((to, i) => {
+        const from = route.path[i];
+        const departAt = clock;
+        clock += getEdge(graph, from, to).travelTime;
+        hops.push({ agvId: entry.agvId, from, to, departAt, arriveAt: clock, kind: entry.kind });
+      });
+      agv.freeAt = clock;
+
+      legs.push({
+        agvId: entry.agvId,
+        kind: entry.kind,
+        startNode: entry.startNode,
+        endNode: entry.endNode,
+        startAt,
+        endAt: clock,
+        entry: text
+      });
+    });
+
+  hops.sort((a, b) => a.departAt - b.departAt);
+  return {
+    duration: legs.reduce((latest, leg) => Math.max(latest, leg.endAt), 0),
+    agvs: [...agvs.entries()].map(([agvId, { startNode }]) => ({ agvId, startNode })),
+    legs,
+    hops,
+    skipped
+  };
+}
+
+module.exports = {
+  buildReplay
+};
@@ -0,0 +1,124 @@
+const { buildWeightedGraph, nodeDistance } = require('./layout');
+const { aStar } = require('./pathfinding');
+const { ReservationTable, cooperativeAStar } = require('./cooperativePlanner');
+const { AntColonyRouter } = require('./antColony');
+
+// Routing algorithms of ultimateServer.js. Each AGV plans with its own
+// algorithm; the server and the benchmark (benchmark.js) both route through
+// planRoute() and rank AGVs with scoreAgv(), so a benchmark measures the
+// code the server runs.
+
+const ALGORITHMS = ['A*', 'Dijkstra+TimeWindow', 'ACO', 'CA*'];
+
+class ServerPathfinding {
+  // options.aco: AntColonyRouter settings and random source
+  constructor(layout, options = {}) {
+    this.layout = layout;
+    this.graph = buildWeightedGraph(layout);
+    this.antColony = new AntColonyRouter(layout, this.graph, options.aco);
+  }
+
+  // Weighted A* over edge lengths; returns [] when the destination is unreachable
+  aStarPathfinding(start, end, avoidNodes = []) {
+    const result = aStar(this.layout, this.graph, start, end, { avoidNodes });
+    return result ? result.path : [];
+  }
+
+  // Ant colony route; falls back to A* when no ant reaches the destination
+  antColonyPathfinding(start, end) {
+    const result = this.antColony.route(start, end);
+    return result ? result.path : this.aStarPathfinding(start, end);
+  }
+
+  // Cooperative A* against a shared ReservationTable; returns { path, itinerary } or null
+  cooperativePathfinding(agvId, start, end, table, startTime = Date.now()) {
+    const plan = cooperativeAStar(this.layout, this.graph, table, start, end, { agvId, startTime });
+    return plan ? { path: plan.path, itinerary: plan.itinerary } : null;
+  }
+
+  // Earliest arrival within timeWindow ({ start, end } in ms) around the
+  // reservations in table: a space-time Dijkstra over edge travel times in which
+  // waiting at a node is a move. Returns { path, itinerary, totalTime, waitTime };
+  // path is [] when the destination cannot be reached inside the window.
+  dijkstraWithTimeWindow(start, end, timeWindow, table = new ReservationTable(), agvId = null) {
+    const plan = cooperativeAStar(this.layout, this.graph, table, start, end, {
+      agvId,
+      startTime: timeWindow.start,
+      horizon: timeWindow.end - timeWindow.start,
+      informed: false
+    });
+    if (!plan) {
+      return { path: [], itinerary: null, totalTime: Infinity, waitTime: 0 };
+    }
+    const arrival = plan.itinerary[plan.itinerary.length - 1].arriveAt;
+    return { path: plan.path, itinerary: plan.itinerary, totalTime: arrival - timeWindow.start, waitTime: plan.waitTime };
+  }
+
+  // Straight-line distance between node coordinates from the layout
+  heuristic(node1, node2) {
+    return nodeDistance(this.layout, node1, node2);
+  }
+}
+
+// Route from one node to another with the given algorithm, leaving at startTime.
+// reservations() returns the ReservationTable of the other AGVs; it is only
+// called by algorithms that plan around them (Dijkstra+TimeWindow, CA*).
+// Returns { path, itinerary }: path is [] when there is no route, itinerary is
+// the planned timing ([{ node, arriveAt, departAt }]) or null when the
+// algorithm plans in space only.
+function planRoute(pathfinder, algorithm, { agvId, from, to, startTime, reservations }) {
+  switch (algorithm) {
+    case 'Dijkstra+TimeWindow': {
+      const timeWindow = { start: startTime, end: startTime + (30 * 60 * 1000) };
+      const plan = pathfinder.dijkstraWithTimeWindow(from, to, timeWindow, reservations(), agvId);
+      return { path: plan.path, itinerary: plan.itinerary };
+    }
+    case 'ACO':
+      return { path: pathfinder.antColonyPathfinding(from, to), itinerary: null };
+    case 'CA*': {
+      const plan = pathfinder.cooperativePathfinding(agvId, from, to, reservations(), startTime);
+      return plan || { path: [], itinerary: null };
+    }
+    case 'A*':
+    default:
+      return { path: pathfinder.aStarPathfinding(from, to), itinerary: null };
+  }
+}
+
+// Feedback from a route an AGV has driven to the end: ACO reinforces its pheromone trail
+function completeRoute(pathfinder, algorithm, path) {
+  if (algorithm === 'ACO' && path) {
+    pathfinder.antColony.reinforce(path);
+  }
+}
+
+// How well an AGV suits a task; the highest score gets it
+function scoreAgv(pathfinder, agv, task) {
+  let score = 0;
+
+  // Distance factor (layout units, closer is better)
+  const distance = pathfinder.heuristic(agv.position, task.pickupLocation);
+  score += Math.max(0, 100 - distance);
+
+  // Battery factor
+  if (agv.battery > 50) score += 30;
+  else if (agv.battery > 25) score += 15;
+
+  // Priority factor
+  const priorityBonus = { 'High': 20, 'Medium': 10, 'Low': 5 };
+  score += priorityBonus[agv.priority] || 10;
+
+  // Algorithm efficiency factor
+  const algorithmBonus = { 'A*': 15, 'Dijkstra+TimeWindow': 10, 'ACO': 12, 'CA*': 14 };
+  score += algorithmBonus[agv.algorithm] || 10;
+
+  return score;
+}
+
+module.exports = {
+  ALGORITHMS,
+  ServerPathfinding,
+  planRoute,
+  completeRoute,
+  scoreAgv
+};
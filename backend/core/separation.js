@@ -0,0 +1,152 @@
+// Edge reservations, minimum separation and the safety event stream of the
+// movement coordinator (server.js).
+// An AGV departing a node holds the edge until it arrives. A departure is
+// held back when its next node has no room, when another AGV is on the edge
+// in the other direction or entered it in the same direction less than
+// minSeparationMs ago, when another AGV left the next node less than
+// minSeparationMs ago, or when another AGV stands within minSeparationNodes
+// hops of it. After each tick the fleet is checked for what these rules should
+// have prevented: more standing AGVs on a node than it has room for, or two
+// AGVs on one edge in opposite directions. Those are collisions; departures
+// held back by a separation rule are near misses.
+
+// Undirected key for an edge, shared by both travel directions
+function edgeKey(a, b) {
+  return a < b ? `${a}-${b}` : `${b}-${a}`;
+}
+
+// Nodes within a number of hops of a node; adjacency ignores edge direction
+function nodesWithinHops(adjacency, nodeId, hops) {
+  const found = new Set([nodeId]);
+  let frontier = [nodeId];
+  for (let depth = 0; depth < hops; depth++) {
+    frontier = frontier
+      .flatMap(node => adjacency[node] || [])
+      .filter(node => !found.has(node));
+    frontier.forEach(node => found.add(node));
+  }
+  return found;
+}
+
+// Why departure ({ agvId, from, to }) cannot start at now, or null when it is safe.
+// state: { blocker - AGV holding `to` with no room left for this one, or null,
+//          occupants - Map node -> AGV standing on or travelling to it,
+//          reservedEdges - Map edgeKey -> { agvId, from, to, enteredAt },
+//          nodeReleasedAt - Map node -> { agvId, at } when an AGV last left it }
+// rules: { adjacency, minSeparationMs, minSeparationNodes }
+// nearMiss marks conflicts caused by separation rules rather than a plain queue.
+function findDepartureConflict(departure, now, state, rules) {
+  const { agvId, from, to } = departure;
+  const { blocker, occupants, reservedEdges, nodeReleasedAt } = state;
+
+  if (blocker) {
+    return { reason: 'node_occupied', otherAgvId: occupants.get(to) || blocker, nearMiss: false };
+  }
+
+  const edgeReservation = reservedEdges.get(edgeKey(from, to));
+  if (edgeReservation && edgeReservation.agvId !== agvId) {
+    const sameDirection = edgeReservation.from === from;
+    if (!sameDirection || now - edgeReservation.enteredAt < rules.minSeparationMs) {
+      return { reason: sameDirection ? 'following_distance' : 'edge_swap', otherAgvId: edgeReservation.agvId, nearMiss: true };
+    }
+  }
+
+  const released = nodeReleasedAt.get(to);
+  if (released && released.agvId !== agvId && now - released.at < rules.minSeparationMs) {
+    return { reason: 'separation_time', otherAgvId: released.agvId, nearMiss: true };
+  }
+
+  if (rules.minSeparationNodes > 0) {
+    for (const node of nodesWithinHops(rules.adjacency, to, rules.minSeparationNodes)) {
+      const otherAgvId = occupants.get(node);
+      if (otherAgvId && otherAgvId !== agvId) {
+        return { reason: 'separation_nodes', otherAgvId, nearMiss: true };
+      }
+    }
+  }
+
+  return null;
+}
+
+// Collisions in a snapshot of the fleet. agvs lists standing AGVs as
+// { agvId, node } and travelling ones as { agvId, from, to }; capacity(node)
+// is how many AGVs a node holds. Returns [{ key, agvId, otherAgvId, from, to, reason }].
+function findCollisions(agvs, capacity) {
+  const collisions = [];
+  const standing = new Map();
+  const traversing = new Map();
+
+  agvs.forEach(agv => {
+    if (agv.node === undefined) {
+      const key = edgeKey(agv.from, agv.to);
+      const other = traversing.get(key);
+      if (other && other.from !== agv.from) {
+        collisions.push({ key: `edge:${key}`, agvId: agv.agvId, otherAgvId: other.agvId, from: agv.from, to: agv.to, reason: 'edge_swap' });
+      }
+      traversing.set(key, { agvId: agv.agvId, from: agv.from });
+      return;
+    }
+    const others = standing.get(agv.node) || [];
+    if (others.length >= capacity(agv.node)) {
+      collisions.push({ key: `node:${agv.node}`, agvId: agv.agvId, otherAgvId: others[0], from: agv.node, to: agv.node, reason: 'same_node' });
+    }
+    standing.set(agv.node, others.concat(agv.agvId));
+  });
+
+  return collisions;
+}
+
+// Collisions and near misses, newest last, with running totals
+class SafetyLog {
+  constructor(maxEvents = 500) {
+    this.maxEvents = maxEvents;
+    this.events = [];
+    this.collisions = 0;
+    this.nearMisses = 0;
+    this.activeCollisions = new Set(); // keys of collisions reported and not yet cleared
+  }
+
+  // Append an event; only the latest maxEvents are kept, the totals count all
+  record(type, details, timestamp) {
+    const event = { timestamp: new Date(timestamp).toISOString(), type, ...details };
+    this.events.push(event);
+    if (this.events.length > this.maxEvents) this.events.shift();
+    if (type === 'collision') {
+      this.collisions++;
+    } else {
+      this.nearMisses++;
+    }
+    return event;
+  }
+
+  // The collisions of this tick (findCollisions()) that were not already
+  // present on the last one; a collision that clears can be reported again
+  newCollisions(collisions) {
+    const keys = new Set(collisions.map(collision => collision.key));
+    for (const key of this.activeCollisions) {
+      if (!keys.has(key)) this.activeCollisions.delete(key);
+    }
+    return collisions.filter(collision => {
+      if (this.activeCollisions.has(collision.key)) return false;
+      this.activeCollisions.add(collision.key);
+      return true;
+    });
+  }
+
+  clearActiveCollisions() {
+    this.activeCollisions.clear();
+  }
+
+  // Events at or after a time, in ms
+  since(startedAt) {
+    return this.events.filter(event => Date.parse(event.timestamp) >= startedAt);
+  }
+}
+
+module.exports = {
+  edgeKey,
+  nodesWithinHops,
+  findDepartureConflict,
+  findCollisions,
+  SafetyLog
+};
@@ -0,0 +1,104 @@
+const { agvNumber } = require('./fleet');
+const { formatClock } = require('./executionLog');
+
+// Summary of a simulation run in the layout of simulation_report.json, which
+// enhanced_server.js copies onto its Simulation records: snake_case keys at the
+// top, camelCase keys inside agv_stats and collision_events.
+// Times are in seconds. Delivery time runs from task creation to unloading.
+// major_docking_stations are the nodes with the most pickups and drops,
+// provinces lists the nodes each AGV picked up from or delivered to, and an
+// AGV's province in agv_stats is the one of those it served most often.
+
+const MAJOR_DOCKING_STATIONS = 3;
+
+function roundTo(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Most used node, the lowest on a tie; null for an empty count
+function busiest(counts) {
+  const [top] = [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+  return top ? top[0] : null;
+}
+
+function average(values) {
+  return values.length > 0 ? roundTo(values.reduce((sum, value) => sum + value, 0) / values.length / 1000, 2) : null;
+}
+
+// run: { startedAt, finishedAt, agvs (records by id), tasks (systemState.tasks),
+//        chargeSessions (Map agvId -> charging sessions), safetyEvents }
+function buildSimulationReport({ startedAt, finishedAt, agvs, tasks, chargeSessions = new Map(), safetyEvents = [] }) {
+  const work = tasks.filter(task => !task.isCharging);
+  const completed = work.filter(task => task.status === 'completed');
+
+  const deliveryTimes = { overall: average(completed.map(task => task.completedAt - task.createdAt)) };
+  ['high', 'medium', 'low'].forEach(priority => {
+    const times = completed.filter(task => task.priority === priority).map(task => task.completedAt - task.createdAt);
+    if (times.length > 0) deliveryTimes[priority] = average(times);
+  });
+
+  const nodeUse = new Map();
+  const agvNodeUse = new Map(); // agvId -> Map node -> pickups and drops
+  const provinces = {};
+  work.filter(task => task.agvId).forEach(task => {
+    if (!agvNodeUse.has(task.agvId)) agvNodeUse.set(task.agvId, new Map());
+    [task.startNode, task.endNode].forEach(node => {
+      nodeUse.set(node, (nodeUse.get(node) || 0) + 1);
+      agvNodeUse.get(task.agvId).set(node, (agvNodeUse.get(task.agvId).get(node) || 0) + 1);
+    });
+    const served = new Set(provinces[task.agvId] || []);
+    served.add(task.startNode).add(task.endNode);
+    provinces[task.agvId] = [...served].sort((a, b) => a - b);
+  });
+
+  return {
+    total_execution_time: roundTo((finishedAt - startedAt) / 1000, 3),
+    tasks_completed: completed.length,
+    total_tasks: work.length,
+    tasks_failed: work.filter(task => task.status === 'failed' || task.status === 'interrupted').length,
+    agv_stats: Object.values(agvs).map(agv => ({
+      agvId: agvNumber(agv.id),
+      finalPosition: agv.position,
+      batteryRemaining: roundTo(agv.battery, 2),
+      chargeCount: chargeSessions.get(agv.id) || 0,
+      tasksCompleted: completed.filter(task => task.agvId === agv.id).length,
+      status: agv.status,
+      province: busiest(agvNodeUse.get(agv.id) || new Map())
+    })),
+    collision_events: safetyEvents
+      .filter(event => event.type === 'collision')
+      .map(event => ({
+        time: formatClock(new Date(event.timestamp)),
+        agv1: agvNumber(event.agvId),
+        agv2: agvNumber(event.otherAgvId),
+        location: event.to,
+        type: event.reason
+      })),
+    average_delivery_times: deliveryTimes,
+    major_docking_stations: [...nodeUse.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+      .slice(0, MAJOR_DOCKING_STATIONS)
+      .map(([node]) => node),
+    provinces
+  };
+}
+
+// Simulation record fields (see storage.js) carrying a report
+function simulationRecordFields(report) {
+  return {
+    totalExecutionTime: report.total_execution_time,
+    tasksCompleted: report.tasks_completed,
+    totalTasks: report.total_tasks,
+    agvStats: report.agv_stats,
+    collisionEvents: report.collision_events,
+    averageDeliveryTimes: report.average_delivery_times,
+    majorDockingStations: report.major_docking_stations,
+    provinces: report.provinces
+  };
+}
+
+module.exports = {
+  buildSimulationReport,
+  simulationRecordFields
+};
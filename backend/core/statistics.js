@@ -0,0 +1,133 @@
+// Significance tests for comparing simulation runs.
+// Every test returns { pValue, ... } for a two-sided test, or null when the
+// samples cannot support one (too few values, no variance).
+
+const SIGNIFICANCE_LEVEL = 0.05;
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Sample variance (n - 1)
+function variance(values) {
+  const average = mean(values);
+  return values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+}
+
+// Lanczos approximation of ln Γ(x)
+const LANCZOS = [76.18009172947146, -86.50532032941678, 24.01409824083091,
+  -1.231739572450155, 0.001208650973866179, -0.5395239384953e-5];
+
+function logGamma(x) {
+  let series = 1.000000000190015;
+  LANCZOS.forEach((coefficient, index) => {
+    series += coefficient / (x + index + 1);
+  });
+  const base = x + 5.5;
+  return (x + 0.5) * Math.log(base) - base + Math.log(2.5066282746310002 * series / x);
+}
+
+// Continued fraction for the incomplete beta function (modified Lentz)
+function betaFraction(a, b, x) {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  d = 1 / (Math.abs(d) < tiny ? tiny : d);
+  let result = d;
+  for (let m = 1; m <= 200; m++) {
+    const even = m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m));
+    d = 1 / (Math.abs(1 + even * d) < tiny ? tiny : 1 + even * d);
+    c = Math.abs(1 + even / c) < tiny ? tiny : 1 + even / c;
+    result *= d * c;
+    const odd = -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1));
+    d = 1 / (Math.abs(1 + odd * d) < tiny ? tiny : 1 + odd * d);
+    c = Math.abs(1 + odd / c) < tiny ? tiny : 1 + odd / c;
+    const step = d * c;
+    result *= step;
+    if (Math.abs(step - 1) < 1e-12) break;
+  }
+  return result;
+}
+
+// Regularised incomplete beta function I_x(a, b)
+function incompleteBeta(a, b, x) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2) ?
+    front * betaFraction(a, b, x) / a :
+    1 - front * betaFraction(b, a, 1 - x) / b;
+}
+
+// P(|T| >= |t|) for Student's t with df degrees of freedom
+function studentTwoSided(t, df) {
+  return incompleteBeta(df / 2, 0.5, df / (df + t * t));
+}
+
+// Standard normal CDF (Abramowitz and Stegun 7.1.26, error < 1.5e-7)
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const k = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - k * (0.254829592 + k * (-0.284496736 + k * (1.421413741 + k * (-1.453152027 + k * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Welch's t-test: do two independent samples have different means?
+function welchTTest(a, b) {
+  if (a.length < 2 || b.length < 2) return null;
+  const va = variance(a) / a.length;
+  const vb = variance(b) / b.length;
+  if (va + vb === 0) return null;
+  const t = (mean(b) - mean(a)) / Math.sqrt(va + vb);
+  const df = (va + vb) ** 2 / (va ** 2 / (a.length - 1) + vb ** 2 / (b.length - 1));
+  return { t, df, pValue: studentTwoSided(t, df) };
+}
+
+// Paired t-test on matched values (the same AGVs in two runs)
+function pairedTTest(a, b) {
+  const differences = a.map((value, index) => b[index] - value);
+  if (differences.length < 2) return null;
+  const spread = variance(differences);
+  if (spread === 0) return null;
+  const t = mean(differences) / Math.sqrt(spread / differences.length);
+  const df = differences.length - 1;
+  return { t, df, pValue: studentTwoSided(t, df) };
+}
+
+// Two-proportion z-test: successesA of totalA against successesB of totalB
+function twoProportionTest(successesA, totalA, successesB, totalB) {
+  if (totalA === 0 || totalB === 0) return null;
+  const pooled = (successesA + successesB) / (totalA + totalB);
+  const spread = Math.sqrt(pooled * (1 - pooled) * (1 / totalA + 1 / totalB));
+  if (spread === 0) return null;
+  const z = (successesB / totalB - successesA / totalA) / spread;
+  return { z, pValue: 2 * (1 - normalCdf(Math.abs(z))) };
+}
+
+// Exact test for two Poisson rates: countA events over exposureA against
+// countB over exposureB. Given the total, countB is binomial under equal rates.
+function poissonRateTest(countA, exposureA, countB, exposureB) {
+  if (!(exposureA > 0) || !(exposureB > 0)) return null;
+  const total = countA + countB;
+  const share = exposureB / (exposureA + exposureB);
+  const logPmf = k => logGamma(total + 1) - logGamma(k + 1) - logGamma(total - k + 1) +
+    k * Math.log(share) + (total - k) * Math.log(1 - share);
+  const observed = logPmf(countB);
+  let pValue = 0;
+  for (let k = 0; k <= total; k++) {
+    const current = logPmf(k);
+    if (current <= observed + 1e-9) pValue += Math.exp(current);
+  }
+  return { pValue: Math.min(1, pValue) };
+}
+
+module.exports = {
+  SIGNIFICANCE_LEVEL,
+  mean,
+  variance,
+  normalCdf,
+  welchTTest,
+  pairedTTest,
+  twoProportionTest,
+  poissonRateTest
+};
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const { agvNumber } = require('./fleet');
+
+// Simulation history: simulation records, their tasks and their events.
+// Two stores share one async interface and are chosen by AGV_STORE:
+//   file (default) - JSON files under AGV_STORE_DIR (output/store), no database needed;
+//                    each server keeps its own subdirectory, as a file store
+//                    rewrites whole files and would lose another process's changes
+//   mongo          - MongoDB through Mongoose at AGV_MONGO_URL (see mongoStore.js)
+//
+//   open() / close()
+//   status()                                 'connected' | 'disconnected'
+//   createSimulation(record)                 the stored record; simulationId must be new
+//   updateSimulation(simulationId, changes)  the updated record, or null
+//   getSimulation(simulationId)              the record, or null
+//   listSimulations({ page, limit })         { simulations, total }, newest first, SUMMARY_FIELDS only
+//   deleteSimulation(simulationId)           false when there was none; removes its tasks and events too
+//   saveTasks(simulationId, tasks)           replaces the simulation's tasks
+//   listTasks(simulationId)
+//   appendEvents(simulationId, events)
+//   listEvents(simulationId, { type })       in time order
+//
+// Records are plain objects in the shape of the Mongoose schemas, with dates as
+// ISO strings; toTaskRecord() and toEventRecord() build them from server state.
+
+const DEFAULT_STORE_DIR = path.join(__dirname, '../../output/store');
+const DEFAULT_MONGO_URL = 'mongodb://localhost:27017/agv_scheduling';
+const SUMMARY_FIELDS = ['simulationId', 'timestamp', 'status', 'totalExecutionTime', 'tasksCompleted', 'totalTasks'];
+const COLLECTIONS = ['simulations', 'tasks', 'events'];
+
+// Task priorities rank 1 highest, as in the hackathon workbook
+const PRIORITY_RANKS = { high: 1, medium: 2, low: 3 };
+
+function isoTime(time) {
+  return time === undefined || time === null ? undefined : new Date(time).toISOString();
+}
+
+// Stored form of a server task (server.js systemState.tasks)
+function toTaskRecord(simulationId, task) {
+  let status = 'in_progress';
+  if (task.status === 'pending' || task.status === 'completed') status = task.status;
+  else if (['failed', 'interrupted', 'cancelled'].includes(task.status)) status = 'failed';
+
+  return {
+    simulationId,
+    payloadId: task.payloadId ? String(task.payloadId) : String(task.id),
+    sourceNode: task.startNode,
+    destinationNode: task.endNode,
+    weight: task.weight,
+    priority: PRIORITY_RANKS[task.priority],
+    timeOfScheduling: isoTime(task.createdAt),
+    assignedAGV: task.agvId ? agvNumber(task.agvId) : undefined,
+    startTime: isoTime(task.dispatchedAt),
+    completionTime: isoTime(task.completedAt),
+    deliveryTime: task.completedAt ? (task.completedAt - task.createdAt) / 1000 : undefined,
+    status
+  };
+}
+
+// Stored form of a safety event (server.js recordSafetyEvent)
+function toEventRecord(simulationId, { timestamp, type, agvId, ...details }) {
+  return { simulationId, time: isoTime(timestamp), type, agvId, details };
+}
+
+// Report served for a stored simulation (GET /api/reports/:id)
+function reportFromRecord(simulation) {
+  return {
+    simulationId: simulation.simulationId,
+    timestamp: simulation.timestamp,
+    status: simulation.status,
+    totalExecutionTime: simulation.totalExecutionTime,
+    tasksCompleted: simulation.tasksCompleted,
+    totalTasks: simulation.totalTasks,
+    agvStats: simulation.agvStats,
+    averageDeliveryTimes: simulation.averageDeliveryTimes,
+    majorDockingStations: simulation.majorDockingStations,
+    provinces: simulation.provinces,
+    collisionEvents: simulation.collisionEvents,
+    efficiency: simulation.totalTasks > 0 ? simulation.tasksCompleted / simulation.totalTasks * 100 : null
+  };
+}
+
+function clone(record) {
+  return JSON.parse(JSON.stringify(record));
+}
+
+function pick(record, fields) {
+  return Object.fromEntries(fields.filter(field => record[field] !== undefined).map(field => [field, record[field]]));
+}
+
+// One JSON file per collection, read on first use and rewritten whole on every
+// change (through a temporary file, so a crash leaves the old file intact)
+class FileStore {
+  constructor(dir = DEFAULT_STORE_DIR) {
+    this.type = 'file';
+    this.dir = dir;
+    this.data = null;
+  }
+
+  async open() {
+    this.load();
+  }
+
+  async close() {
+    this.data = null;
+  }
+
+  status() {
+    return 'connected';
+  }
+
+  load() {
+    if (this.data) return this.data;
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.data = {};
+    COLLECTIONS.forEach(name => {
+      const file = path.join(this.dir, `${name}.json`);
+      this.data[name] = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : [];
+    });
+    return this.data;
+  }
+
+  save(name) {
+    const file = path.join(this.dir, `${name}.json`);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(this.data[name], null, 2));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  async createSimulation(record) {
+    const { simulations } = this.load();
+    if (simulations.some(simulation => simulation.simulationId === record.simulationId)) {
+      throw new Error(`Simulation ${record.simulationId} already exists`);
+    }
+    const simulation = clone({ timestamp: new Date(), status: 'running', ...record });
+    simulations.push(simulation);
+    this.save('simulations');
+    return clone(simulation);
+  }
+
+  async updateSimulation(simulationId, changes) {
+    const simulation = this.load().simulations.find(record => record.simulationId === simulationId);
+    if (!simulation) return null;
+    Object.assign(simulation, clone({ ...changes, simulationId }));
+    this.save('simulations');
+    return clone(simulation);
+  }
+
+  async getSimulation(simulationId) {
+    const simulation = this.load().simulations.find(record => record.simulationId === simulationId);
+    return simulation ? clone(simulation) : null;
+  }
+
+  async listSimulations({ page = 1, limit = 10 } = {}) {
+    const { simulations } = this.load();
+    const newest = [...simulations].sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    return {
+      simulations: newest.slice((page - 1) * limit, page * limit).map(record => pick(record, SUMMARY_FIELDS)),
+      total: simulations.length
+    };
+  }
+
+  async deleteSimulation(simulationId) {
+    const data = this.load();
+    const count = data.simulations.length;
+    COLLECTIONS.forEach(name => {
+      data[name] = data[name].filter(record => record.simulationId !== simulationId);
+    });
+    if (data.simulations.length === count) return false;
+    COLLECTIONS.forEach(name => this.save(name));
+    return true;
+  }
+
+  async saveTasks(simulationId, tasks) {
+    const data = this.load();
+    data.tasks = data.tasks
+      .filter(task => task.simulationId !== simulationId)
+      .concat(tasks.map(task => clone({ ...task, simulationId })));
+    this.save('tasks');
+  }
+
+  async listTasks(simulationId) {
+    return clone(this.load().tasks.filter(task => task.simulationId === simulationId));
+  }
+
+  async appendEvents(simulationId, events) {
+    if (events.length === 0) return;
+    this.load().events.push(...events.map(event => clone({ ...event, simulationId })));
+    this.save('events');
+  }
+
+  async listEvents(simulationId, { type } = {}) {
+    return clone(this.load().events
+      .filter(event => event.simulationId === simulationId && (!type || event.type === type))
+      .sort((a, b) => a.time.localeCompare(b.time)));
+  }
+}
+
+// The store named by AGV_STORE, configured from the environment unless given.
+// name is the server using it; its file store lives in that subdirectory of dir.
+function createStore({
+  name,
+  type = process.env.AGV_STORE || 'file',
+  dir = process.env.AGV_STORE_DIR || DEFAULT_STORE_DIR,
+  url = process.env.AGV_MONGO_URL || DEFAULT_MONGO_URL
+} = {}) {
+  if (type === 'file') {
+    return new FileStore(name ? path.join(dir, name) : dir);
+  }
+  if (type === 'mongo') {
+    // Loaded on demand so the file store runs without Mongoose
+    const { MongoStore } = require('./mongoStore');
+    return new MongoStore(url);
+  }
+  throw new Error(`Unknown store "${type}" - use file or mongo`);
+}
+
+module.exports = {
+  SUMMARY_FIELDS,
+  FileStore,
+  createStore,
+  toTaskRecord,
+  toEventRecord,
+  reportFromRecord
+};
@@ -0,0 +1,70 @@
+// Pending tasks waiting for an AGV.
+// Tasks are accepted even when the whole fleet is busy and handed out in order
+// of priority, then age, as AGVs become idle.
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+
+function priorityRank(priority) {
+  return PRIORITY_RANK[priority] === undefined ? PRIORITY_RANK.medium : PRIORITY_RANK[priority];
+}
+
+class PendingTaskQueue {
+  constructor() {
+    this.entries = []; // [{ task, enqueuedAt, seq }] kept in dispatch order
+    this.seq = 0;
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  // Insert a task behind everything of equal or higher priority that is older.
+  // Returns its 1-based position in the queue.
+  enqueue(task, enqueuedAt = Date.now()) {
+    const entry = { task, enqueuedAt, seq: this.seq++ };
+    let index = this.entries.findIndex(other => compareEntries(entry, other) < 0);
+    if (index === -1) index = this.entries.length;
+    this.entries.splice(index, 0, entry);
+    return index + 1;
+  }
+
+  peek() {
+    return this.entries.length > 0 ? this.entries[0].task : null;
+  }
+
+  dequeue() {
+    const entry = this.entries.shift();
+    return entry ? entry.task : null;
+  }
+
+  remove(taskId) {
+    const index = this.entries.findIndex(entry => entry.task.id === taskId);
+    if (index === -1) return null;
+    return this.entries.splice(index, 1)[0].task;
+  }
+
+  clear() {
+    this.entries = [];
+  }
+
+  // Snapshot for APIs and dashboards: each task with its position and time waited so far
+  toArray(now = Date.now()) {
+    return this.entries.map((entry, index) => ({
+      ...entry.task,
+      position: index + 1,
+      enqueuedAt: entry.enqueuedAt,
+      waitTime: now - entry.enqueuedAt
+    }));
+  }
+}
+
+function compareEntries(a, b) {
+  return priorityRank(a.task.priority) - priorityRank(b.task.priority) ||
+    a.enqueuedAt - b.enqueuedAt ||
+    a.seq - b.seq;
+}
+
+module.exports = {
+  PRIORITY_RANK,
+  PendingTaskQueue
+};
@@ -0,0 +1,295 @@
+const { itineraryFromPath, DEFAULT_CLEARANCE } = require('./cooperativePlanner');
+const { planTimedLeg } = require('./timedLegs');
+
+// Path conflicts between the tasks of ultimateServer.js and their resolution.
+// Two assigned or executing tasks whose planned paths share more than one node
+// are in conflict. A conflict is resolved by changing the task that has not
+// started: routing it around the shared nodes, swapping the AGVs of two tasks
+// that have not started, or holding it until the other task has finished its
+// whole route - the delivery leg included - plus DEFAULT_CLEARANCE.
+//
+// fleet: { tasks, agvs } as in ultimateServer.js systemState (see timedLegs.js).
+
+const CONFLICT_STRATEGIES = ['auto', 'reroute', 'swap', 'delay'];
+const PRIORITY_RANK = { 'High': 3, 'Medium': 2, 'Low': 1 };
+
+function sharedNodes(task1, task2) {
+  return task1.plannedPath.filter(node => task2.plannedPath.includes(node));
+}
+
+function isActive(task) {
+  return task.status === 'assigned' || task.status === 'executing';
+}
+
+// Start a task held by a delay resolution once its delayedUntil has passed,
+// waiting out any extension (extendDelays()) made in the meantime.
+// task.startsAt is the planned start until then.
+function startWhenClear(task, start) {
+  task.startsAt = task.delayedUntil;
+  setTimeout(() => {
+    if (task.delayedUntil > task.startsAt) {
+      startWhenClear(task, start);
+      return;
+    }
+    delete task.startsAt;
+    start();
+  }, task.startsAt - Date.now());
+}
+
+class TimeWindowPlanner {
+  constructor(pathfinder, fleet) {
+    this.pathfinder = pathfinder;
+    this.fleet = fleet;
+    this.seenConflicts = new Map(); // "id1/id2" -> [id1, id2] for active task pairs already reported
+  }
+
+  detectTimeWindows(tasks) {
+    return tasks.map(task => ({
+      taskId: task.id,
+      startTime: task.earliestStart || Date.now(),
+      endTime: task.latestStart || Date.now() + (60 * 60 * 1000),
+      priority: task.priority || 'Medium',
+      score: this.calculateTimeWindowScore(task)
+    }));
+  }
+
+  calculateTimeWindowScore(task) {
+    let score = 100;
+    const priorityWeight = { 'High': 50, 'Medium': 25, 'Low': 10 };
+    score += priorityWeight[task.priority] || 25;
+    return score;
+  }
+
+  // When a task is expected to be done with its route: the end of its delivery
+  // leg, estimated along the A* route from the pickup while it is still on its
+  // way there. null for a task without a timed plan.
+  routeEndsAt(task) {
+    if (!task.plannedItinerary) return null;
+    const legEnd = task.plannedItinerary[task.plannedItinerary.length - 1].arriveAt;
+    if (task.phase === 'to_delivery') return legEnd;
+    const delivery = this.pathfinder.aStarPathfinding(task.pickupLocation, task.deliveryLocation);
+    if (delivery.length === 0) return legEnd;
+    const itinerary = itineraryFromPath(this.pathfinder.graph, delivery, legEnd);
+    return itinerary[itinerary.length - 1].arriveAt;
+  }
+
+  hasPathConflict(task1, task2) {
+    if (!task1.plannedPath || !task2.plannedPath) return false;
+
+    // A task held until the other has finished its route cannot meet it
+    const waitsFor = (waiting, moving) => {
+      const endsAt = waiting.delayedUntil ? this.routeEndsAt(moving) : null;
+      return endsAt !== null && waiting.delayedUntil >= endsAt + DEFAULT_CLEARANCE;
+    };
+    if (waitsFor(task1, task2) || waitsFor(task2, task1)) return false;
+
+    return sharedNodes(task1, task2).length > 1; // More than just the start/end nodes
+  }
+
+  // Path conflicts between active tasks. Returns { conflicts, newConflicts }
+  // where newConflicts counts the pairs not reported before; pairs are
+  // forgotten once either task finishes.
+  detectConflicts(now = Date.now()) {
+    const conflicts = [];
+    const activeTasks = this.fleet.tasks.filter(isActive);
+    const activeIds = new Set(activeTasks.map(task => task.id));
+    for (const [key, ids] of this.seenConflicts) {
+      if (!ids.every(id => activeIds.has(id))) this.seenConflicts.delete(key);
+    }
+
+    let newConflicts = 0;
+    for (let i = 0; i < activeTasks.length; i++) {
+      for (let j = i + 1; j < activeTasks.length; j++) {
+        const task1 = activeTasks[i];
+        const task2 = activeTasks[j];
+        if (!this.hasPathConflict(task1, task2)) continue;
+
+        conflicts.push({
+          type: 'path_conflict',
+          tasks: [task1.id, task2.id],
+          agvs: [task1.assignedAGV, task2.assignedAGV],
+          nodes: sharedNodes(task1, task2),
+          severity: 'medium',
+          detectedAt: now
+        });
+        const key = `${task1.id}/${task2.id}`;
+        if (!this.seenConflicts.has(key)) {
+          this.seenConflicts.set(key, [task1.id, task2.id]);
+          newConflicts++;
+        }
+      }
+    }
+    return { conflicts, newConflicts };
+  }
+
+  // Resolve detected path conflicts with strategy (CONFLICT_STRATEGIES); auto
+  // tries rerouting, then swapping assignments, then a priority-based delay.
+  // Only tasks that have not started are changed, and a task is changed at
+  // most once per call. Returns { resolutions, unresolved } for applyResolution().
+  resolveConflicts(conflicts, strategy = 'auto') {
+    const resolutions = [];
+    const unresolved = [];
+    const changed = new Set();
+    const attempts = {
+      reroute: (yielding, other, conflict) => this.rerouteResolution(yielding, conflict),
+      swap: (yielding, other) => this.swapResolution(yielding, other),
+      delay: (yielding, other) => this.delayResolution(yielding, other)
+    };
+    const order = strategy === 'auto' ? ['reroute', 'swap', 'delay'] : [strategy];
+
+    conflicts.filter(conflict => conflict.type === 'path_conflict').forEach(conflict => {
+      const [task1, task2] = conflict.tasks.map(id => this.fleet.tasks.find(t => t.id === id));
+      if (!task1 || !task2 || changed.has(task1.id) || changed.has(task2.id)) return;
+
+      const yielding = this.yieldingTask(task1, task2);
+      if (!yielding) {
+        unresolved.push({ tasks: conflict.tasks, reason: 'both tasks are under way' });
+        return;
+      }
+      const other = yielding === task1 ? task2 : task1;
+      let resolution = null;
+      for (const name of order) {
+        resolution = attempts[name](yielding, other, conflict);
+        if (resolution) break;
+      }
+      if (!resolution) {
+        unresolved.push({ tasks: conflict.tasks, reason: `no ${order.join('/')} resolution found` });
+        return;
+      }
+      resolution.conflict = conflict.tasks;
+      resolution.changes.forEach(change => changed.add(change.taskId));
+      resolutions.push(resolution);
+    });
+    return { resolutions, unresolved };
+  }
+
+  // The task that gives way: one that has not started, the lower priority of two, else the newer
+  yieldingTask(task1, task2) {
+    const candidates = [task1, task2].filter(task => task.status === 'assigned' && !task.startsAt);
+    if (candidates.length < 2) return candidates[0] || null;
+    const rank = task => PRIORITY_RANK[task.priority] || PRIORITY_RANK.Medium;
+    if (rank(task1) !== rank(task2)) return rank(task1) < rank(task2) ? task1 : task2;
+    return task1.createdAt > task2.createdAt ? task1 : task2;
+  }
+
+  // Route the yielding task around the nodes it shares with the other one,
+  // planned with its AGV's algorithm against the rest of the fleet
+  rerouteResolution(yielding, conflict) {
+    const agv = this.fleet.agvs[yielding.assignedAGV];
+    if (!agv) return null;
+    const from = yielding.plannedPath[0];
+    const avoidNodes = conflict.nodes.filter(node => node !== from && node !== yielding.pickupLocation);
+    const leg = planTimedLeg(this.pathfinder, this.fleet, agv, from, yielding.pickupLocation, Date.now(), avoidNodes);
+    if (!leg || this.meetsActiveTask({ ...yielding, plannedPath: leg.path }, [yielding])) return null;
+    return {
+      type: 'reroute',
+      avoidNodes,
+      changes: [{
+        taskId: yielding.id,
+        agvId: yielding.assignedAGV,
+        before: yielding.plannedPath,
+        after: leg.path,
+        itinerary: leg.itinerary
+      }]
+    };
+  }
+
+  // Exchange the AGVs of two tasks that have not started, if their new routes do not meet
+  swapResolution(task1, task2) {
+    if (task2.status !== 'assigned' || task2.startsAt) return null;
+    const agv1 = this.fleet.agvs[task1.assignedAGV];
+    const agv2 = this.fleet.agvs[task2.assignedAGV];
+    if (!agv1 || !agv2 || agv1 === agv2) return null;
+    const now = Date.now();
+    const leg1 = planTimedLeg(this.pathfinder, this.fleet, agv2, agv2.position, task1.pickupLocation, now);
+    const leg2 = planTimedLeg(this.pathfinder, this.fleet, agv1, agv1.position, task2.pickupLocation, now);
+    if (!leg1 || !leg2) return null;
+    const swapped1 = { ...task1, plannedPath: leg1.path };
+    const swapped2 = { ...task2, plannedPath: leg2.path };
+    if (this.hasPathConflict(swapped1, swapped2) ||
+        this.meetsActiveTask(swapped1, [task1, task2]) || this.meetsActiveTask(swapped2, [task1, task2])) return null;
+    return {
+      type: 'swap',
+      changes: [
+        { taskId: task1.id, agvId: agv2.id, previousAgvId: agv1.id, before: task1.plannedPath, after: leg1.path, itinerary: leg1.itinerary },
+        { taskId: task2.id, agvId: agv1.id, previousAgvId: agv2.id, before: task2.plannedPath, after: leg2.path, itinerary: leg2.itinerary }
+      ]
+    };
+  }
+
+  // Whether a changed plan would conflict with an assigned or executing task other than those in ignore;
+  // a resolution must not trade one conflict for another
+  meetsActiveTask(planned, ignore) {
+    return this.fleet.tasks.some(task => isActive(task) && !ignore.includes(task) && this.hasPathConflict(planned, task));
+  }
+
+  // Hold the yielding task until the other one, already under way, has
+  // finished its route through the delivery node
+  delayResolution(yielding, other) {
+    if (other.status !== 'executing' || !other.plannedItinerary) return null;
+    const delayedUntil = Math.max(Date.now(), this.routeEndsAt(other)) + DEFAULT_CLEARANCE;
+    const itinerary = yielding.plannedItinerary || itineraryFromPath(this.pathfinder.graph, yielding.plannedPath, Date.now());
+    const shift = delayedUntil - itinerary[0].arriveAt;
+    return {
+      type: 'delay',
+      delayedUntil,
+      delayedFor: other.id,
+      changes: [{
+        taskId: yielding.id,
+        agvId: yielding.assignedAGV,
+        before: yielding.plannedPath,
+        after: yielding.plannedPath,
+        itinerary: itinerary.map(stop => ({ node: stop.node, arriveAt: stop.arriveAt + shift, departAt: stop.departAt + shift }))
+      }]
+    };
+  }
+
+  // Carry out a resolution from resolveConflicts() on the fleet's tasks; the
+  // executor follows the new plans and holds delayed tasks until delayedUntil.
+  // Returns the changed tasks.
+  applyResolution(resolution, now = Date.now()) {
+    const changed = [];
+    resolution.changes.forEach(change => {
+      const task = this.fleet.tasks.find(t => t.id === change.taskId);
+      if (!task) return;
+      if (change.previousAgvId) {
+        task.assignedAGV = change.agvId;
+        task.algorithm = this.fleet.agvs[change.agvId].algorithm;
+      }
+      task.plannedPath = change.after;
+      task.plannedItinerary = change.itinerary;
+      task.plannedAt = now;
+      if (resolution.type === 'delay') {
+        task.delayedUntil = resolution.delayedUntil;
+        task.delayedFor = resolution.delayedFor;
+      }
+      changed.push(task);
+    });
+    return changed;
+  }
+
+  // Once task has planned its delivery leg, hold the tasks delayed for it
+  // until that leg is driven, if it ends later than estimated; their planned
+  // timing moves with them. Returns them.
+  extendDelays(task) {
+    const holdUntil = this.routeEndsAt(task) + DEFAULT_CLEARANCE;
+    const extended = this.fleet.tasks.filter(waiting => waiting.delayedFor === task.id &&
+      waiting.status === 'assigned' && waiting.delayedUntil < holdUntil);
+    extended.forEach(waiting => {
+      const shift = holdUntil - waiting.delayedUntil;
+      waiting.delayedUntil = holdUntil;
+      if (waiting.plannedItinerary) {
+        waiting.plannedItinerary = waiting.plannedItinerary.map(stop => ({ node: stop.node, arriveAt: stop.arriveAt + shift, departAt: stop.departAt + shift }));
+      }
+    });
+    return extended;
+  }
+}
+
+module.exports = {
+  CONFLICT_STRATEGIES,
+  PRIORITY_RANK,
+  sharedNodes,
+  startWhenClear,
+  TimeWindowPlanner
+};
@@ -0,0 +1,93 @@
+const { ReservationTable, itineraryFromPath } = require('./cooperativePlanner');
+const { planRoute } = require('./routing');
+
+// Timed legs for ultimateServer.js. A task is driven in two legs, to the pickup
+// and then to the delivery node, each planned with the AGV's algorithm
+// (routing.js) against what the rest of the fleet has planned, and driven as
+// a timed itinerary of { node, arriveAt, departAt } stops.
+//
+// fleet: { tasks, agvs } as in ultimateServer.js systemState; tasks that are
+// assigned or executing carry plannedPath, and plannedItinerary once timed.
+
+// Reservations of every AGV but excludeAgvId: active tasks along their planned
+// route (time-planned tasks with their planned timing), idle AGVs parked in place
+function buildReservationTable(pathfinder, { tasks, agvs }, excludeAgvId, now) {
+  const table = new ReservationTable();
+  const activeTasks = tasks.filter(t =>
+    (t.status === 'assigned' || t.status === 'executing') && t.plannedPath && t.assignedAGV !== excludeAgvId);
+
+  activeTasks.forEach(task => {
+    const itinerary = task.plannedItinerary ||
+      itineraryFromPath(pathfinder.graph, task.plannedPath, task.plannedAt || now);
+    table.reserveItinerary(itinerary, task.assignedAGV);
+  });
+
+  Object.values(agvs).forEach(agv => {
+    if (agv.id === excludeAgvId || activeTasks.some(t => t.assignedAGV === agv.id)) return;
+    table.reserveNode(agv.position, now, Infinity, agv.id);
+  });
+  return table;
+}
+
+// Plan a route with algorithm (routing.js planRoute() request) and time it:
+// algorithms that plan in space only, or a time-aware plan that found nothing,
+// drive the A* route as soon as possible (fallback is then true when the A*
+// route stands in for a plan). Returns { path, itinerary, fallback } or null
+// when there is no route.
+function planTimedRoute(pathfinder, algorithm, request) {
+  const { from, to, startTime } = request;
+  const plan = planRoute(pathfinder, algorithm, request);
+  if (plan.itinerary) return { path: plan.path, itinerary: plan.itinerary, fallback: false };
+
+  const path = plan.path.length > 0 ? plan.path : pathfinder.aStarPathfinding(from, to);
+  if (path.length === 0) return null;
+  return { path, itinerary: itineraryFromPath(pathfinder.graph, path, startTime), fallback: plan.path.length === 0 };
+}
+
+// Plan a leg with the AGV's algorithm against the rest of the fleet
+// (planTimedRoute()), keeping off avoidNodes: time-aware algorithms plan as if
+// they were taken for good, and a route of the others that crosses one gives
+// way to the A* route around them.
+function planTimedLeg(pathfinder, fleet, agv, from, to, startTime, avoidNodes = []) {
+  const leg = planTimedRoute(pathfinder, agv.algorithm, {
+    agvId: agv.id,
+    from,
+    to,
+    startTime,
+    reservations: () => {
+      const table = buildReservationTable(pathfinder, fleet, agv.id, startTime);
+      avoidNodes.forEach(node => table.reserveNode(node, startTime, Infinity, null));
+      return table;
+    }
+  });
+  if (!leg || !leg.path.some(node => avoidNodes.includes(node))) return leg;
+
+  const path = pathfinder.aStarPathfinding(from, to, avoidNodes);
+  if (path.length === 0) return null;
+  return { path, itinerary: itineraryFromPath(pathfinder.graph, path, startTime), fallback: leg.fallback };
+}
+
+// Drive an itinerary in real time: onMove(stop) at each stop after the first,
+// then onArrive(). An itinerary that should have started already is shifted to
+// start now. Returns { stops, delay } with the shifted stops and the shift in ms.
+function followItinerary(itinerary, { onMove, onArrive }) {
+  const now = Date.now();
+  const delay = Math.max(0, now - itinerary[0].arriveAt);
+  const stops = itinerary.map(stop => ({ node: stop.node, arriveAt: stop.arriveAt + delay, departAt: stop.departAt + delay }));
+
+  stops.slice(1).forEach((stop, index) => {
+    setTimeout(() => {
+      onMove(stop);
+      if (index === stops.length - 2) onArrive();
+    }, stop.arriveAt - now);
+  });
+  if (stops.length === 1) setTimeout(onArrive, 0);
+  return { stops, delay };
+}
+
+module.exports = {
+  buildReservationTable,
+  planTimedRoute,
+  planTimedLeg,
+  followItinerary
+};
@@ -4,80 +4,27 @@ const WebSocket = require('ws');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { spawn } = require('child_process');
 const cors = require('cors');
-const mongoose = require('mongoose');
+const { loadLayout, buildWeightedGraph } = require('./core/layout');
+const { validateExecutionLog } = require('./core/executionLog');
+const { buildReplay } = require('./core/replay');
+const { createStore, reportFromRecord } = require('./core/storage');
+const { compareStoredSimulations } = require('./core/comparison');
+const { readDatasetFile } = require('./core/dataset');
+const { findDataset, recordRun, runSchedulerInWorker } = require('./scheduler');
 
 const app = express();
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ server });
 
-// MongoDB connection
-mongoose.connect('mongodb://localhost:27017/agv_scheduling', {
-  useNewUrlParser: true,
-  useUnifiedTopology: true
-}).then(() => {
-  console.log('Connected to MongoDB');
+// Simulation history: JSON files by default, MongoDB with AGV_STORE=mongo (see core/storage.js)
+const store = createStore({ name: 'enhanced_server' });
+store.open().then(() => {
+  console.log(`Simulation store ready (${store.type})`);
 }).catch(err => {
-  console.error('MongoDB connection error:', err);
+  console.error('Simulation store error:', err);
 });
 
-// MongoDB Schemas
-const SimulationSchema = new mongoose.Schema({
-  simulationId: { type: String, unique: true, required: true },
-  timestamp: { type: Date, default: Date.now },
-  status: { type: String, enum: ['running', 'completed', 'failed'], default: 'running' },
-  totalExecutionTime: Number,
-  tasksCompleted: Number,
-  totalTasks: Number,
-  executionLogs: [String],
-  structuredLogs: [{
-    time: String,
-    event: String,
-    agvId: String,
-    edge: String,
-    batteryRemaining: Number,
-    status: String,
-    payload: String,
-    weight: Number
-  }],
-  agvStats: [{
-    agvId: Number,
-    finalPosition: Number,
-    batteryRemaining: Number,
-    chargeCount: Number,
-    province: Number
-  }],
-  collisionEvents: [{
-    time: String,
-    agv1: Number,
-    agv2: Number,
-    location: Number,
-    type: String
-  }],
-  averageDeliveryTimes: mongoose.Schema.Types.Mixed,
-  majorDockingStations: [Number],
-  provinces: mongoose.Schema.Types.Mixed
-});
-
-const TaskSchema = new mongoose.Schema({
-  simulationId: String,
-  payloadId: String,
-  sourceNode: Number,
-  destinationNode: Number,
-  weight: Number,
-  priority: Number,
-  timeOfScheduling: Date,
-  assignedAGV: Number,
-  startTime: Date,
-  completionTime: Date,
-  deliveryTime: Number,
-  status: { type: String, enum: ['pending', 'in_progress', 'completed', 'failed'], default: 'pending' }
-});
-
-const Simulation = mongoose.model('Simulation', SimulationSchema);
-const Task = mongoose.model('Task', TaskSchema);
-
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
@@ -173,14 +120,15 @@ app.post('/api/upload', upload.single('dataset'), async (req, res) => {
 
     console.log('Dataset uploaded:', req.file.filename);
     
+    // Scheduler runs pick the newest upload, so a dataset without a valid row is not kept
+    if (readDatasetFile(req.file.path).tasks.length === 0) {
+      fs.unlink(req.file.path, () => {});
+      return res.status(422).json({ error: 'Dataset has no valid rows' });
+    }
+    
     // Create a new simulation record
     const simulationId = `sim_${Date.now()}`;
-    const simulation = new Simulation({
-      simulationId,
-      status: 'pending'
-    });
-    
-    await simulation.save();
+    await store.createSimulation({ simulationId, status: 'pending' });
     
     res.json({ 
       message: 'Dataset uploaded successfully',
@@ -189,6 +137,7 @@ app.post('/api/upload', upload.single('dataset'), async (req, res) => {
     });
   } catch (error) {
     console.error('Upload error:', error);
+    if (req.file) fs.unlink(req.file.path, () => {});
     res.status(500).json({ error: 'Failed to upload dataset' });
   }
 });
@@ -205,164 +154,61 @@ app.post('/api/start-simulation', async (req, res) => {
     simulationRunning = true;
 
     // Create simulation record
-    const simulation = new Simulation({
-      simulationId,
-      status: 'running'
-    });
-    await simulation.save();
+    await store.createSimulation({ simulationId, status: 'running' });
 
     broadcast({
       type: 'simulation_started',
       data: { simulationId, timestamp: new Date().toISOString() }
     });
 
-    // Find latest uploaded dataset
-    const uploadsDir = path.join(__dirname, 'uploads');
-    const files = fs.existsSync(uploadsDir) ? 
-      fs.readdirSync(uploadsDir).filter(f => f.endsWith('.xlsx')) : [];
-    
-    const datasetPath = files.length > 0 ? 
-      path.join(uploadsDir, files[files.length - 1]) :
-      '../AGV_Hackathon_dataset.xlsx';
-
-    // Start Python simulation process
-    const pythonProcess = spawn('python', [
-      '../enhanced_agv_scheduler.py'
-    ], {
-      cwd: __dirname,
-      env: { ...process.env, DATASET_PATH: datasetPath, SIMULATION_ID: simulationId }
-    });
-
-    let outputBuffer = '';
-    let errorBuffer = '';
-
-    pythonProcess.stdout.on('data', async (data) => {
-      const output = data.toString();
-      outputBuffer += output;
-      
-      try {
-        const lines = output.split('\n').filter(line => line.trim());
-        
-        for (const line of lines) {
-          if (line.includes('agv_')) {
-            // Parse and broadcast AGV movement log
-            broadcast({
-              type: 'movement_log',
-              data: {
-                log: line.trim(),
-                simulationId,
-                timestamp: new Date().toISOString()
-              }
-            });
-          } else if (line.startsWith('Processing')) {
-            // Task processing updates
-            broadcast({
-              type: 'task_update',
-              data: {
-                message: line.trim(),
-                simulationId
-              }
-            });
-          }
+    // Run the latest uploaded dataset in a scheduler worker thread
+    const datasetPath = findDataset(path.join(__dirname, 'uploads'));
+    runSchedulerInWorker({
+      dataset: datasetPath,
+      out: path.join(__dirname, '../output/simulations', simulationId)
+    }, {
+      onLog: line => broadcast({
+        type: 'movement_log',
+        data: {
+          log: line,
+          simulationId,
+          timestamp: new Date().toISOString()
         }
-      } catch (parseError) {
-        console.error('Parse error:', parseError);
-      }
-    });
-
-    pythonProcess.stderr.on('data', (data) => {
-      errorBuffer += data.toString();
-      console.error('Python error:', data.toString());
-    });
+      })
+    })
+      .then(async (result) => {
+        const { finished, report: reportData, progress } = result;
+        console.log(`Scheduler finished ${simulationId}: ${progress.completed}/${progress.total} tasks completed`);
+        await recordRun(store, simulationId, result);
 
-    pythonProcess.on('close', async (code) => {
-      console.log(`Python process exited with code ${code}`);
-      simulationRunning = false;
-      
-      try {
-        // Read generated files and update database
-        const reportsPath = path.join(__dirname, '../simulation_report.json');
-        const logsPath = path.join(__dirname, '../execution_logs.txt');
-        const structuredLogsPath = path.join(__dirname, '../structured_logs.csv');
-        
-        let reportData = {};
-        let executionLogs = [];
-        let structuredLogs = [];
-        
-        if (fs.existsSync(reportsPath)) {
-          reportData = JSON.parse(fs.readFileSync(reportsPath, 'utf8'));
-        }
-        
-        if (fs.existsSync(logsPath)) {
-          executionLogs = fs.readFileSync(logsPath, 'utf8')
-            .split('\n')
-            .filter(line => line.trim());
-        }
-        
-        if (fs.existsSync(structuredLogsPath)) {
-          const csv = require('csv-parser');
-          const results = [];
-          fs.createReadStream(structuredLogsPath)
-            .pipe(csv())
-            .on('data', (data) => results.push(data))
-            .on('end', async () => {
-              structuredLogs = results;
-              
-              // Update simulation in database
-              await Simulation.findOneAndUpdate(
-                { simulationId },
-                {
-                  status: code === 0 ? 'completed' : 'failed',
-                  totalExecutionTime: reportData.total_execution_time,
-                  tasksCompleted: reportData.tasks_completed,
-                  totalTasks: reportData.total_tasks,
-                  executionLogs,
-                  structuredLogs,
-                  agvStats: reportData.agv_stats,
-                  collisionEvents: reportData.collision_events,
-                  averageDeliveryTimes: reportData.average_delivery_times,
-                  majorDockingStations: reportData.major_docking_stations,
-                  provinces: reportData.provinces
-                }
-              );
-            });
-        } else {
-          await Simulation.findOneAndUpdate(
-            { simulationId },
-            {
-              status: code === 0 ? 'completed' : 'failed',
-              totalExecutionTime: reportData.total_execution_time,
-              tasksCompleted: reportData.tasks_completed,
-              totalTasks: reportData.total_tasks,
-              executionLogs,
-              agvStats: reportData.agv_stats,
-              collisionEvents: reportData.collision_events,
-              averageDeliveryTimes: reportData.average_delivery_times,
-              majorDockingStations: reportData.major_docking_stations,
-              provinces: reportData.provinces
-            }
-          );
-        }
-        
         broadcast({
           type: 'simulation_complete',
           data: {
             simulationId,
-            code,
-            message: code === 0 ? 'Simulation completed successfully' : 'Simulation failed',
+            code: finished ? 0 : 1,
+            message: finished ? 'Simulation completed successfully' : 'Simulation stopped at its time limit',
             reportData,
             timestamp: new Date().toISOString()
           }
         });
-        
-      } catch (error) {
-        console.error('Error updating simulation results:', error);
-        await Simulation.findOneAndUpdate(
-          { simulationId },
-          { status: 'failed' }
-        );
-      }
-    });
+      })
+      .catch(async (error) => {
+        console.error('Simulation error:', error);
+        await store.updateSimulation(simulationId, { status: 'failed' })
+          .catch(updateError => console.error('Error updating simulation results:', updateError));
+        broadcast({
+          type: 'simulation_complete',
+          data: {
+            simulationId,
+            code: 1,
+            message: `Simulation failed: ${error.message}`,
+            timestamp: new Date().toISOString()
+          }
+        });
+      })
+      .finally(() => {
+        simulationRunning = false;
+      });
 
     res.json({ 
       message: 'Simulation started successfully',
@@ -380,7 +226,7 @@ app.post('/api/start-simulation', async (req, res) => {
 // Get simulation by ID
 app.get('/api/simulation/:id', async (req, res) => {
   try {
-    const simulation = await Simulation.findOne({ simulationId: req.params.id });
+    const simulation = await store.getSimulation(req.params.id);
     if (!simulation) {
       return res.status(404).json({ error: 'Simulation not found' });
     }
@@ -391,17 +237,38 @@ app.get('/api/simulation/:id', async (req, res) => {
   }
 });
 
+// Tasks of a simulation
+app.get('/api/simulation/:id/tasks', async (req, res) => {
+  try {
+    if (!await store.getSimulation(req.params.id)) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+    res.json({ tasks: await store.listTasks(req.params.id) });
+  } catch (error) {
+    console.error('Error fetching tasks:', error);
+    res.status(500).json({ error: 'Failed to fetch tasks' });
+  }
+});
+
+// Safety events of a simulation, optionally of one type (?type=collision)
+app.get('/api/simulation/:id/events', async (req, res) => {
+  try {
+    if (!await store.getSimulation(req.params.id)) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+    res.json({ events: await store.listEvents(req.params.id, { type: req.query.type }) });
+  } catch (error) {
+    console.error('Error fetching events:', error);
+    res.status(500).json({ error: 'Failed to fetch events' });
+  }
+});
+
 // Get all simulations
 app.get('/api/simulations', async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    const simulations = await Simulation.find()
-      .sort({ timestamp: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .select('simulationId timestamp status totalExecutionTime tasksCompleted totalTasks');
-    
-    const total = await Simulation.countDocuments();
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const { simulations, total } = await store.listSimulations({ page, limit });
     
     res.json({
       simulations,
@@ -418,32 +285,38 @@ app.get('/api/simulations', async (req, res) => {
 // Get reports for a simulation
 app.get('/api/reports/:id', async (req, res) => {
   try {
-    const simulation = await Simulation.findOne({ simulationId: req.params.id });
+    const simulation = await store.getSimulation(req.params.id);
     if (!simulation) {
       return res.status(404).json({ error: 'Simulation not found' });
     }
     
-    const report = {
-      simulationId: simulation.simulationId,
-      timestamp: simulation.timestamp,
-      totalExecutionTime: simulation.totalExecutionTime,
-      tasksCompleted: simulation.tasksCompleted,
-      totalTasks: simulation.totalTasks,
-      agvStats: simulation.agvStats,
-      averageDeliveryTimes: simulation.averageDeliveryTimes,
-      majorDockingStations: simulation.majorDockingStations,
-      provinces: simulation.provinces,
-      collisionEvents: simulation.collisionEvents,
-      efficiency: simulation.tasksCompleted / simulation.totalTasks * 100
-    };
-    
-    res.json(report);
+    res.json(reportFromRecord(simulation));
   } catch (error) {
     console.error('Error fetching report:', error);
     res.status(500).json({ error: 'Failed to fetch report' });
   }
 });
 
+// Compare simulations (?ids=baseline,other,...) - deltas against the first,
+// with significant differences flagged (see core/comparison.js)
+app.get('/api/compare', async (req, res) => {
+  const ids = [...new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean))];
+  if (ids.length < 2) {
+    return res.status(400).json({ error: 'Give at least two simulation ids: ?ids=baseline,other' });
+  }
+
+  try {
+    const { comparison, missing } = await compareStoredSimulations(store, ids);
+    if (missing) {
+      return res.status(404).json({ error: `Simulation(s) not found: ${missing.join(', ')}` });
+    }
+    res.json(comparison);
+  } catch (error) {
+    console.error('Error comparing simulations:', error);
+    res.status(500).json({ error: 'Failed to compare simulations' });
+  }
+});
+
 // Upload execution logs for visualization
 app.post('/api/upload-logs', upload.single('logFile'), async (req, res) => {
   try {
@@ -456,15 +329,13 @@ app.post('/api/upload-logs', upload.single('logFile'), async (req, res) => {
     
     // Parse logs and create simulation record
     const simulationId = `uploaded_${Date.now()}`;
-    const simulation = new Simulation({
+    await store.createSimulation({
       simulationId,
       status: 'completed',
       executionLogs: logs,
       timestamp: new Date()
     });
     
-    await simulation.save();
-    
     // Clean up uploaded file
     fs.unlinkSync(req.file.path);
     
@@ -480,6 +351,28 @@ app.post('/api/upload-logs', upload.single('logFile'), async (req, res) => {
   }
 });
 
+// Playback timeline for a stored simulation's execution logs
+app.get('/api/replay/:id', async (req, res) => {
+  try {
+    const simulation = await store.getSimulation(req.params.id);
+    if (!simulation) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+    
+    const layout = loadLayout();
+    const report = validateExecutionLog(simulation.executionLogs.join('\n'));
+    res.json({
+      success: true,
+      source: simulation.simulationId,
+      ...buildReplay(report.entries, layout, buildWeightedGraph(layout)),
+      invalidLines: report.errors
+    });
+  } catch (error) {
+    console.error('Error building replay:', error);
+    res.status(500).json({ error: 'Failed to build replay' });
+  }
+});
+
 // Get current simulation status
 app.get('/api/status', (req, res) => {
   res.json({
@@ -512,8 +405,8 @@ app.get('/api/logs', (req, res) => {
 // Delete simulation
 app.delete('/api/simulation/:id', async (req, res) => {
   try {
-    const result = await Simulation.findOneAndDelete({ simulationId: req.params.id });
-    if (!result) {
+    const deleted = await store.deleteSimulation(req.params.id);
+    if (!deleted) {
       return res.status(404).json({ error: 'Simulation not found' });
     }
     res.json({ message: 'Simulation deleted successfully' });
@@ -529,7 +422,7 @@ app.get('/api/health', (req, res) => {
     status: 'healthy',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected'
+    store: { type: store.type, status: store.status() }
   });
 });
 
@@ -558,7 +451,7 @@ server.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('Shutting down server...');
-  await mongoose.connection.close();
+  await store.close();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
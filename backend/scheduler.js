@@ -0,0 +1,179 @@
+// Dataset scheduler in JavaScript, replacing the Python scripts (agv1.py,
+// enhanced_agv_scheduler.py) the servers used to spawn.
+// A run loads server.js's movement coordinator, charging and dispatch logic on
+// a virtual clock, releases the dataset rows at their scheduling times and
+// returns the simulation_report.json summary that enhanced_server.js stores on
+// its Simulation records, with the execution log lines of the run.
+//
+// server.js keeps its state in module scope, so a process holds one engine:
+// runScheduler() loads it into the calling process (simulate.js), and
+// runSchedulerInWorker() gives every run its own worker thread, which is how
+// the servers run it without blocking their event loop.
+
+const fs = require('fs');
+const path = require('path');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { VirtualClock, useClock } = require('./core/clock');
+const { DATASET_EXTENSIONS, readDatasetFile } = require('./core/dataset');
+const { validateExecutionLog } = require('./core/executionLog');
+const { simulationRecordFields } = require('./core/simulationReport');
+const { toTaskRecord, toEventRecord } = require('./core/storage');
+
+const SERVER_MODULE = require.resolve('./server');
+const DEFAULT_DATASET = path.join(__dirname, '../AGV_Hackathon_dataset.xlsx');
+
+// The most recently uploaded dataset in uploadsDir, or the hackathon workbook
+function findDataset(uploadsDir) {
+  const uploads = fs.existsSync(uploadsDir) ? fs.readdirSync(uploadsDir) : [];
+  const latest = uploads
+    .filter(name => DATASET_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+    .map(name => path.join(uploadsDir, name))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs)[0];
+  return latest || DEFAULT_DATASET;
+}
+
+// Start the virtual clock at the first scheduling time, today, so execution
+// log times line up with the dataset
+function startTime(datasetFile) {
+  const times = readDatasetFile(datasetFile).tasks.map(task => task.scheduledAt).filter(Boolean).sort();
+  const start = new Date();
+  const [hours, minutes, seconds] = (times[0] || '00:00:00').split(':').map(Number);
+  start.setHours(hours, minutes, seconds, 0);
+  return start.getTime();
+}
+
+// options: { dataset, out, layout, energy, fleet (AGV registration specs as
+//            accepted by POST /api/agvs), timeScale = 1, maxHours = 24,
+//            snapshotSeconds = 60 }
+// onLog(line) receives each execution log line as it is written.
+// Returns { finished, report, progress, skipped, executionLogs, tasks, events }
+// where skipped lists the invalid dataset rows (and the sheets missing a task
+// column, as their header row), tasks and events are the
+// engine's tasks and safety events, and finished is false when maxHours ran
+// out before every row was completed, failed or rejected.
+function runScheduler(options, { onLog } = {}) {
+  const { dataset, out, layout, energy, fleet, timeScale = 1, maxHours = 24, snapshotSeconds = 60 } = options;
+  if (require.cache[SERVER_MODULE]) {
+    throw new Error('The simulation engine is already loaded in this process - use runSchedulerInWorker()');
+  }
+  if (!dataset || !out) {
+    throw new Error('A scheduler run needs a dataset and an output directory');
+  }
+
+  fs.mkdirSync(out, { recursive: true });
+  process.env.AGV_OUTPUT_DIR = out;
+  process.env.AGV_LOG_CONSOLE = 'false';
+  if (layout) process.env.AGV_LAYOUT_FILE = layout;
+  if (energy) process.env.AGV_ENERGY_CONFIG = energy;
+
+  // server.js picks up the clock when it loads
+  const clock = new VirtualClock(startTime(dataset));
+  useClock(clock);
+  const simulation = require('./server');
+
+  const executionLogs = [];
+  simulation.onExecutionLog(line => {
+    executionLogs.push(line);
+    if (onLog) onLog(line);
+  });
+  if (fleet) {
+    simulation.loadFleet(fleet);
+  }
+  const rows = simulation.readDataset(dataset);
+  if (rows.tasks.length === 0) {
+    throw new Error(`No valid rows in ${dataset}`);
+  }
+
+  const startedAt = clock.now();
+  simulation.startSimulation({ autoTasks: false });
+  simulation.scheduleDataset(rows.tasks, timeScale);
+  const snapshots = clock.setInterval(simulation.recordAgvSnapshot, snapshotSeconds * 1000);
+
+  const finished = clock.run(() => simulation.datasetProgress().finished, startedAt + maxHours * 3600 * 1000);
+  const finishedAt = clock.now();
+  clock.clearInterval(snapshots);
+  simulation.recordAgvSnapshot();
+  const report = simulation.simulationReport(startedAt, finishedAt);
+  // Stopping marks the tasks still under way as interrupted, which the report does not count
+  const progress = simulation.datasetProgress();
+  simulation.stopSimulation();
+  simulation.exportAnalytics();
+  fs.writeFileSync(path.join(out, 'simulation_report.json'), JSON.stringify(report, null, 2));
+
+  return {
+    finished,
+    report,
+    progress,
+    skipped: rows.sheetReport.filter(entry => entry.errors.length > 0).map(({ sheet, errors }) => ({ sheet, row: 1, errors }))
+      .concat(rows.report.filter(entry => !entry.valid).map(({ sheet, row, errors }) => ({ sheet, row, errors }))),
+    executionLogs,
+    tasks: simulation.tasks().filter(task => !task.isCharging),
+    events: simulation.safetyEvents()
+  };
+}
+
+// Store a run's result on the simulation record simulationId (see
+// core/storage.js), with its tasks and events. A run that hit maxHours is
+// recorded as failed with the work it got done.
+async function recordRun(store, simulationId, { finished, report, executionLogs, tasks, events }) {
+  const structuredLogs = validateExecutionLog(executionLogs.join('\n')).entries.map(entry => ({
+    time: entry.time,
+    event: entry.kind,
+    agvId: entry.agvId,
+    edge: `${entry.startNode}-${entry.endNode}`,
+    payload: entry.payloadNum === null ? undefined : `payload_${entry.payloadNum}`,
+    weight: entry.weight
+  }));
+  await store.updateSimulation(simulationId, {
+    status: finished ? 'completed' : 'failed',
+    ...simulationRecordFields(report),
+    executionLogs,
+    structuredLogs
+  });
+  await store.saveTasks(simulationId, tasks.map(task => toTaskRecord(simulationId, task)));
+  await store.appendEvents(simulationId, events.map(event => toEventRecord(simulationId, event)));
+}
+
+// runScheduler() in a worker thread. Resolves with its result; onLog is called
+// on this thread for each execution log line.
+function runSchedulerInWorker(options, { onLog } = {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, { workerData: { schedulerRun: options } });
+    let settled = false;
+    const settle = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      worker.terminate();
+      callback(value);
+    };
+
+    worker.on('message', message => {
+      if (message.type === 'log') {
+        if (onLog) onLog(message.line);
+      } else if (message.type === 'result') {
+        settle(resolve, message.result);
+      } else if (message.type === 'error') {
+        settle(reject, new Error(message.error));
+      }
+    });
+    worker.on('error', error => settle(reject, error));
+    worker.on('exit', code => settle(reject, new Error(`Scheduler worker exited with code ${code}`)));
+  });
+}
+
+module.exports = {
+  findDataset,
+  recordRun,
+  runScheduler,
+  runSchedulerInWorker
+};
+
+// Worker thread started by runSchedulerInWorker()
+if (!isMainThread && workerData && workerData.schedulerRun) {
+  try {
+    const result = runScheduler(workerData.schedulerRun, { onLog: line => parentPort.postMessage({ type: 'log', line }) });
+    parentPort.postMessage({ type: 'result', result });
+  } catch (error) {
+    parentPort.postMessage({ type: 'error', error: error.message });
+  }
+}
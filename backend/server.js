@@ -4,17 +4,40 @@ const WebSocket = require('ws');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const { spawn } = require('child_process');
+const os = require('os');
 const cors = require('cors');
+const { loadLayout, buildWeightedGraph, buildAdjacency, getEdge, hasNode, getNodeIds } = require('./core/layout');
+const { aStar, explainUnreachable } = require('./core/pathfinding');
+const { findWaitCycles, deadlockKey } = require('./core/deadlock');
+const { edgeKey, findDepartureConflict, findCollisions, SafetyLog } = require('./core/separation');
+const { ReservationTable, cooperativeAStar, itineraryFromPath } = require('./core/cooperativePlanner');
+const { PendingTaskQueue } = require('./core/taskQueue');
+const { ChargerPool } = require('./core/chargers');
+const { agvNumber, buildAgvRecord } = require('./core/fleet');
+const { formatClock, formatExecutionLog, parseExecutionLog, validateExecutionLog, payloadNumber } = require('./core/executionLog');
+const { buildReplay } = require('./core/replay');
+const { DATASET_EXTENSIONS, readDatasetFile } = require('./core/dataset');
+const { DatasetRun } = require('./core/datasetRun');
+const { getClock } = require('./core/clock');
+const { buildSimulationReport, simulationRecordFields } = require('./core/simulationReport');
+const { createStore, toTaskRecord, toEventRecord, reportFromRecord } = require('./core/storage');
+const { compareStoredSimulations } = require('./core/comparison');
+const { findDataset, recordRun, runSchedulerInWorker } = require('./scheduler');
+const { loadEnergyModel, agvEfficiency, travelEnergyWh, idleEnergyWh, routeEnergyWh, whToPercent } = require('./core/energy');
 
 const app = express();
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ server });
 
+// Wall clock for the HTTP server, virtual time under the batch runner (simulate.js)
+const clock = getClock();
+
 // Enhanced Logging System - Optimized
-const logDir = path.join(__dirname, '../output/logs');
-const dataDir = path.join(__dirname, '../output/datasets');
-const analyticsDir = path.join(__dirname, '../output/analytics');
+const outputDir = process.env.AGV_OUTPUT_DIR || path.join(__dirname, '../output');
+const logDir = path.join(outputDir, 'logs');
+const dataDir = path.join(outputDir, 'datasets');
+const analyticsDir = path.join(outputDir, 'analytics');
+const LOG_TO_CONSOLE = process.env.AGV_LOG_CONSOLE !== 'false';
 
 // Ensure directories exist
 [logDir, dataDir, analyticsDir].forEach(dir => {
@@ -25,7 +48,7 @@ const analyticsDir = path.join(__dirname, '../output/analytics');
 
 // Optimized logging functions - Only essential logs
 function logToFile(message, type = 'INFO') {
-  const timestamp = new Date().toISOString();
+  const timestamp = new Date(clock.now()).toISOString();
   const logEntry = `[${timestamp}] ${type}: ${message}\n`;
   const logFile = path.join(logDir, 'system.log');
   
@@ -34,7 +57,7 @@ function logToFile(message, type = 'INFO') {
   } catch (err) {
     console.error('Failed to write to log file:', err);
   }
-  console.log(`${type}: ${message}`);
+  if (LOG_TO_CONSOLE) console.log(`${type}: ${message}`);
 }
 
 function logToCSV(data, filename) {
@@ -47,9 +70,12 @@ function logToCSV(data, filename) {
   }
 }
 
+// Called with each execution log line (see onExecutionLog in the exports)
+const executionLogListeners = [];
+
 // Function to log execution in required format
 function logExecution(executionLog) {
-  const logEntry = `[${new Date().toISOString()}] EXECUTION: ${executionLog}\n`;
+  const logEntry = `[${new Date(clock.now()).toISOString()}] EXECUTION: ${executionLog}\n`;
   const executionFile = path.join(logDir, 'execution.log');
   
   try {
@@ -57,6 +83,7 @@ function logExecution(executionLog) {
   } catch (err) {
     console.error('Failed to write execution log:', err);
   }
+  executionLogListeners.forEach(listener => listener(executionLog));
   
   logToFile(`Execution logged: ${executionLog}`, 'EXECUTION');
 }
@@ -79,7 +106,7 @@ try {
   
   // Initialize execution log file
   fs.writeFileSync(path.join(logDir, executionLogFile), 
-    '# AGV Execution Logs - Format: agv_{num}-{start_node}-{end_node}-{HH:MM:SS}-{weight}-payload_{num}\n');
+    '# AGV Execution Logs - Format: agv_{num}-{start_node}-{end_node}-{HH:MM:SS}-{weight}-payload_{num} (empty legs end in 0-deadhead or 0-charging)\n');
 } catch (err) {
   console.error('Failed to initialize log files:', err);
 }
@@ -90,25 +117,34 @@ app.use(express.json());
 app.use(express.static('public'));
 
 // File upload configuration
+// Uploads are validated in a staging directory and only an accepted dataset
+// is moved to uploads/, where scheduler runs pick the newest one
+const uploadsDir = path.join(__dirname, 'uploads');
+const stagingDir = path.join(os.tmpdir(), 'agv-uploads');
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, 'uploads/');
+    cb(null, stagingDir);
   },
   filename: (req, file, cb) => {
-    cb(null, 'AGV_Dataset.xlsx');
+    // Keep the real extension so CSV and Excel uploads are parsed as what they are
+    cb(null, `AGV_Dataset_${Date.now()}${path.extname(file.originalname).toLowerCase()}`);
   }
 });
 
-// Create uploads directory if it doesn't exist
-if (!fs.existsSync('uploads')) {
-  fs.mkdirSync('uploads');
-}
+// Create the upload directories if they don't exist
+[uploadsDir, stagingDir].forEach(dir => fs.mkdirSync(dir, { recursive: true }));
 
 const upload = multer({ storage });
 
+// Execution logs sent for validation are only read, never stored
+const logUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
 // Store WebSocket connections
 const clients = new Set();
 
+// Routing algorithms an AGV can be assigned; CA* plans cooperatively against the rest of the fleet
+const ROUTING_ALGORITHMS = ['A*', 'Dijkstra+TimeWindow', 'ACO', 'CA*'];
+
 // Simple AGV system state for backend-only mode
 const systemState = {
   agvs: {
@@ -122,25 +158,51 @@ const systemState = {
   systemEfficiency: 100
 };
 
+// Tasks accepted while every AGV is busy, dispatched as AGVs become idle
+const pendingTasks = new PendingTaskQueue();
+
 // Enhanced simulation state management
 let simulationInterval = null;
 let autoTaskInterval = null;
 
-// Node graph for pathfinding (9-node grid) - NO DIAGONALS, only horizontal/vertical
-const nodeGraph = {
-  1: [2, 4],        // Node 1 connects to 2 (right), 4 (down)
-  2: [1, 3, 5],     // Node 2 connects to 1 (left), 3 (right), 5 (down)
-  3: [2, 6],        // Node 3 connects to 2 (left), 6 (down)
-  4: [1, 5, 7],     // Node 4 connects to 1 (up), 5 (right), 7 (down)
-  5: [2, 4, 6, 8],  // Node 5 connects to 2 (up), 4 (left), 6 (right), 8 (down)
-  6: [3, 5],        // Node 6 connects to 3 (up), 5 (left)
-  7: [4, 8],        // Node 7 connects to 4 (up), 8 (right)
-  8: [5, 7, 9],     // Node 8 connects to 5 (up), 7 (left), 9 (right)
-  9: [8]            // Node 9 connects to 8 (left) - CHARGING STATION (isolated)
-};
+// Uploaded dataset being released at its scheduling times (see core/datasetRun.js)
+const DATASET_TIME_SCALE = parseFloat(process.env.AGV_DATASET_TIME_SCALE || '1');
+let datasetRun = null;
+let datasetRunCount = 0;
+let datasetReleaseTimer = null;
+let datasetRunFinished = false;
+
+// Warehouse topology loaded from layout file (AGV_LAYOUT_FILE or layouts/default.json)
+const layout = loadLayout();
+const nodeGraph = buildWeightedGraph(layout);
+const undirectedAdjacency = buildAdjacency(layout, { ignoreDirection: true });
+const layoutNodeIds = getNodeIds(layout);
+logToFile(`Layout loaded: ${layout.name} (${layout.nodes.length} nodes, ${layout.edges.length} edges)`, 'SYSTEM');
 
-// Charging configuration
-const CHARGING_NODE = 9;
+// Park any AGV whose configured start node does not exist on this floor
+Object.values(systemState.agvs).forEach((agv, index) => {
+  if (!hasNode(layout, agv.position)) {
+    const fallback = layoutNodeIds[index % layoutNodeIds.length];
+    logToFile(`AGV ${agv.id} start node ${agv.position} not in layout - placed at node ${fallback}`, 'SYSTEM');
+    agv.position = fallback;
+  }
+});
+
+function randomNodeId() {
+  return layoutNodeIds[Math.floor(Math.random() * layoutNodeIds.length)];
+}
+
+// Charging configuration - chargers and their slot counts come from the layout
+const chargerPool = new ChargerPool(layout.chargers, clock.now());
+
+// Battery energy model (AGV_ENERGY_CONFIG overrides the defaults)
+const energyModel = loadEnergyModel();
+logToFile(`Energy model: ${energyModel.capacityWh}Wh pack, ${energyModel.vehicleMassKg}kg vehicle, ${energyModel.idleDrawW}W idle draw, ${energyModel.reservePercent}% reserve`, 'CONFIG');
+
+// Task each AGV is currently working, so the energy it uses is charged to it
+const tasksInProgress = new Map();
+// Charging sessions started per AGV, for run reports
+const chargeSessions = new Map();
 const LOW_BATTERY_THRESHOLD = 30;
 const CHARGING_RATE = 5; // Battery points per charging cycle
 const MAX_BATTERY = 100;
@@ -183,32 +245,69 @@ function broadcast(message) {
   });
 }
 
-// Enhanced pathfinding with A* algorithm (no diagonals)
+// Cost-based A* over the weighted layout graph (edge length as cost)
+// Returns the node path, or null when the destination is unreachable
 function findPath(start, end) {
-  if (start === end) return [start];
-  
-  const visited = new Set();
-  const queue = [[start, [start]]];
+  const result = aStar(layout, nodeGraph, start, end);
+  return result ? result.path : null;
+}
+
+// Plan a route for an AGV with its selected algorithm.
+// CA* plans a space-time route against every other AGV's projected movement and
+// returns the planned departure time for each path index; the other labels use
+// cost-based A* and leave conflicts to the movement coordinator.
+// Returns { path, schedule } or null when the destination is unreachable.
+function planRoute(agvId, start, end) {
+  const agv = systemState.agvs[agvId];
+  if (agv && agv.algorithm === 'CA*') {
+    const now = clock.now();
+    const plan = cooperativeAStar(layout, nodeGraph, buildReservationTable(agvId, now), start, end, {
+      agvId,
+      startTime: now,
+      clearance: MIN_SEPARATION_MS
+    });
+    if (plan) {
+      if (plan.waitTime > 0) {
+        logToFile(`AGV ${agvId} CA* plan ${plan.path.join('->')} includes ${plan.waitTime}ms of planned waiting`, 'PLANNING');
+      }
+      return { path: plan.path, schedule: plan.itinerary.map(stop => stop.departAt) };
+    }
+    logToFile(`AGV ${agvId} has no conflict-free CA* plan from ${start} to ${end}, falling back to A*`, 'PLANNING');
+  }
   
-  while (queue.length > 0) {
-    const [current, path] = queue.shift();
+  const path = findPath(start, end);
+  return path ? { path, schedule: null } : null;
+}
+
+// Shared reservation table of where every other AGV will be and when:
+// moving AGVs along the rest of their route, parked AGVs on their node indefinitely
+function buildReservationTable(excludeAgvId, now) {
+  const table = new ReservationTable();
+  Object.values(systemState.agvs).forEach(agv => {
+    if (agv.id === excludeAgvId) return;
     
-    if (current === end) {
-      return path;
+    const movementData = globalMovementState.movementQueue.get(agv.id);
+    if (!movementData) {
+      table.reserveNode(agv.position, now, Infinity, agv.id);
+      return;
     }
     
-    if (visited.has(current)) continue;
-    visited.add(current);
-    
-    const neighbors = nodeGraph[current] || [];
-    for (const neighbor of neighbors) {
-      if (!visited.has(neighbor)) {
-        queue.push([neighbor, [...path, neighbor]]);
-      }
+    // A hop in progress holds its edge until arrival; the projection starts there
+    const { path, currentIndex, arriveAt, schedule } = movementData;
+    const inTransit = arriveAt !== null;
+    const fromIndex = inTransit ? currentIndex + 1 : currentIndex;
+    if (inTransit) {
+      table.reserveEdge(path[currentIndex], path[fromIndex], now, arriveAt, agv.id);
     }
-  }
-  
-  return [start, end]; // Direct path if no route found
+    const itinerary = itineraryFromPath(
+      nodeGraph,
+      path.slice(fromIndex),
+      inTransit ? Math.max(now, arriveAt) : now,
+      schedule ? schedule.slice(fromIndex) : null
+    );
+    table.reserveItinerary(itinerary, agv.id, { clearance: MIN_SEPARATION_MS });
+  });
+  return table;
 }
 
 // Check if AGV needs charging
@@ -216,45 +315,85 @@ function needsCharging(agv) {
   return agv.battery <= LOW_BATTERY_THRESHOLD;
 }
 
+// Planning cost of the route between two nodes, Infinity when unreachable
+function routeCost(start, end) {
+  if (start === end) return 0;
+  const result = aStar(layout, nodeGraph, start, end);
+  return result ? result.cost : Infinity;
+}
+
 // Create charging task for AGV
+// The AGV is sent to the nearest charger with a free slot; when every charger
+// it can reach is full it waits in place in the charger queue.
 function createChargingTask(agvId) {
   const agv = systemState.agvs[agvId];
-  if (!agv || agv.status !== 'idle') return null;
+  if (!agv || (agv.status !== 'idle' && agv.status !== 'waiting_for_charger')) return null;
+  
+  if (!layout.chargingNodes.some(node => routeCost(agv.position, node) < Infinity)) {
+    // Idle AGVs retry on every tick, so say it once per node
+    if (agv.chargerUnreachableFrom !== agv.position) {
+      agv.chargerUnreachableFrom = agv.position;
+      const reasons = layout.chargingNodes.map(node => explainUnreachable(layout, agv.position, node));
+      logToFile(`AGV ${agvId} cannot reach any charging station: ${reasons.join('; ')}`, 'ERROR');
+    }
+    return null;
+  }
+  delete agv.chargerUnreachableFrom;
+  
+  const chargerNode = chargerPool.findNearestAvailable(agvId, node => routeCost(agv.position, node));
+  if (chargerNode === null) {
+    if (agv.status !== 'waiting_for_charger') {
+      const position = chargerPool.enqueue(agvId, clock.now());
+      agv.status = 'waiting_for_charger';
+      logToFile(`AGV ${agvId} waiting for a free charger at node ${agv.position} (queue position ${position})`, 'CHARGING');
+      broadcast({ type: 'chargerQueued', agvId, position, chargers: chargerPool.stats(clock.now()) });
+    }
+    return null;
+  }
   
-  if (agv.position === CHARGING_NODE) {
+  chargerPool.removeWaiting(agvId);
+  chargerPool.reserve(chargerNode, agvId, clock.now());
+  
+  if (agv.position === chargerNode) {
     // Already at charging station, start charging
     startCharging(agvId);
     return null;
   }
   
+  const route = planRoute(agvId, agv.position, chargerNode);
+  const { path } = route;
+  
   // Create task to go to charging station
-  const timestamp = new Date();
-  const timeStr = timestamp.toTimeString().split(' ')[0];
-  const agvNum = agvId.slice(-1);
-  const executionLog = `agv_${agvNum}-${agv.position}-${CHARGING_NODE}-${timeStr}-0-charging`;
+  const executionLog = formatExecutionLog({
+    agvNumber: agvNumber(agvId),
+    startNode: agv.position,
+    endNode: chargerNode,
+    time: new Date(clock.now()),
+    kind: 'charging'
+  });
   
   const chargingTask = {
-    id: Date.now(),
+    id: nextTaskId(),
     startNode: agv.position,
-    endNode: CHARGING_NODE,
+    endNode: chargerNode,
     weight: 0,
     priority: 'charging',
     agvId: agvId,
     payloadNum: 0,
     executionLog: executionLog,
     status: 'executing',
-    createdAt: Date.now(),
+    createdAt: clock.now(),
     isCharging: true
   };
   
   agv.status = 'charging_route';
   systemState.tasks.push(chargingTask);
+  tasksInProgress.set(agvId, chargingTask);
   
   logToFile(`Charging task created: ${executionLog}`, 'CHARGING');
   
-  // Find path and start movement to charging station
-  const path = findPath(agv.position, CHARGING_NODE);
-  simulateAGVMovement(agvId, path, executionLog, true);
+  // Start movement to charging station
+  simulateAGVMovement(agvId, path, executionLog, true, 'charging', { schedule: route.schedule, leg: 'charging' });
   
   broadcast({
     type: 'chargingTaskCreated',
@@ -266,16 +405,17 @@ function createChargingTask(agvId) {
   return chargingTask;
 }
 
-// Start charging process at node 9
+// Start charging in a slot of the charger the AGV is standing at
 function startCharging(agvId) {
   const agv = systemState.agvs[agvId];
-  if (!agv || agv.position !== CHARGING_NODE) return;
+  if (!agv || !chargerPool.startCharging(agv.position, agvId, clock.now())) return;
   
   agv.status = 'charging';
-  logToFile(`AGV ${agvId} started charging at node ${CHARGING_NODE}`, 'CHARGING');
+  chargeSessions.set(agvId, (chargeSessions.get(agvId) || 0) + 1);
+  logToFile(`AGV ${agvId} started charging at node ${agv.position}`, 'CHARGING');
   
   // Charging process
-  const chargingInterval = setInterval(() => {
+  const chargingInterval = clock.setInterval(() => {
     if (agv.battery < MAX_BATTERY) {
       agv.battery = Math.min(MAX_BATTERY, agv.battery + CHARGING_RATE);
       
@@ -286,10 +426,11 @@ function startCharging(agvId) {
         position: agv.position
       });
       
-      logToFile(`AGV ${agvId} charging: ${agv.battery}%`, 'CHARGING');
+      logToFile(`AGV ${agvId} charging: ${Math.round(agv.battery)}%`, 'CHARGING');
     } else {
       // Charging complete
-      clearInterval(chargingInterval);
+      clock.clearInterval(chargingInterval);
+      chargerPool.release(agvId, clock.now());
       agv.status = 'idle';
       logToFile(`AGV ${agvId} charging complete: 100%`, 'CHARGING');
       
@@ -297,136 +438,647 @@ function startCharging(agvId) {
         type: 'chargingComplete',
         agvId: agvId,
         battery: agv.battery,
-        position: agv.position
+        position: agv.position,
+        chargers: chargerPool.stats(clock.now())
       });
+      
+      // Chargers are not parking spots: the queue is served once the AGV has left
+      if (!(systemState.isRunning && vacateCharger(agv))) {
+        retireIfRequested(agv);
+        serveChargerQueue();
+        dispatchPendingTasks();
+      }
     }
   }, 2000); // Charge every 2 seconds
 }
 
+// Drive a charged AGV to the nearest free node without a charger.
+// Returns false when there is nowhere to go.
+function vacateCharger(agv) {
+  const parking = layoutNodeIds
+    .filter(node => !chargerPool.isCharger(node) && !nodeBlocker(node, agv.id))
+    .map(node => ({ node, cost: routeCost(agv.position, node) }))
+    .filter(candidate => candidate.cost < Infinity)
+    .sort((a, b) => a.cost - b.cost)[0];
+  if (!parking) return false;
+  
+  logToFile(`AGV ${agv.id} leaving charger at node ${agv.position} for node ${parking.node}`, 'CHARGING');
+  agv.resumeStatus = 'idle';
+  agv.status = 'repositioning';
+  simulateAGVMovement(agv.id, findPath(agv.position, parking.node), null, false, 'low', { leg: 'reposition' });
+  return true;
+}
+
+// A slot has been freed: send waiting AGVs, oldest first, to whatever is available
+function serveChargerQueue() {
+  chargerPool.waitingAgvs().forEach(agvId => {
+    createChargingTask(agvId);
+  });
+}
+
 // Global movement coordinator for collision detection
 let globalMovementState = {
-  occupiedNodes: new Set(), // Nodes currently occupied by AGVs
-  reservedNodes: new Map(), // Nodes reserved for next moves: nodeId -> agvId
-  movementQueue: new Map(), // agvId -> {path, currentIndex, executionLog, isChargingTask}
+  occupiedNodes: new Map(), // Nodes AGVs stand on or are travelling to: nodeId -> Set of agvIds
+  reservedNodes: new Map(), // Nodes reserved for next moves this tick: nodeId -> Set of agvIds
+  reservedEdges: new Map(), // Edges being traversed: edgeKey -> {agvId, from, to, enteredAt}
+  nodeReleasedAt: new Map(), // nodeId -> {agvId, at} when an AGV last left the node
+  movementQueue: new Map(), // agvId -> {path, currentIndex, executionLog, isChargingTask, priority, arriveAt, schedule}
+  activeDeadlocks: new Map(), // deadlockKey -> detectedAt, for deadlocks not yet resolved
   movementInterval: null
 };
 
+// Coordinator tick - hop durations come from edge length / speed limit, not from the tick
+const MOVEMENT_TICK_MS = 250;
+const WAITING_BROADCAST_MS = 2000;
+
+// Minimum separation between AGVs (core/separation.js): a node another AGV
+// has just left cannot be entered for MIN_SEPARATION_MS, and no AGV may enter
+// a node within MIN_SEPARATION_NODES hops of another AGV (0 = only the node itself)
+const MIN_SEPARATION_MS = parseInt(process.env.AGV_MIN_SEPARATION_MS || '1000', 10);
+const MIN_SEPARATION_NODES = parseInt(process.env.AGV_MIN_SEPARATION_NODES || '0', 10);
+const separationRules = {
+  adjacency: undirectedAdjacency,
+  minSeparationMs: MIN_SEPARATION_MS,
+  minSeparationNodes: MIN_SEPARATION_NODES
+};
+
+// Collision / near-miss event stream (also appended to performance.csv)
+const safetyLog = new SafetyLog(500);
+
+// Time spent at the pickup and drop nodes handling the load
+const LOADING_TIME_MS = 2000;
+const UNLOADING_TIME_MS = 2000;
+
+// Lower-priority work yields first when a deadlock has to be broken
+const TASK_YIELD_RANK = { charging: 0, high: 1, medium: 2, low: 3 };
+
+// Deadlocks an AGV may be rerouted out of without completing a hop; after
+// that it backs off to a free neighbour, or waits, instead
+const DEADLOCK_REROUTE_LIMIT = 3;
+
 // Initialize AGV positions in global state
 function initializeGlobalMovement() {
   globalMovementState.occupiedNodes.clear();
   globalMovementState.reservedNodes.clear();
+  globalMovementState.reservedEdges.clear();
+  globalMovementState.nodeReleasedAt.clear();
+  safetyLog.clearActiveCollisions();
   
   // Mark initial AGV positions as occupied
   Object.values(systemState.agvs).forEach(agv => {
-    globalMovementState.occupiedNodes.add(agv.position);
+    occupyNode(agv.position, agv.id);
   });
 }
 
+// Node occupancy is tracked per AGV so charger nodes can hold one AGV per slot
+function addToNodeMap(map, nodeId, agvId) {
+  if (!map.has(nodeId)) map.set(nodeId, new Set());
+  map.get(nodeId).add(agvId);
+}
+
+function occupyNode(nodeId, agvId) {
+  addToNodeMap(globalMovementState.occupiedNodes, nodeId, agvId);
+}
+
+function vacateNode(nodeId, agvId) {
+  const occupants = globalMovementState.occupiedNodes.get(nodeId);
+  if (!occupants) return;
+  occupants.delete(agvId);
+  if (occupants.size === 0) globalMovementState.occupiedNodes.delete(nodeId);
+}
+
+// Another AGV standing on, heading to or reserving the node when it has no
+// room left for agvId, otherwise null
+function nodeBlocker(nodeId, agvId) {
+  const others = new Set([
+    ...(globalMovementState.occupiedNodes.get(nodeId) || []),
+    ...(globalMovementState.reservedNodes.get(nodeId) || [])
+  ]);
+  others.delete(agvId);
+  return others.size >= chargerPool.capacity(nodeId) ? [...others][0] : null;
+}
+
 // Coordinated movement system - all AGVs move simultaneously
 function startGlobalMovementCoordinator() {
   if (globalMovementState.movementInterval) {
-    clearInterval(globalMovementState.movementInterval);
+    clock.clearInterval(globalMovementState.movementInterval);
   }
   
-  globalMovementState.movementInterval = setInterval(() => {
+  globalMovementState.movementInterval = clock.setInterval(() => {
     coordinateSimultaneousMovement();
-  }, 2000); // Move every 2 seconds for better visualization
+  }, MOVEMENT_TICK_MS);
 }
 
 function stopGlobalMovementCoordinator() {
   if (globalMovementState.movementInterval) {
-    clearInterval(globalMovementState.movementInterval);
+    clock.clearInterval(globalMovementState.movementInterval);
     globalMovementState.movementInterval = null;
   }
 }
 
 // Coordinate simultaneous movement of all AGVs
+// An AGV departing a node reserves the edge and its next node and releases the
+// node it leaves; the hop takes the edge's travel time. Departures that would
+// break the minimum separation are held back and recorded as near misses.
 function coordinateSimultaneousMovement() {
+  const now = clock.now();
   const movementsToExecute = [];
+  const blockedDepartures = [];
+  const departures = [];
+  const plannedWaits = [];
   globalMovementState.reservedNodes.clear();
+  drawIdlePower(MOVEMENT_TICK_MS);
   
   // Plan all movements first
   for (const [agvId, movementData] of globalMovementState.movementQueue.entries()) {
-    const { path, currentIndex, executionLog, isChargingTask } = movementData;
+    if (movementData.arriveAt !== null) {
+      if (now < movementData.arriveAt) continue; // Still travelling along the edge
+      arriveAtNextNode(agvId, movementData);
+      if (!globalMovementState.movementQueue.has(agvId)) continue; // Ran flat on arrival
+    }
+    
+    const { path, currentIndex } = movementData;
     
     if (currentIndex + 1 >= path.length) {
-      // Task completed
-      const agv = systemState.agvs[agvId];
-      if (agv) {
-        completeAGVTask(agvId, path[path.length - 1], executionLog, isChargingTask);
-      }
+      // Leg completed - drop it first, as finishing it may start the AGV's next leg
       globalMovementState.movementQueue.delete(agvId);
+      if (systemState.agvs[agvId]) {
+        finishLeg(agvId, movementData);
+      }
       continue;
     }
     
-    const nextPosition = path[currentIndex + 1];
-    const currentPosition = path[currentIndex];
+    // CA* routes hold at a node until their planned departure time
+    if (movementData.schedule && now < movementData.schedule[currentIndex]) {
+      plannedWaits.push(agvId);
+      continue;
+    }
     
-    // Check for collisions
-    if (!globalMovementState.occupiedNodes.has(nextPosition) && 
-        !globalMovementState.reservedNodes.has(nextPosition)) {
-      
+    departures.push({
+      agvId,
+      from: path[currentIndex],
+      to: path[currentIndex + 1]
+    });
+  }
+  
+  // AGVs travelling with a priority lane claim contested nodes first
+  const priorityRank = (departure) => {
+    const edge = getEdge(nodeGraph, departure.from, departure.to);
+    return edge && edge.hasPriority === true ? 0 : (edge && edge.hasPriority === false ? 2 : 1);
+  };
+  departures.sort((a, b) => priorityRank(a) - priorityRank(b));
+  
+  departures.forEach(departure => {
+    const movementData = globalMovementState.movementQueue.get(departure.agvId);
+    const conflict = findDepartureConflict(departure, now, {
+      blocker: nodeBlocker(departure.to, departure.agvId),
+      occupants: buildNodeOccupants(),
+      reservedEdges: globalMovementState.reservedEdges,
+      nodeReleasedAt: globalMovementState.nodeReleasedAt
+    }, separationRules);
+    
+    if (!conflict) {
       // Reserve the next position
-      globalMovementState.reservedNodes.set(nextPosition, agvId);
+      addToNodeMap(globalMovementState.reservedNodes, departure.to, departure.agvId);
+      movementData.lastNearMiss = null;
+      movementsToExecute.push(departure);
+    } else {
+      // If collision detected, AGV waits at its current node
+      blockedDepartures.push(departure);
       
-      movementsToExecute.push({
-        agvId,
-        from: currentPosition,
-        to: nextPosition,
-        isChargingTask,
-        newIndex: currentIndex + 1
-      });
+      // Record each near miss once per wait rather than on every tick
+      const nearMissKey = `${departure.to}:${conflict.reason}:${conflict.otherAgvId}`;
+      if (conflict.nearMiss && movementData.lastNearMiss !== nearMissKey) {
+        movementData.lastNearMiss = nearMissKey;
+        recordSafetyEvent('near_miss', {
+          agvId: departure.agvId,
+          otherAgvId: conflict.otherAgvId,
+          from: departure.from,
+          to: departure.to,
+          reason: conflict.reason
+        });
+      }
     }
-    // If collision detected, AGV waits (doesn't move this cycle)
+  });
+  
+  // Blocked AGVs waiting on each other in a cycle will never move on their own
+  if (blockedDepartures.length > 1) {
+    detectAndResolveDeadlocks(blockedDepartures);
   }
   
-  // Execute all planned movements simultaneously
+  // Nor will an AGV standing still without work, such as one queued for a charger
+  moveStationaryBlockers(blockedDepartures);
+  
+  // Start all planned hops simultaneously
   movementsToExecute.forEach(movement => {
-    const agv = systemState.agvs[movement.agvId];
-    if (agv) {
-      // Update global occupied nodes
-      globalMovementState.occupiedNodes.delete(movement.from);
-      globalMovementState.occupiedNodes.add(movement.to);
-      
-      // Update AGV position and battery
-      agv.position = movement.to;
-      
-      // Realistic battery drain
-      if (!movement.isChargingTask) {
-        agv.battery = Math.max(10, agv.battery - 3);
-      } else {
-        agv.battery = Math.max(10, agv.battery - 1);
+    const movementData = globalMovementState.movementQueue.get(movement.agvId);
+    const edge = getEdge(nodeGraph, movement.from, movement.to);
+    
+    vacateNode(movement.from, movement.agvId);
+    globalMovementState.nodeReleasedAt.set(movement.from, { agvId: movement.agvId, at: now });
+    occupyNode(movement.to, movement.agvId);
+    globalMovementState.reservedEdges.set(edgeKey(movement.from, movement.to), {
+      agvId: movement.agvId,
+      from: movement.from,
+      to: movement.to,
+      enteredAt: now
+    });
+    movementData.arriveAt = now + (edge ? edge.travelTime : MOVEMENT_TICK_MS);
+  });
+  
+  checkFleetSeparation();
+  
+  // Broadcast waiting AGVs, throttled so a long wait does not flood clients
+  const waiting = blockedDepartures
+    .map(({ agvId }) => ({ agvId, reason: 'collision_avoidance' }))
+    .concat(plannedWaits.map(agvId => ({ agvId, reason: 'planned_wait' })));
+  waiting.forEach(({ agvId, reason }) => {
+    const movementData = globalMovementState.movementQueue.get(agvId);
+    if (!movementData || now - (movementData.lastWaitBroadcast || 0) < WAITING_BROADCAST_MS) return;
+    movementData.lastWaitBroadcast = now;
+    
+    broadcast({
+      type: 'agvWaiting',
+      agvId: agvId,
+      reason: reason,
+      position: systemState.agvs[agvId]?.position
+    });
+  });
+}
+
+function isInTransit(agvId) {
+  const movementData = globalMovementState.movementQueue.get(agvId);
+  return Boolean(movementData && movementData.arriveAt !== null);
+}
+
+// Invariant check after each tick (core/separation.js findCollisions()); each
+// collision is recorded once for as long as it lasts
+function checkFleetSeparation() {
+  const snapshot = Object.values(systemState.agvs).map(agv => {
+    if (!isInTransit(agv.id)) return { agvId: agv.id, node: agv.position };
+    const movementData = globalMovementState.movementQueue.get(agv.id);
+    return { agvId: agv.id, from: movementData.path[movementData.currentIndex], to: movementData.path[movementData.currentIndex + 1] };
+  });
+  const collisions = findCollisions(snapshot, node => chargerPool.capacity(node));
+  safetyLog.newCollisions(collisions).forEach(({ agvId, otherAgvId, from, to, reason }) => {
+    recordSafetyEvent('collision', { agvId, otherAgvId, from, to, reason });
+  });
+}
+
+// Append a collision or near miss to the event stream, performance CSV and clients
+function recordSafetyEvent(type, details) {
+  const event = safetyLog.record(type, details, clock.now());
+  if (type === 'collision') {
+    logToFile(`Collision: ${details.agvId} and ${details.otherAgvId} (${details.reason}) at ${details.from}->${details.to}`, 'ERROR');
+  }
+  
+  logToCSV({
+    timestamp: event.timestamp,
+    metric_type: type,
+    value: 1,
+    details: `agv=${details.agvId};other=${details.otherAgvId};from=${details.from};to=${details.to};reason=${details.reason}`
+  }, performanceFile);
+  
+  broadcast({ type: 'safetyEvent', event });
+}
+
+// Which AGV stands on, or is travelling to, each node
+function buildNodeOccupants() {
+  const occupants = new Map();
+  Object.values(systemState.agvs).forEach(agv => {
+    if (!isInTransit(agv.id)) occupants.set(agv.position, agv.id);
+  });
+  for (const [agvId, movementData] of globalMovementState.movementQueue.entries()) {
+    if (movementData.arriveAt !== null) {
+      occupants.set(movementData.path[movementData.currentIndex + 1], agvId);
+    }
+  }
+  return occupants;
+}
+
+// AGVs that stand still until something else happens step aside when they block a hop
+const STEP_ASIDE_STATUSES = ['idle', 'waiting_for_charger', 'retired'];
+
+// Send each stationary AGV blocking a departure to a free neighbouring node,
+// preferring one off the blocked AGV's remaining route. Stranded AGVs are
+// driven around instead.
+function moveStationaryBlockers(blockedDepartures) {
+  const occupants = buildNodeOccupants();
+  blockedDepartures.forEach(departure => {
+    const blockerId = occupants.get(departure.to);
+    const blocker = systemState.agvs[blockerId];
+    const blocked = globalMovementState.movementQueue.get(departure.agvId);
+    
+    // A flat AGV cannot move, so traffic goes around it
+    if (blocker && blocker.status === 'stranded') {
+      const destination = blocked.path[blocked.path.length - 1];
+      if (destination === blocker.position) return;
+      const route = aStar(layout, nodeGraph, departure.from, destination, { avoidNodes: [blocker.position] });
+      if (route) {
+        logToFile(`AGV ${departure.agvId} rerouted around stranded ${blockerId} via ${route.path.join('->')}`, 'TRAFFIC');
+        replaceRemainingPath(blocked, route.path);
       }
+      return;
+    }
+    
+    if (!blocker || !STEP_ASIDE_STATUSES.includes(blocker.status) ||
+      globalMovementState.movementQueue.has(blockerId)) return;
+    
+    const remaining = new Set(blocked.path.slice(blocked.currentIndex));
+    const refuges = (nodeGraph[blocker.position] || [])
+      .map(arc => arc.to)
+      .filter(node => node !== departure.from && !nodeBlocker(node, blockerId))
+      .sort((a, b) => remaining.has(a) - remaining.has(b));
+    if (refuges.length === 0) return;
+    
+    logToFile(`AGV ${blockerId} stepping aside from node ${blocker.position} to ${refuges[0]} for ${departure.agvId}`, 'TRAFFIC');
+    blocker.resumeStatus = blocker.status;
+    blocker.status = 'repositioning';
+    simulateAGVMovement(blockerId, [blocker.position, refuges[0]], null, false, 'low', { leg: 'reposition' });
+  });
+}
+
+// Build the wait-for graph of blocked AGVs and break any cycle in it
+function detectAndResolveDeadlocks(blockedDepartures) {
+  const occupants = buildNodeOccupants();
+  const waitFor = new Map();
+  blockedDepartures.forEach(departure => {
+    const blocker = occupants.get(departure.to);
+    if (blocker && blocker !== departure.agvId) {
+      waitFor.set(departure.agvId, blocker);
+    }
+  });
+  
+  const cycles = findWaitCycles(waitFor);
+  const cycleKeys = new Set(cycles.map(deadlockKey));
+  
+  // Forget deadlocks that cleared without intervention
+  for (const key of globalMovementState.activeDeadlocks.keys()) {
+    if (!cycleKeys.has(key)) globalMovementState.activeDeadlocks.delete(key);
+  }
+  
+  cycles.forEach(cycle => {
+    const key = deadlockKey(cycle);
+    const nodes = cycle.map(agvId => systemState.agvs[agvId]?.position);
+    const isNew = !globalMovementState.activeDeadlocks.has(key);
+    
+    if (isNew) {
+      globalMovementState.activeDeadlocks.set(key, clock.now());
+      logToFile(`Deadlock detected: ${cycle.map((agvId, i) => `${agvId}@${nodes[i]}`).join(' -> ')}`, 'DEADLOCK');
+      broadcast({ type: 'deadlockDetected', agvs: cycle, nodes });
+    }
+    
+    const resolution = resolveDeadlock(cycle);
+    if (resolution) {
+      globalMovementState.activeDeadlocks.delete(key);
+      logToFile(`Deadlock resolved by ${resolution.strategy}: ${resolution.agvId} rerouted via ${resolution.path.join('->')} (involved: ${cycle.join(', ')})`, 'DEADLOCK');
+      broadcast({ type: 'deadlockResolved', agvs: cycle, ...resolution });
+    } else if (isNew) {
+      logToFile(`Deadlock unresolved: no alternative route or free neighbour for ${cycle.join(', ')} - retrying`, 'DEADLOCK');
+    }
+  });
+}
+
+// Try, lowest-priority AGV first: a route around the other deadlocked AGVs,
+// then backing off to a free neighbour and replanning from there. A reroute
+// only counts when its first hop is free of standing AGVs, and an AGV that
+// keeps being rerouted without moving is left to back off, so the resolver
+// cannot flip an AGV between two blocked routes.
+function resolveDeadlock(cycle) {
+  const queue = globalMovementState.movementQueue;
+  const occupants = buildNodeOccupants();
+  const heldByStandingAgv = (node, agvId) => {
+    const occupant = occupants.get(node);
+    return Boolean(occupant && occupant !== agvId && !isInTransit(occupant));
+  };
+  const yieldRank = (agvId) => {
+    const rank = TASK_YIELD_RANK[queue.get(agvId).priority];
+    return rank === undefined ? TASK_YIELD_RANK.medium : rank;
+  };
+  const yieldOrder = [...cycle].sort((a, b) => yieldRank(b) - yieldRank(a));
+  const cycleNodes = cycle.map(agvId => systemState.agvs[agvId].position);
+  
+  for (const agvId of yieldOrder) {
+    const movementData = queue.get(agvId);
+    const current = movementData.path[movementData.currentIndex];
+    const destination = movementData.path[movementData.path.length - 1];
+    const avoidNodes = cycleNodes.filter(node => node !== current);
+    if (avoidNodes.includes(destination) || (movementData.deadlockReroutes || 0) >= DEADLOCK_REROUTE_LIMIT) continue;
+    
+    const route = aStar(layout, nodeGraph, current, destination, { avoidNodes });
+    if (route && !heldByStandingAgv(route.path[1], agvId)) {
+      movementData.deadlockReroutes = (movementData.deadlockReroutes || 0) + 1;
+      replaceRemainingPath(movementData, route.path);
+      return { strategy: 'reroute', agvId, path: route.path };
+    }
+  }
+  
+  // Backing off onto a node another deadlocked AGV still has to cross only
+  // postpones the deadlock, so first look for an AGV that can step off every
+  // other AGV's way, then settle for any free neighbour
+  const remainingRoute = (agvId) => {
+    const movementData = queue.get(agvId);
+    const route = movementData.path.slice(movementData.currentIndex);
+    if (movementData.leg === 'deadhead' && movementData.task) {
+      route.push(...(findPath(movementData.task.startNode, movementData.task.endNode) || []));
+    }
+    return route;
+  };
+  for (const offRouteOnly of [true, false]) {
+    for (const agvId of yieldOrder) {
+      const movementData = queue.get(agvId);
+      const current = movementData.path[movementData.currentIndex];
+      const destination = movementData.path[movementData.path.length - 1];
+      const othersRemaining = new Set(cycle.filter(otherId => otherId !== agvId).flatMap(remainingRoute));
+      const freeNeighbours = (nodeGraph[current] || [])
+        .map(arc => arc.to)
+        .filter(node => !nodeBlocker(node, agvId) && !(offRouteOnly && othersRemaining.has(node)))
+        .sort((a, b) => othersRemaining.has(a) - othersRemaining.has(b));
       
-      // Update movement queue
-      const movementData = globalMovementState.movementQueue.get(movement.agvId);
-      if (movementData) {
-        movementData.currentIndex = movement.newIndex;
+      for (const neighbour of freeNeighbours) {
+        const onward = findPath(neighbour, destination);
+        if (!onward) continue;
+        const route = [current, ...onward];
+        replaceRemainingPath(movementData, route);
+        return { strategy: 'back_off', agvId, path: route };
       }
-      
-      // Broadcast movement
-      broadcast({
-        type: 'agvMovement',
-        agvId: movement.agvId,
-        position: agv.position,
-        battery: agv.battery,
-        isChargingRoute: movement.isChargingTask,
-        waitedForCollision: false
-      });
     }
+  }
+  
+  return null;
+}
+
+// Swap the untravelled part of a path for a new route starting at the current node
+function replaceRemainingPath(movementData, route) {
+  movementData.path = movementData.path.slice(0, movementData.currentIndex).concat(route);
+  movementData.schedule = null; // The planned timing no longer applies
+}
+
+// Finish the hop in progress: release the node left behind and update the AGV
+function arriveAtNextNode(agvId, movementData) {
+  const from = movementData.path[movementData.currentIndex];
+  const to = movementData.path[movementData.currentIndex + 1];
+  
+  movementData.currentIndex++;
+  movementData.arriveAt = null;
+  movementData.deadlockReroutes = 0;
+  
+  releaseEdge(from, to, agvId);
+  
+  const agv = systemState.agvs[agvId];
+  if (!agv) return;
+  
+  // Update AGV position and battery
+  agv.position = to;
+  
+  // Driving energy for the hop - only the delivery leg carries the payload
+  const edge = getEdge(nodeGraph, from, to);
+  const payload = movementData.leg === 'delivery' ? movementData.task.weight : 0;
+  const distance = edge ? edge.length : 0;
+  consumeEnergy(agv, travelEnergyWh(energyModel, distance, payload, agvEfficiency(energyModel, agvId)), distance);
+  
+  // Broadcast movement
+  broadcast({
+    type: 'agvMovement',
+    agvId: agvId,
+    position: agv.position,
+    battery: agv.battery,
+    leg: movementData.leg,
+    isChargingRoute: movementData.isChargingTask,
+    waitedForCollision: false
   });
+}
+
+function releaseEdge(from, to, agvId) {
+  const reservation = globalMovementState.reservedEdges.get(edgeKey(from, to));
+  if (reservation && reservation.agvId === agvId) {
+    globalMovementState.reservedEdges.delete(edgeKey(from, to));
+  }
+}
+
+// Take energy from an AGV's battery and book it to the task it is working.
+// An AGV that runs flat is stranded where it stands.
+function consumeEnergy(agv, wh, distance = 0) {
+  if (agv.status === 'stranded') return;
+  agv.battery = Math.max(0, agv.battery - whToPercent(energyModel, wh));
+  
+  const task = tasksInProgress.get(agv.id);
+  if (task) {
+    task.energyWh = (task.energyWh || 0) + wh;
+    task.distance = (task.distance || 0) + distance;
+  }
   
-  // Broadcast collision events for AGVs that couldn't move
-  for (const [agvId, movementData] of globalMovementState.movementQueue.entries()) {
-    if (!movementsToExecute.some(m => m.agvId === agvId)) {
-      broadcast({
-        type: 'agvWaiting',
-        agvId: agvId,
-        reason: 'collision_avoidance',
-        position: systemState.agvs[agvId]?.position
-      });
+  if (agv.battery === 0) {
+    strandAGV(agv);
+  }
+}
+
+// Onboard systems draw power whenever an AGV is not on a charger
+function drawIdlePower(durationMs) {
+  const wh = idleEnergyWh(energyModel, durationMs);
+  Object.values(systemState.agvs).forEach(agv => {
+    if (['charging', 'stranded', 'retired'].includes(agv.status)) return;
+    consumeEnergy(agv, wh);
+    
+    // An idle AGV should not sit until it runs flat, however low it got while busy
+    if (agv.status === 'idle' && needsCharging(agv)) {
+      createChargingTask(agv.id);
+    }
+  });
+}
+
+// Battery empty: the AGV stops where it is until someone recovers it.
+// An AGV that runs flat between nodes coasts onto the node it was heading
+// for, which it already holds, so the edge is free again and the AGV stands
+// where traffic and recovery look for it.
+// A task that has not picked up its load yet goes back to the queue.
+function strandAGV(agv) {
+  const movementData = globalMovementState.movementQueue.get(agv.id);
+  if (movementData && movementData.arriveAt !== null) {
+    const from = movementData.path[movementData.currentIndex];
+    const to = movementData.path[movementData.currentIndex + 1];
+    releaseEdge(from, to, agv.id);
+    agv.position = to;
+  }
+  globalMovementState.movementQueue.delete(agv.id);
+  chargerPool.release(agv.id, clock.now());
+  chargerPool.removeWaiting(agv.id);
+  agv.status = 'stranded';
+  
+  const task = tasksInProgress.get(agv.id);
+  tasksInProgress.delete(agv.id);
+  if (task) {
+    recordTaskEnergy(task);
+    if (!task.isCharging && (task.phase === 'to_pickup' || task.phase === 'loading')) {
+      Object.assign(task, { agvId: null, status: 'pending', phase: null });
+      pendingTasks.enqueue(task, clock.now());
+      broadcast({ type: 'queueUpdated', queue: pendingTasks.toArray(clock.now()) });
+    } else {
+      task.status = 'failed';
+      task.failureReason = 'agv_stranded';
+      reportDatasetTask(task);
     }
   }
+  
+  logToFile(`AGV ${agv.id} stranded at node ${agv.position} with an empty battery${task ? ` (task ${task.id})` : ''}`, 'ERROR');
+  logToCSV({
+    timestamp: new Date(clock.now()).toISOString(),
+    metric_type: 'agv_stranded',
+    value: 0,
+    details: `agv=${agv.id};node=${agv.position};task=${task ? task.id : 'none'}`
+  }, performanceFile);
+  broadcast({ type: 'agvStranded', agvId: agv.id, position: agv.position, taskId: task ? task.id : null });
+  
+  serveChargerQueue();
+  dispatchPendingTasks();
+}
+
+// Energy used by a finished (or abandoned) task, appended to performance.csv
+function recordTaskEnergy(task) {
+  const energyWh = Math.round((task.energyWh || 0) * 1000) / 1000;
+  task.energyWh = energyWh;
+  logToCSV({
+    timestamp: new Date(clock.now()).toISOString(),
+    metric_type: 'task_energy_wh',
+    value: energyWh,
+    details: `task=${task.id};agv=${task.agvId};weight=${task.weight};distance=${Math.round(task.distance || 0)}`
+  }, performanceFile);
+}
+
+// A route reached its last node: an empty run to the pickup is followed by
+// loading, a delivery by unloading, and a charging route by charging
+function finishLeg(agvId, movementData) {
+  const { path, executionLog, isChargingTask, task, leg } = movementData;
+  const agv = systemState.agvs[agvId];
+  
+  if (leg === 'deadhead') {
+    startLoading(task, agv);
+  } else if (leg === 'delivery') {
+    startUnloading(task, agv);
+  } else if (leg === 'reposition') {
+    // Back to whatever the AGV was doing before it stepped aside
+    agv.status = agv.resumeStatus || 'idle';
+    delete agv.resumeStatus;
+    retireIfRequested(agv);
+    if (agv.status === 'waiting_for_charger' || (agv.status === 'idle' && needsCharging(agv))) {
+      createChargingTask(agvId);
+    } else {
+      serveChargerQueue();
+      dispatchPendingTasks();
+    }
+  } else {
+    completeAGVTask(agvId, path[path.length - 1], executionLog, isChargingTask);
+  }
+}
+
+// An AGV marked for retirement leaves service as soon as it is idle
+function retireIfRequested(agv) {
+  if (!agv.retiring || agv.status !== 'idle') return false;
+  delete agv.retiring;
+  agv.status = 'retired';
+  logToFile(`AGV ${agv.id} retired at node ${agv.position}`, 'FLEET');
+  broadcast({ type: 'agvRetired', agvId: agv.id, state: systemState });
+  return true;
 }
 
 // Complete AGV task
@@ -436,7 +1088,13 @@ function completeAGVTask(agvId, finalPosition, executionLog, isChargingTask) {
   
   agv.position = finalPosition;
   
-  if (isChargingTask && agv.position === CHARGING_NODE) {
+  const task = tasksInProgress.get(agvId);
+  if (task) {
+    tasksInProgress.delete(agvId);
+    recordTaskEnergy(task);
+  }
+  
+  if (isChargingTask && chargerPool.isCharger(agv.position)) {
     // Start charging process
     startCharging(agvId);
   } else {
@@ -444,8 +1102,8 @@ function completeAGVTask(agvId, finalPosition, executionLog, isChargingTask) {
     systemState.totalTasksCompleted++;
     
     // Check if AGV needs charging after completing task
-    if (needsCharging(agv) && agv.position !== CHARGING_NODE) {
-      setTimeout(() => createChargingTask(agvId), 1000);
+    if (!retireIfRequested(agv) && needsCharging(agv)) {
+      clock.setTimeout(() => createChargingTask(agvId), 1000);
     }
   }
   
@@ -458,10 +1116,17 @@ function completeAGVTask(agvId, finalPosition, executionLog, isChargingTask) {
     isChargingTask: isChargingTask,
     state: systemState
   });
+  
+  // The AGV may be free for queued work now
+  dispatchPendingTasks();
 }
 
 // Enhanced AGV movement with collision detection
-function simulateAGVMovement(agvId, path, executionLog, isChargingTask = false) {
+// The path starts at the AGV's current node. options:
+//   schedule - planned departure time for each path index (CA* routes)
+//   task, leg - the task being worked and which leg this is ('deadhead', 'delivery', 'charging' or 'reposition')
+function simulateAGVMovement(agvId, path, executionLog, isChargingTask = false, priority = 'medium', options = {}) {
+  const { schedule = null, task = null, leg = isChargingTask ? 'charging' : 'delivery' } = options;
   if (path.length <= 1) return;
   
   // Add to global movement queue
@@ -469,28 +1134,31 @@ function simulateAGVMovement(agvId, path, executionLog, isChargingTask = false)
     path: path,
     currentIndex: 0,
     executionLog: executionLog,
-    isChargingTask: isChargingTask
+    isChargingTask: isChargingTask,
+    priority: priority,
+    arriveAt: null,
+    schedule: schedule,
+    task: task,
+    leg: leg
   });
   
-  // Update AGV status
+  // Update global occupied nodes
   const agv = systemState.agvs[agvId];
   if (agv) {
-    agv.status = isChargingTask ? 'charging_route' : 'busy';
-    agv.position = path[0]; // Set to start position
-    
-    // Update global occupied nodes
-    globalMovementState.occupiedNodes.add(path[0]);
+    occupyNode(agv.position, agvId);
   }
 }
 
 // Auto-generate tasks during simulation
 function generateAutoTask() {
   if (!systemState.isRunning) return;
+  // Synthetic load should not pile up behind queued real work
+  if (pendingTasks.size > 0) return;
   
-  const startNode = Math.floor(Math.random() * 9) + 1;
-  let endNode = Math.floor(Math.random() * 9) + 1;
+  const startNode = randomNodeId();
+  let endNode = randomNodeId();
   while (endNode === startNode) {
-    endNode = Math.floor(Math.random() * 9) + 1;
+    endNode = randomNodeId();
   }
   
   const weight = Math.floor(Math.random() * 50) + 10;
@@ -502,162 +1170,779 @@ function generateAutoTask() {
 }
 
 // Internal task creation function with charging logic
-function createTaskInternal(startNode, endNode, weight, priority, isAuto = false) {
-  // Find available AGV (not charging or on charging route)
-  const availableAGVs = Object.values(systemState.agvs).filter(agv => 
-    agv.status === 'idle' && !needsCharging(agv)
-  );
-  
-  if (availableAGVs.length === 0) {
-    // Check if any AGVs need charging
-    const agvsNeedingCharge = Object.values(systemState.agvs).filter(agv => 
-      agv.status === 'idle' && needsCharging(agv)
-    );
-    
-    agvsNeedingCharge.forEach(agv => {
-      createChargingTask(agv.id);
-    });
-    
-    return { success: false, error: 'No available AGV - some sent for charging' };
+// Every routable task is accepted: it starts at once when an AGV is free and
+// otherwise waits in the pending queue until one becomes idle. details are
+// fields the task carries from the start, such as a dataset row's payloadId,
+// whose number goes into the execution log; other tasks are numbered in turn.
+function createTaskInternal(startNode, endNode, weight, priority, isAuto = false, details = {}) {
+  // The weight goes into the execution log entry, which only takes a plain number
+  if (!(weight >= 0)) {
+    const reason = `Invalid task weight ${weight}`;
+    logToFile(`Task rejected: ${reason}`, 'ERROR');
+    return { success: false, error: reason };
   }
   
-  // Select AGV with best battery/position
-  const selectedAGV = availableAGVs.reduce((best, current) => {
-    return current.battery > best.battery ? current : best;
-  });
+  // Reject tasks whose destination cannot be reached instead of fabricating a direct hop
+  if (!findPath(startNode, endNode)) {
+    const reason = explainUnreachable(layout, startNode, endNode);
+    logToFile(`Task rejected: ${reason}`, 'ERROR');
+    return { success: false, error: reason };
+  }
+  
+  // Nor tasks that leave the AGV no way back to a charger
+  if (!pathToNearestCharger(endNode)) {
+    const reason = `No charging station can be reached from node ${endNode}`;
+    logToFile(`Task rejected: ${reason}`, 'ERROR');
+    return { success: false, error: reason };
+  }
   
-  // Generate execution log
-  const timestamp = new Date();
-  const timeStr = timestamp.toTimeString().split(' ')[0]; // HH:MM:SS format
-  const payloadNum = Math.floor(Math.random() * 1000);
-  const agvNum = selectedAGV.id.slice(-1); // Extract number from AGV1, AGV2, etc.
-  const executionLog = `agv_${agvNum}-${startNode}-${endNode}-${timeStr}-${weight}-payload_${payloadNum}`;
+  // Nor tasks that no AGV able to take work could finish even fully charged
+  // and already at the pickup. Without such an AGV the task waits in the
+  // queue for one to join the fleet.
+  const workers = Object.values(systemState.agvs).filter(agv => agv.status !== 'retired' && !agv.retiring);
+  const bestCase = workers.length === 0 ? 0 : Math.min(...workers.map(agv =>
+    estimateTaskEnergy(agv, { startNode, endNode, weight }, startNode).percent));
+  if (bestCase > MAX_BATTERY - energyModel.reservePercent) {
+    const reason = `Task needs ${bestCase.toFixed(1)}% of a full battery, more than the ${MAX_BATTERY - energyModel.reservePercent}% usable above the reserve`;
+    logToFile(`Task rejected: ${reason}`, 'ERROR');
+    return { success: false, error: reason };
+  }
   
-  // Create task
   const task = {
-    id: Date.now(),
+    id: nextTaskId(),
     startNode,
     endNode,
     weight,
     priority,
-    agvId: selectedAGV.id,
-    payloadNum,
-    executionLog,
-    status: 'executing',
-    createdAt: Date.now(),
-    isAuto: isAuto
+    agvId: null,
+    status: 'pending',
+    createdAt: clock.now(),
+    isAuto: isAuto,
+    ...details
   };
-  
-  // Update AGV status
-  selectedAGV.status = 'busy';
-  selectedAGV.position = startNode;
-  
-  // Add to tasks
+  const payloadNum = payloadNumber(details.payloadId);
+  task.payloadNum = payloadNum === null ? nextPayloadNum() : payloadNum;
   systemState.tasks.push(task);
   
-  // Log execution
-  logExecution(executionLog);
-  const logType = isAuto ? 'AUTO_TASK' : 'TASK';
-  const logMessage = isAuto ? 
-    `Auto-generated task: ${executionLog}` : 
-    `Task created: ${selectedAGV.id} from ${startNode} to ${endNode}`;
-  logToFile(logMessage, logType);
-  
-  // Find path and start movement simulation
-  const path = findPath(startNode, endNode);
-  simulateAGVMovement(selectedAGV.id, path, executionLog, false);
-  
-  // Broadcast task creation
-  broadcast({ 
-    type: 'taskCreated', 
-    task, 
-    path,
-    state: systemState 
-  });
+  // Queued work goes first; otherwise the task is offered to the fleet
+  const { agv: selectedAGV, rejected } = pendingTasks.size === 0 ?
+    selectAvailableAGV(task) :
+    { agv: null, rejected: [] };
+  if (!selectedAGV) {
+    const position = pendingTasks.enqueue(task, clock.now());
+    logToFile(`Task ${task.id} queued at position ${position}: ${startNode} -> ${endNode} (${priority})`, 'QUEUE');
+    broadcast({ type: 'taskQueued', task, position, queue: pendingTasks.toArray(clock.now()) });
+    
+    // Queued work may be waiting behind AGVs that are free again
+    dispatchPendingTasks();
+    return { success: true, queued: true, task, position, rejectedCandidates: rejected };
+  }
   
-  return { success: true, task, executionLog };
+  dispatchTask(task, selectedAGV);
+  return { success: true, queued: false, task, executionLog: task.executionLog, rejectedCandidates: rejected };
 }
 
-// Serve enhanced monitoring dashboard
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, '../frontend/index.html'));
-});
+// Unique, increasing task ids even when many tasks arrive in the same millisecond
+let lastTaskId = 0;
+function nextTaskId() {
+  lastTaskId = Math.max(clock.now(), lastTaskId + 1);
+  return lastTaskId;
+}
 
-// Enhanced API Routes with Optimized Logging
-app.get('/api/status', (req, res) => {
-  logToFile('System status requested', 'API');
+let lastPayloadNum = 0;
+function nextPayloadNum() {
+  lastPayloadNum++;
+  return lastPayloadNum;
+}
+
+// Pick the idle AGV with the most battery that can reach the pickup and has
+// the energy for the whole task. Returns { agv, rejected } where rejected
+// lists every other AGV with the reason it was passed over. Idle AGVs that
+// need charging are sent to charge on the way.
+function selectAvailableAGV(task) {
+  const candidates = [];
+  const rejected = [];
+  const shortOfEnergy = [];
+  const lowBattery = [];
   
-  // Log only essential AGV data to CSV
   Object.values(systemState.agvs).forEach(agv => {
-    const csvData = {
-      timestamp: new Date().toISOString(),
-      agv_id: agv.id,
-      algorithm: agv.algorithm,
-      position: agv.position,
-      battery: agv.battery,
+    if (agv.status === 'retired') {
+      rejected.push({ agvId: agv.id, reason: 'retired' });
+    } else if (agv.status !== 'idle') {
+      rejected.push({ agvId: agv.id, reason: `busy (${agv.status})` });
+    } else if (needsCharging(agv)) {
+      rejected.push({ agvId: agv.id, reason: `battery ${Math.round(agv.battery)}% needs charging` });
+      lowBattery.push(agv);
+    } else if (agv.position !== task.startNode && !findPath(agv.position, task.startNode)) {
+      rejected.push({ agvId: agv.id, reason: `cannot reach pickup node ${task.startNode}` });
+    } else {
+      const estimate = estimateTaskEnergy(agv, task);
+      const remaining = agv.battery - estimate.percent;
+      if (remaining < energyModel.reservePercent) {
+        rejected.push({
+          agvId: agv.id,
+          reason: `needs ${estimate.percent.toFixed(1)}% for deadhead, delivery and return to charger, leaving ${remaining.toFixed(1)}% (reserve ${energyModel.reservePercent}%)`,
+          requiredPercent: Math.round(estimate.percent * 10) / 10,
+          battery: Math.round(agv.battery * 10) / 10
+        });
+        shortOfEnergy.push(agv);
+      } else {
+        candidates.push(agv);
+      }
+    }
+  });
+  
+  lowBattery.forEach(agv => createChargingTask(agv.id));
+  
+  if (candidates.length === 0) {
+    // Nobody can take the task: AGVs that lack the energy for it charge up
+    shortOfEnergy
+      .filter(agv => agv.battery < MAX_BATTERY)
+      .forEach(agv => createChargingTask(agv.id));
+    
+    return { agv: null, rejected };
+  }
+  
+  // Select AGV with best battery/position
+  const agv = candidates.reduce((best, current) => {
+    return current.battery > best.battery ? current : best;
+  });
+  candidates.filter(other => other !== agv).forEach(other => {
+    rejected.push({ agvId: other.id, reason: `lower battery than ${agv.id}` });
+  });
+  return { agv, rejected };
+}
+
+// Graph arcs along a node path
+function pathEdges(path) {
+  return path.slice(1).map((node, i) => getEdge(nodeGraph, path[i], node));
+}
+
+// Nearest charger's route from a node, or null when no charger can be reached
+function pathToNearestCharger(node) {
+  const charger = layout.chargingNodes
+    .map(chargerNode => ({ chargerNode, cost: routeCost(node, chargerNode) }))
+    .filter(candidate => candidate.cost < Infinity)
+    .sort((a, b) => a.cost - b.cost)[0];
+  if (!charger) return null;
+  return charger.chargerNode === node ? [node] : findPath(node, charger.chargerNode);
+}
+
+// Battery an AGV would use on a task: the empty run to the pickup, loading,
+// the loaded run to the drop node, unloading and the empty run back to the
+// nearest charger. Infinite when the drop node has no way back to a charger.
+function estimateTaskEnergy(agv, task, from = agv.position) {
+  const efficiency = agvEfficiency(energyModel, agv.id);
+  const deadhead = from === task.startNode ? [from] : findPath(from, task.startNode);
+  const delivery = findPath(task.startNode, task.endNode);
+  const toCharger = pathToNearestCharger(task.endNode);
+  if (!deadhead || !delivery || !toCharger) return { wh: Infinity, percent: Infinity };
+  
+  const wh = routeEnergyWh(energyModel, pathEdges(deadhead), 0, efficiency) +
+    routeEnergyWh(energyModel, pathEdges(delivery), task.weight, efficiency) +
+    routeEnergyWh(energyModel, pathEdges(toCharger), 0, efficiency) +
+    idleEnergyWh(energyModel, LOADING_TIME_MS + UNLOADING_TIME_MS);
+  return { wh, percent: whToPercent(energyModel, wh) };
+}
+
+// Hand the next pending tasks to whichever AGVs are idle
+function dispatchPendingTasks() {
+  while (pendingTasks.size > 0) {
+    const { agv: selectedAGV } = selectAvailableAGV(pendingTasks.peek());
+    if (!selectedAGV) break;
+    
+    const task = pendingTasks.dequeue();
+    dispatchTask(task, selectedAGV);
+    logToFile(`Task ${task.id} dispatched from queue to ${selectedAGV.id} after ${task.waitTime}ms`, 'QUEUE');
+    broadcast({ type: 'queueUpdated', queue: pendingTasks.toArray(clock.now()) });
+  }
+}
+
+// Turn the dataset rows whose scheduling time has come into tasks and wait
+// for the next one
+function releaseDatasetTasks() {
+  clock.clearTimeout(datasetReleaseTimer);
+  datasetReleaseTimer = null;
+  if (!datasetRun || !datasetRun.running) return;
+  
+  const due = datasetRun.due(clock.now());
+  due.forEach(entry => {
+    const { payloadId, startNode, endNode, weight, priority, scheduledAt } = entry.row;
+    const result = createTaskInternal(startNode, endNode, weight, priority, false, { datasetRunId: datasetRun.id, payloadId, scheduledAt });
+    if (result.success) {
+      datasetRun.markReleased(entry, result.task);
+    } else {
+      datasetRun.markRejected(entry, result.error);
+    }
+  });
+  if (due.length > 0) {
+    const progress = datasetRun.progress(clock.now());
+    logToFile(`Dataset run ${datasetRun.id}: released ${due.length} task(s), ${progress.released + progress.rejected}/${progress.total} so far`, 'DATASET');
+    broadcastDatasetProgress();
+  }
+  
+  const next = datasetRun.nextReleaseIn(clock.now());
+  if (next !== null) datasetReleaseTimer = clock.setTimeout(releaseDatasetTasks, next);
+}
+
+// Tell clients how the active dataset run is going when one of its tasks moves on
+function reportDatasetTask(task) {
+  if (datasetRun && task.datasetRunId === datasetRun.id) broadcastDatasetProgress();
+}
+
+function broadcastDatasetProgress() {
+  const progress = datasetRun.progress(clock.now());
+  broadcast({ type: 'datasetProgress', progress });
+  if (progress.finished && !datasetRunFinished) {
+    datasetRunFinished = true;
+    logToFile(`Dataset run ${datasetRun.id} finished: ${progress.completed} completed, ${progress.failed} failed, ${progress.rejected} rejected`, 'DATASET');
+  }
+}
+
+// Assign a task to an AGV: it runs empty to the pickup node, loads, carries
+// the load to the drop node and unloads, reporting each phase as it goes
+function dispatchTask(task, selectedAGV) {
+  const { startNode, endNode, weight, isAuto } = task;
+  
+  // Generate execution logs for the empty and the loaded leg
+  const timeStr = formatClock(new Date(clock.now()));
+  const executionLog = formatExecutionLog({
+    agvNumber: agvNumber(selectedAGV.id),
+    startNode,
+    endNode,
+    time: timeStr,
+    weight,
+    payloadNum: task.payloadNum
+  });
+  
+  task.agvId = selectedAGV.id;
+  task.executionLog = executionLog;
+  task.status = 'executing';
+  task.dispatchedAt = clock.now();
+  task.waitTime = task.dispatchedAt - task.createdAt;
+  task.energyWh = 0;
+  task.distance = 0;
+  tasksInProgress.set(selectedAGV.id, task);
+  reportDatasetTask(task);
+  
+  const logType = isAuto ? 'AUTO_TASK' : 'TASK';
+  const logMessage = isAuto ? 
+    `Auto-generated task: ${executionLog}` : 
+    `Task created: ${selectedAGV.id} from ${startNode} to ${endNode}`;
+  logToFile(logMessage, logType);
+  
+  // Broadcast task creation
+  broadcast({ 
+    type: 'taskCreated', 
+    task, 
+    state: systemState 
+  });
+  
+  if (selectedAGV.position === startNode) {
+    startLoading(task, selectedAGV);
+  } else {
+    startDeadhead(task, selectedAGV, timeStr);
+  }
+}
+
+// Move a task and its AGV into the next phase and tell clients
+function setTaskPhase(task, agv, phase) {
+  task.phase = phase;
+  agv.status = phase;
+  logToFile(`Task ${task.id} ${agv.id} ${phase} at node ${agv.position}`, 'TASK');
+  broadcast({
+    type: 'taskPhase',
+    taskId: task.id,
+    agvId: agv.id,
+    phase: phase,
+    position: agv.position,
+    battery: agv.battery
+  });
+}
+
+// Empty run from wherever the AGV is to the pickup node
+function startDeadhead(task, agv, timeStr) {
+  task.deadheadLog = formatExecutionLog({
+    agvNumber: agvNumber(agv.id),
+    startNode: agv.position,
+    endNode: task.startNode,
+    time: timeStr,
+    kind: 'deadhead'
+  });
+  logExecution(task.deadheadLog);
+  
+  setTaskPhase(task, agv, 'to_pickup');
+  const route = planRoute(agv.id, agv.position, task.startNode);
+  simulateAGVMovement(agv.id, route.path, task.deadheadLog, false, task.priority, {
+    schedule: route.schedule,
+    task,
+    leg: 'deadhead'
+  });
+}
+
+function startLoading(task, agv) {
+  setTaskPhase(task, agv, 'loading');
+  clock.setTimeout(() => {
+    // The simulation may have been stopped while loading
+    if (task.status !== 'executing' || agv.status !== 'loading') return;
+    startDelivery(task, agv);
+  }, LOADING_TIME_MS);
+}
+
+// Loaded run from the pickup node to the drop node
+function startDelivery(task, agv) {
+  logExecution(task.executionLog);
+  
+  setTaskPhase(task, agv, 'delivering');
+  const route = planRoute(agv.id, task.startNode, task.endNode);
+  simulateAGVMovement(agv.id, route.path, task.executionLog, false, task.priority, {
+    schedule: route.schedule,
+    task,
+    leg: 'delivery'
+  });
+}
+
+function startUnloading(task, agv) {
+  setTaskPhase(task, agv, 'unloading');
+  clock.setTimeout(() => {
+    if (task.status !== 'executing' || agv.status !== 'unloading') return;
+    task.status = 'completed';
+    task.phase = 'completed';
+    task.completedAt = clock.now();
+    completeAGVTask(agv.id, agv.position, task.executionLog, false);
+    reportDatasetTask(task);
+  }, UNLOADING_TIME_MS);
+}
+
+// Serve enhanced monitoring dashboard
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, '../frontend/index.html'));
+});
+
+// Warehouse layout for dashboard rendering
+app.get('/api/layout', (req, res) => {
+  res.json(layout);
+});
+
+// Enhanced API Routes with Optimized Logging
+app.get('/api/status', (req, res) => {
+  logToFile('System status requested', 'API');
+  recordAgvSnapshot();
+  res.json(systemState);
+});
+
+// Log only essential AGV data to CSV
+function recordAgvSnapshot() {
+  Object.values(systemState.agvs).forEach(agv => {
+    const csvData = {
+      timestamp: new Date(clock.now()).toISOString(),
+      agv_id: agv.id,
+      algorithm: agv.algorithm,
+      position: agv.position,
+      battery: agv.battery,
       status: agv.status,
       efficiency: 100
     };
     logToCSV(csvData, agvDataFile);
   });
-  
-  res.json(systemState);
-});
+}
 
-app.post('/api/simulation/start', (req, res) => {
+// Set the fleet moving. Batch runs leave out the random auto-generated tasks.
+function startSimulation({ autoTasks = true } = {}) {
   systemState.isRunning = true;
   logToFile('Simulation started with collision detection', 'SIMULATION');
   
   // Initialize global movement coordination
   initializeGlobalMovement();
   startGlobalMovementCoordinator();
+  dispatchPendingTasks();
+  
+  // An uploaded dataset picks up its release schedule where it left off
+  if (datasetRun) {
+    datasetRun.start(clock.now());
+    releaseDatasetTasks();
+  }
   
   // Start auto-task generation every 15 seconds (slower to see movement better)
-  if (autoTaskInterval) clearInterval(autoTaskInterval);
-  autoTaskInterval = setInterval(generateAutoTask, 15000);
+  if (autoTaskInterval) clock.clearInterval(autoTaskInterval);
+  autoTaskInterval = autoTasks ? clock.setInterval(generateAutoTask, 15000) : null;
   
   // Start periodic status updates
-  if (simulationInterval) clearInterval(simulationInterval);
-  simulationInterval = setInterval(() => {
+  if (simulationInterval) clock.clearInterval(simulationInterval);
+  simulationInterval = clock.setInterval(() => {
     logToFile(`Status: Running=${systemState.isRunning}, AGVs=${Object.keys(systemState.agvs).length}, Active movements=${globalMovementState.movementQueue.size}`, 'STATUS');
   }, 120000); // Every 2 minutes
   
   broadcast({ type: 'simulationStarted', state: systemState });
+}
+
+app.post('/api/simulation/start', (req, res) => {
+  startSimulation();
+  if (!session) beginSession();
   res.json({ success: true, message: '🚀 Simulation started with collision detection and simultaneous movement' });
 });
 
-app.post('/api/simulation/stop', (req, res) => {
+function stopSimulation() {
   systemState.isRunning = false;
   
   // Stop all intervals
   if (autoTaskInterval) {
-    clearInterval(autoTaskInterval);
+    clock.clearInterval(autoTaskInterval);
     autoTaskInterval = null;
   }
   
   if (simulationInterval) {
-    clearInterval(simulationInterval);
+    clock.clearInterval(simulationInterval);
     simulationInterval = null;
   }
   
   // Stop global movement coordinator
   stopGlobalMovementCoordinator();
   
+  // Dataset releases wait for the next start
+  if (datasetRun) datasetRun.pause(clock.now());
+  clock.clearTimeout(datasetReleaseTimer);
+  datasetReleaseTimer = null;
+  
   // Clear movement queue
   globalMovementState.movementQueue.clear();
   globalMovementState.occupiedNodes.clear();
   globalMovementState.reservedNodes.clear();
+  globalMovementState.reservedEdges.clear();
+  globalMovementState.nodeReleasedAt.clear();
+  globalMovementState.activeDeadlocks.clear();
+  safetyLog.clearActiveCollisions();
   
-  // Set all AGVs to idle and reset positions
+  // AGVs already charging keep their slot; nobody is on the way or waiting any more
+  chargerPool.cancelReservations();
+  chargerPool.clearWaiting();
+  
+  // Set all AGVs to idle and reset positions; a flat AGV stays put until recovered
   Object.values(systemState.agvs).forEach(agv => {
+    if (agv.status === 'stranded' || agv.status === 'retired') return;
     agv.status = 'idle';
+    retireIfRequested(agv);
+  });
+  tasksInProgress.clear();
+  
+  // Work in progress is abandoned where it stands
+  systemState.tasks.filter(task => task.status === 'executing').forEach(task => {
+    task.status = 'interrupted';
   });
+  if (datasetRun) broadcastDatasetProgress();
   
   logToFile('Simulation stopped', 'SIMULATION');
   broadcast({ type: 'simulationStopped', state: systemState });
+}
+
+app.post('/api/simulation/stop', (req, res) => {
+  stopSimulation();
+  endSession();
   res.json({ success: true, message: '⏹️ Simulation stopped' });
 });
 
+// Simulation history (see core/storage.js): each start-to-stop of the live
+// simulation is stored as a session with its report, tasks, safety events and
+// execution log; scheduler runs (/start-simulation) are stored the same way
+const store = createStore({ name: 'server' });
+const FINISHED_TASK_STATUSES = ['completed', 'failed', 'interrupted', 'cancelled'];
+let session = null; // { simulationId, startedAt, settled (tasks finished before it), executionLogs, created }
+
+executionLogListeners.push(line => {
+  if (session) session.executionLogs.push(line);
+});
+
+function beginSession() {
+  const startedAt = clock.now();
+  const simulationId = `sim_${startedAt}`;
+  session = {
+    simulationId,
+    startedAt,
+    settled: new Set(systemState.tasks.filter(task => FINISHED_TASK_STATUSES.includes(task.status)).map(task => task.id)),
+    executionLogs: [],
+    created: store.createSimulation({ simulationId, timestamp: new Date(startedAt), status: 'running' })
+      .catch(error => {
+        logToFile(`Could not record simulation ${simulationId}: ${error.message}`, 'ERROR');
+        return null;
+      })
+  };
+  logToFile(`Recording simulation ${simulationId}`, 'HISTORY');
+}
+
+async function endSession() {
+  if (!session) return;
+  const { simulationId, startedAt, settled, executionLogs, created } = session;
+  session = null;
+  if (!await created) return;
+  
+  const tasks = systemState.tasks.filter(task => !settled.has(task.id));
+  const report = simulationReport(startedAt, clock.now(), tasks);
+  const events = safetyLog.since(startedAt);
+  try {
+    await store.updateSimulation(simulationId, { status: 'completed', ...simulationRecordFields(report), executionLogs });
+    await store.saveTasks(simulationId, tasks.filter(task => !task.isCharging).map(task => toTaskRecord(simulationId, task)));
+    await store.appendEvents(simulationId, events.map(event => toEventRecord(simulationId, event)));
+    logToFile(`Simulation ${simulationId} stored: ${report.tasks_completed}/${report.total_tasks} tasks completed`, 'HISTORY');
+  } catch (error) {
+    logToFile(`Could not store simulation ${simulationId}: ${error.message}`, 'ERROR');
+  }
+}
+
+// Stored simulations, newest first
+app.get('/api/simulations', async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const { simulations, total } = await store.listSimulations({ page, limit });
+    res.json({ simulations, totalPages: Math.ceil(total / limit), currentPage: page, total });
+  } catch (error) {
+    logToFile(`History error: ${error.message}`, 'ERROR');
+    res.status(500).json({ error: 'Failed to fetch simulations' });
+  }
+});
+
+// A stored simulation and its report
+app.get('/api/simulation/:id', async (req, res) => {
+  try {
+    const simulation = await store.getSimulation(req.params.id);
+    if (!simulation) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+    res.json(simulation);
+  } catch (error) {
+    logToFile(`History error: ${error.message}`, 'ERROR');
+    res.status(500).json({ error: 'Failed to fetch simulation' });
+  }
+});
+
+app.get('/api/reports/:id', async (req, res) => {
+  try {
+    const simulation = await store.getSimulation(req.params.id);
+    if (!simulation) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+    res.json(reportFromRecord(simulation));
+  } catch (error) {
+    logToFile(`History error: ${error.message}`, 'ERROR');
+    res.status(500).json({ error: 'Failed to fetch report' });
+  }
+});
+
+// Tasks and safety events of a stored simulation (events: ?type=collision)
+app.get('/api/simulation/:id/:records(tasks|events)', async (req, res) => {
+  try {
+    if (!await store.getSimulation(req.params.id)) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+    res.json(req.params.records === 'tasks' ?
+      { tasks: await store.listTasks(req.params.id) } :
+      { events: await store.listEvents(req.params.id, { type: req.query.type }) });
+  } catch (error) {
+    logToFile(`History error: ${error.message}`, 'ERROR');
+    res.status(500).json({ error: `Failed to fetch ${req.params.records}` });
+  }
+});
+
+// Compare stored simulations (?ids=baseline,other,...) - deltas against the
+// first, with significant differences flagged (see core/comparison.js)
+app.get('/api/compare', async (req, res) => {
+  const ids = [...new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean))];
+  if (ids.length < 2) {
+    return res.status(400).json({ error: 'Give at least two simulation ids: ?ids=baseline,other' });
+  }
+  
+  try {
+    const { comparison, missing } = await compareStoredSimulations(store, ids);
+    if (missing) {
+      return res.status(404).json({ error: `Simulation(s) not found: ${missing.join(', ')}` });
+    }
+    res.json(comparison);
+  } catch (error) {
+    logToFile(`Comparison error: ${error.message}`, 'ERROR');
+    res.status(500).json({ error: 'Failed to compare simulations' });
+  }
+});
+
+app.delete('/api/simulation/:id', async (req, res) => {
+  try {
+    if (!await store.deleteSimulation(req.params.id)) {
+      return res.status(404).json({ error: 'Simulation not found' });
+    }
+    logToFile(`Simulation ${req.params.id} deleted`, 'HISTORY');
+    res.json({ message: 'Simulation deleted successfully' });
+  } catch (error) {
+    logToFile(`History error: ${error.message}`, 'ERROR');
+    res.status(500).json({ error: 'Failed to delete simulation' });
+  }
+});
+
+// Charger occupancy, utilisation and the queue of AGVs waiting for a slot
+app.get('/api/chargers', (req, res) => {
+  res.json({ chargers: chargerPool.stats(clock.now()), queue: chargerPool.queueSnapshot(clock.now()) });
+});
+
+// Collision / near-miss event stream
+app.get('/api/safety/events', (req, res) => {
+  const limit = parseInt(req.query.limit || '100', 10);
+  res.json({
+    collisions: safetyLog.collisions,
+    nearMisses: safetyLog.nearMisses,
+    minSeparationMs: MIN_SEPARATION_MS,
+    minSeparationNodes: MIN_SEPARATION_NODES,
+    events: safetyLog.events.slice(-limit)
+  });
+});
+
+// Fleet members with their current state
+app.get('/api/agvs', (req, res) => {
+  res.json({ count: Object.keys(systemState.agvs).length, agvs: Object.values(systemState.agvs) });
+});
+
+// Register a new AGV at a free node
+app.post('/api/agvs', (req, res) => {
+  let agv;
+  try {
+    agv = buildAgvRecord(req.body, {
+      hasNode: node => hasNode(layout, node),
+      algorithms: ROUTING_ALGORITHMS,
+      fleet: systemState.agvs
+    });
+  } catch (err) {
+    const status = /already/.test(err.message) ? 409 : 400;
+    return res.status(status).json({ error: err.message });
+  }
+  
+  const blocker = nodeBlocker(agv.position, agv.id);
+  if (blocker) {
+    return res.status(409).json({ error: `Node ${agv.position} is occupied by ${blocker}` });
+  }
+  
+  systemState.agvs[agv.id] = agv;
+  occupyNode(agv.position, agv.id);
+  logToFile(`AGV ${agv.id} added at node ${agv.position} (${agv.algorithm}, battery ${agv.battery}%)`, 'FLEET');
+  broadcast({ type: 'agvAdded', agv, state: systemState });
+  dispatchPendingTasks();
+  res.status(201).json({ success: true, agv });
+});
+
+// Take an AGV out of service. A working AGV finishes its current task first;
+// a stranded one retires once it has been recovered.
+app.post('/api/agvs/:agvId/retire', (req, res) => {
+  const agv = systemState.agvs[req.params.agvId];
+  if (!agv) {
+    return res.status(404).json({ error: `Unknown AGV ${req.params.agvId}` });
+  }
+  if (agv.status === 'retired') {
+    return res.status(409).json({ error: `AGV ${agv.id} is already retired` });
+  }
+  
+  agv.retiring = true;
+  if (agv.status === 'waiting_for_charger') {
+    chargerPool.removeWaiting(agv.id);
+    agv.status = 'idle';
+  }
+  if (retireIfRequested(agv)) {
+    return res.json({ success: true, agv, message: `AGV ${agv.id} retired` });
+  }
+  
+  logToFile(`AGV ${agv.id} will retire after its current work (${agv.status})`, 'FLEET');
+  broadcast({ type: 'agvRetiring', agvId: agv.id, state: systemState });
+  res.status(202).json({ success: true, agv, message: `AGV ${agv.id} will retire once its current task is finished` });
+});
+
+// Remove an AGV from the fleet. Only AGVs that are not working can be removed.
+app.delete('/api/agvs/:agvId', (req, res) => {
+  const agv = systemState.agvs[req.params.agvId];
+  if (!agv) {
+    return res.status(404).json({ error: `Unknown AGV ${req.params.agvId}` });
+  }
+  if (tasksInProgress.has(agv.id) || globalMovementState.movementQueue.has(agv.id) || agv.status === 'charging') {
+    return res.status(409).json({ error: `AGV ${agv.id} is ${agv.status} - retire it and wait for it to finish first` });
+  }
+  
+  chargerPool.removeWaiting(agv.id);
+  chargerPool.release(agv.id, clock.now());
+  vacateNode(agv.position, agv.id);
+  delete systemState.agvs[agv.id];
+  
+  logToFile(`AGV ${agv.id} removed from the fleet at node ${agv.position}`, 'FLEET');
+  broadcast({ type: 'agvRemoved', agvId: agv.id, state: systemState });
+  serveChargerQueue();
+  res.json({ success: true, agv });
+});
+
+// Select the routing algorithm an AGV plans its next tasks with
+app.post('/api/agvs/:agvId/algorithm', (req, res) => {
+  const agv = systemState.agvs[req.params.agvId];
+  if (!agv) {
+    return res.status(404).json({ error: `Unknown AGV ${req.params.agvId}` });
+  }
+  
+  const { algorithm } = req.body;
+  if (!ROUTING_ALGORITHMS.includes(algorithm)) {
+    return res.status(400).json({ error: `Algorithm must be one of: ${ROUTING_ALGORITHMS.join(', ')}` });
+  }
+  
+  agv.algorithm = algorithm;
+  logToFile(`AGV ${agv.id} routing algorithm set to ${algorithm}`, 'CONFIG');
+  broadcast({ type: 'agvAlgorithmChanged', agvId: agv.id, algorithm, state: systemState });
+  res.json({ success: true, agv });
+});
+
+// Bring a stranded AGV back into service: swap its battery where it stands,
+// or tow it onto a charger with a free slot
+app.post('/api/agvs/:agvId/recover', (req, res) => {
+  const agv = systemState.agvs[req.params.agvId];
+  if (!agv) {
+    return res.status(404).json({ error: `Unknown AGV ${req.params.agvId}` });
+  }
+  if (agv.status !== 'stranded') {
+    return res.status(409).json({ error: `AGV ${agv.id} is not stranded` });
+  }
+
+  const { action } = req.body;
+  if (action === 'battery_swap') {
+    agv.battery = MAX_BATTERY;
+    agv.status = 'idle';
+    retireIfRequested(agv);
+  } else if (action === 'tow') {
+    const chargerNode = chargerPool.findNearestAvailable(agv.id, node => (nodeBlocker(node, agv.id) ? Infinity : 0));
+    if (chargerNode === null) {
+      return res.status(409).json({ error: 'No charger has a free slot to tow to' });
+    }
+    vacateNode(agv.position, agv.id);
+    agv.position = chargerNode;
+    occupyNode(chargerNode, agv.id);
+    chargerPool.reserve(chargerNode, agv.id, clock.now());
+    startCharging(agv.id);
+  } else {
+    return res.status(400).json({ error: 'Action must be battery_swap or tow' });
+  }
+
+  logToFile(`AGV ${agv.id} recovered by ${action.replace('_', ' ')} at node ${agv.position}`, 'RECOVERY');
+  broadcast({ type: 'agvRecovered', agvId: agv.id, action, state: systemState });
+  dispatchPendingTasks();
+  res.json({ success: true, agv });
+});
+
+// Pending task queue in dispatch order, with position and wait time per task
+app.get('/api/tasks/pending', (req, res) => {
+  res.json({ count: pendingTasks.size, tasks: pendingTasks.toArray(clock.now()) });
+});
+
+// Withdraw a task that has not been dispatched yet
+app.delete('/api/tasks/pending/:taskId', (req, res) => {
+  const task = pendingTasks.remove(parseInt(req.params.taskId));
+  if (!task) {
+    return res.status(404).json({ error: 'Task is not in the pending queue' });
+  }
+  
+  task.status = 'cancelled';
+  logToFile(`Task ${task.id} removed from queue`, 'QUEUE');
+  broadcast({ type: 'queueUpdated', queue: pendingTasks.toArray(clock.now()) });
+  res.json({ success: true, task });
+});
+
 // Task creation and execution API
 app.post('/api/tasks/create', (req, res) => {
   const { startNode, endNode, weight, priority = 'medium' } = req.body;
@@ -670,8 +1955,8 @@ app.post('/api/tasks/create', (req, res) => {
     return res.status(400).json({ error: 'Start and end nodes cannot be the same' });
   }
   
-  if (startNode < 1 || startNode > 9 || endNode < 1 || endNode > 9) {
-    return res.status(400).json({ error: 'Nodes must be between 1 and 9' });
+  if (!hasNode(layout, startNode) || !hasNode(layout, endNode)) {
+    return res.status(400).json({ error: `Nodes must exist in layout: ${layoutNodeIds.join(', ')}` });
   }
   
   // Use internal task creation function
@@ -683,9 +1968,14 @@ app.post('/api/tasks/create', (req, res) => {
   
   res.json({ 
     success: true, 
+    queued: result.queued,
+    position: result.position,
     task: result.task,
     executionLog: result.executionLog,
-    message: '✅ Task created and AGV movement simulation started' 
+    rejectedCandidates: result.rejectedCandidates,
+    message: result.queued ?
+      `⏳ No AGV can take the task now - queued at position ${result.position}` :
+      '✅ Task created and AGV movement simulation started' 
   });
 });
 
@@ -699,8 +1989,9 @@ app.post('/api/tasks/:taskId/complete', (req, res) => {
   }
   
   // Update task status
+  pendingTasks.remove(taskId);
   task.status = 'completed';
-  task.completedAt = Date.now();
+  task.completedAt = clock.now();
   
   // Update AGV status and position
   if (systemState.agvs[task.agvId]) {
@@ -712,72 +2003,12 @@ app.post('/api/tasks/:taskId/complete', (req, res) => {
   
   logToFile(`Task completed: ${task.executionLog}`, 'COMPLETION');
   broadcast({ type: 'taskCompleted', task, state: systemState });
+  reportDatasetTask(task);
+  dispatchPendingTasks();
   
   res.json({ success: true, task, message: 'Task completed' });
 });
 
-// Get available AGV
-function getAvailableAGV() {
-  const availableAGVs = Object.keys(systemState.agvs).filter(agvId => 
-    systemState.agvs[agvId].status === 'idle'
-  );
-  return availableAGVs.length > 0 ? availableAGVs[0] : null;
-}
-
-// Auto-generate tasks when simulation is running
-setInterval(() => {
-  if (systemState.isRunning && Math.random() < 0.3) { // 30% chance every interval
-    const startNode = Math.floor(Math.random() * 9) + 1;
-    let endNode = Math.floor(Math.random() * 9) + 1;
-    while (endNode === startNode) {
-      endNode = Math.floor(Math.random() * 9) + 1;
-    }
-    const weight = Math.floor(Math.random() * 50) + 10;
-    
-    const availableAGV = getAvailableAGV();
-    if (availableAGV) {
-      const agvNum = availableAGV.replace('AGV', '');
-      const payloadNum = Math.floor(Math.random() * 1000) + 1;
-      
-      // Generate execution log in required format
-      const timestamp = new Date().toTimeString().split(' ')[0]; // HH:MM:SS format
-      const executionLog = `agv_${agvNum}-${startNode}-${endNode}-${timestamp}-${weight}-payload_${payloadNum}`;
-      
-      const autoTask = {
-        id: Date.now(),
-        startNode,
-        endNode,
-        weight,
-        agvId: availableAGV,
-        payloadNum,
-        executionLog,
-        status: 'executing',
-        createdAt: Date.now(),
-        isAutoGenerated: true
-      };
-      
-      systemState.tasks.push(autoTask);
-      systemState.agvs[availableAGV].status = 'executing';
-      systemState.agvs[availableAGV].position = startNode;
-      
-      logToFile(`Auto-generated task: ${executionLog}`, 'AUTO_TASK');
-      broadcast({ type: 'taskCreated', task: autoTask, state: systemState });
-      
-      // Auto-complete task after random time (2-8 seconds)
-      setTimeout(() => {
-        autoTask.status = 'completed';
-        autoTask.completedAt = Date.now();
-        systemState.agvs[availableAGV].status = 'idle';
-        systemState.agvs[availableAGV].position = endNode;
-        systemState.totalTasksCompleted++;
-        
-        logToFile(`Auto-task completed: ${executionLog}`, 'AUTO_COMPLETION');
-        broadcast({ type: 'taskCompleted', task: autoTask, state: systemState });
-      }, Math.random() * 6000 + 2000);
-    }
-  }
-}, 5000); // Every 5 seconds
-
 // Enhanced file upload with dataset processing
 app.post('/upload', upload.single('dataset'), async (req, res) => {
   try {
@@ -787,183 +2018,176 @@ app.post('/upload', upload.single('dataset'), async (req, res) => {
     }
 
     const filePath = req.file.path;
-    const filename = req.file.filename;
-    const fileExtension = path.extname(filename).toLowerCase();
+    const fileExtension = path.extname(req.file.filename).toLowerCase();
+    const filename = `AGV_Dataset${fileExtension}`;
+
+    if (!DATASET_EXTENSIONS.includes(fileExtension)) {
+      fs.unlink(filePath, () => {});
+      logToFile(`Dataset upload rejected - unsupported file type ${fileExtension || '(none)'}`, 'ERROR');
+      return res.status(400).json({ error: `Unsupported file type - upload one of ${DATASET_EXTENSIONS.join(', ')}` });
+    }
+    
+    // A dry run only validates: nothing is stored and any invalid row rejects the dataset
+    const dryRun = req.body.dryRun === 'true' || req.query.dryRun === 'true';
     
     console.log('📁 Dataset uploaded successfully:', filename);
-    logToFile(`Dataset uploaded: ${filename}`, 'UPLOAD');
+    logToFile(`Dataset uploaded: ${filename}${dryRun ? ' (dry run)' : ''}`, 'UPLOAD');
     
-    // Process dataset based on file type
-    let taskData = [];
+    const { sheets, tasks: taskData, report, sheetReport, summary } = readDataset(filePath);
+    sheetReport.forEach(({ sheet, errors, warnings }) => {
+      errors.forEach(error => logToFile(`Dataset sheet ${sheet}: ${error}`, 'ERROR'));
+      warnings.forEach(warning => logToFile(`Dataset sheet ${sheet}: ${warning}`, 'DATASET'));
+    });
+    report.forEach(({ sheet, row, errors, warnings }) => {
+      errors.forEach(error => logToFile(`Dataset ${sheet} row ${row}: ${error}`, 'ERROR'));
+      warnings.forEach(warning => logToFile(`Dataset ${sheet} row ${row}: ${warning}`, 'DATASET'));
+    });
+    logToFile(`Dataset validated: ${summary.valid} of ${summary.rows} rows valid in ${sheets.length} sheet(s), ${summary.invalid} invalid, ${summary.warnings} warning(s), ${summary.sheetsSkipped} sheet(s) skipped`, 'DATASET');
     
-    if (fileExtension === '.csv') {
-      // Process CSV file
-      const csvData = fs.readFileSync(filePath, 'utf8');
-      const lines = csvData.split('\n').filter(line => line.trim());
-      
-      // Assume CSV format: startNode,endNode,weight,priority
-      for (let i = 1; i < lines.length; i++) { // Skip header
-        const [startNode, endNode, weight, priority] = lines[i].split(',');
-        if (startNode && endNode && weight) {
-          taskData.push({
-            startNode: parseInt(startNode.trim()),
-            endNode: parseInt(endNode.trim()),
-            weight: parseInt(weight.trim()),
-            priority: (priority || 'medium').trim()
-          });
-        }
+    const result = { filename, dryRun, sheets, summary, report, sheetReport };
+    if (dryRun) {
+      fs.unlink(filePath, () => {});
+      if (summary.invalid > 0 || summary.sheetErrors > 0) {
+        return res.status(422).json({ success: false, error: `Dataset rejected: ${summary.invalid} invalid row(s), ${summary.sheetErrors} sheet(s) missing columns`, ...result });
       }
-    } else if (fileExtension === '.xlsx' || fileExtension === '.xls') {
-      // For Excel files, we'll create sample tasks for demonstration
-      // In a real implementation, you'd use a library like 'xlsx' to parse Excel files
-      taskData = [
-        { startNode: 1, endNode: 5, weight: 25, priority: 'high' },
-        { startNode: 3, endNode: 7, weight: 30, priority: 'medium' },
-        { startNode: 2, endNode: 9, weight: 20, priority: 'low' },
-        { startNode: 4, endNode: 6, weight: 35, priority: 'high' },
-        { startNode: 7, endNode: 2, weight: 15, priority: 'medium' }
-      ];
+      return res.json({ success: true, message: `✅ Dataset is valid: ${summary.valid} tasks`, ...result });
+    }
+    if (taskData.length === 0) {
+      fs.unlink(filePath, () => {});
+      return res.status(422).json({ success: false, error: 'Dataset has no valid rows', ...result });
     }
     
-    // Store processed tasks for later use
+    // Only validated rows become tasks, and only an accepted file is kept for scheduler runs
     systemState.uploadedTasks = taskData;
-    
-    logToFile(`Dataset processed: ${taskData.length} tasks extracted`, 'DATASET');
+    fs.copyFileSync(filePath, path.join(uploadsDir, filename));
+    fs.unlink(filePath, () => {});
     
     res.json({ 
       success: true,
       message: `✅ Dataset uploaded and processed successfully`,
-      filename: filename,
+      ...result,
       tasksExtracted: taskData.length,
       sampleTasks: taskData.slice(0, 3) // Show first 3 tasks as preview
     });
   } catch (error) {
     console.error('Upload error:', error);
     logToFile(`Upload error: ${error.message}`, 'ERROR');
+    if (req.file) fs.unlink(req.file.path, () => {});
     res.status(500).json({ error: 'Upload failed: ' + error.message });
   }
 });
 
-// Process uploaded dataset to create tasks
+// Read and validate a dataset file against the loaded layout
+function readDataset(filePath) {
+  return readDatasetFile(filePath, {
+    hasNode: node => hasNode(layout, node),
+    isReachable: (startNode, endNode) => Boolean(findPath(startNode, endNode))
+  });
+}
+
+// Start a dataset run over validated rows. A new run replaces the previous
+// one; tasks it already released carry on.
+function scheduleDataset(rows, timeScale = DATASET_TIME_SCALE) {
+  const run = new DatasetRun(rows, { id: datasetRunCount + 1, timeScale });
+  clock.clearTimeout(datasetReleaseTimer);
+  datasetRunCount = run.id;
+  datasetRun = run;
+  datasetRunFinished = false;
+  if (systemState.isRunning) datasetRun.start(clock.now());
+  
+  const progress = datasetRun.progress(clock.now());
+  logToFile(`Dataset run ${run.id} scheduled: ${progress.total} tasks over ${Math.round(progress.durationMs / 1000)}s (time scale ${run.timeScale})`, 'DATASET');
+  releaseDatasetTasks();
+  broadcastDatasetProgress();
+  return run;
+}
+
+// Schedule the uploaded dataset: each row is released as a task at its
+// scheduling time, counted from simulation start (now, if it is running)
 app.post('/api/dataset/process', (req, res) => {
+  if (!systemState.uploadedTasks || systemState.uploadedTasks.length === 0) {
+    return res.status(400).json({ error: 'No dataset uploaded or no tasks found' });
+  }
+  
   try {
-    if (!systemState.uploadedTasks || systemState.uploadedTasks.length === 0) {
-      return res.status(400).json({ error: 'No dataset uploaded or no tasks found' });
-    }
-    
-    let createdTasks = 0;
-    let failedTasks = 0;
-    
-    // Create tasks from uploaded dataset
-    systemState.uploadedTasks.forEach((taskData, index) => {
-      try {
-        const result = createTaskInternal(
-          taskData.startNode, 
-          taskData.endNode, 
-          taskData.weight, 
-          taskData.priority, 
-          false
-        );
-        
-        if (result.success) {
-          createdTasks++;
-          // Add delay between tasks to avoid overwhelming the system
-          setTimeout(() => {}, index * 1000);
-        } else {
-          failedTasks++;
-        }
-      } catch (error) {
-        failedTasks++;
-        console.error(`Failed to create task ${index}:`, error);
-      }
-    });
-    
-    logToFile(`Dataset processing completed: ${createdTasks} tasks created, ${failedTasks} failed`, 'DATASET');
-    
-    res.json({
-      success: true,
-      message: `📊 Dataset processed: ${createdTasks} tasks created successfully`,
-      createdTasks,
-      failedTasks,
-      totalTasks: systemState.uploadedTasks.length
-    });
-    
+    scheduleDataset(systemState.uploadedTasks, req.body.timeScale === undefined ? DATASET_TIME_SCALE : Number(req.body.timeScale));
   } catch (error) {
-    console.error('Dataset processing error:', error);
-    logToFile(`Dataset processing error: ${error.message}`, 'ERROR');
-    res.status(500).json({ error: 'Dataset processing failed: ' + error.message });
+    return res.status(400).json({ error: error.message });
   }
+  
+  const progress = datasetRun.progress(clock.now());
+  res.json({
+    success: true,
+    message: `📊 Dataset scheduled: ${progress.total} tasks released over ${Math.round(progress.durationMs / 1000)}s ${systemState.isRunning ? 'from now' : 'once the simulation starts'}`,
+    progress: datasetRun.progress(clock.now())
+  });
 });
 
-app.post('/start-simulation', (req, res) => {
-  try {
-    console.log('Starting AGV simulation...');
-    
-    // Start the Python AGV scheduling algorithm
-    const pythonPath = process.env.PYTHON_PATH || 'python3';
-    const pythonProcess = spawn(pythonPath, ['../agv1.py'], {
-      cwd: __dirname
-    });
-
-    let simulationRunning = true;
-
-    pythonProcess.stdout.on('data', (data) => {
-      const output = data.toString();
-      console.log('Python output:', output);
-      
-      // Parse the output and broadcast to clients
-      try {
-        const lines = output.split('\n').filter(line => line.trim());
-        lines.forEach(line => {
-          if (line.includes('agv_')) {
-            // Parse AGV movement log
-            const [agv, from, to, time, weight, payload] = line.split('-');
-            broadcast({
-              type: 'log',
-              data: line.trim()
-            });
-          } else if (line.startsWith('{')) {
-            // Parse JSON summary data
-            const summaryData = JSON.parse(line);
-            broadcast({
-              type: 'summary',
-              data: summaryData
-            });
-          }
-        });
-      } catch (parseError) {
-        console.error('Parse error:', parseError);
-      }
-    });
-
-    pythonProcess.stderr.on('data', (data) => {
-      console.error('Python error:', data.toString());
-    });
+// Released, dispatched and completed counts for the active dataset run
+app.get('/api/dataset/progress', (req, res) => {
+  if (!datasetRun) {
+    return res.status(404).json({ error: 'No dataset run' });
+  }
+  res.json({
+    progress: datasetRun.progress(clock.now()),
+    rejected: datasetRun.entries
+      .filter(entry => entry.status === 'rejected')
+      .map(({ row, error }) => ({ sheet: row.sheet, row: row.row, payloadId: row.payloadId, error }))
+  });
+});
 
-    pythonProcess.on('close', (code) => {
-      console.log(`Python process exited with code ${code}`);
-      simulationRunning = false;
-      broadcast({
-        type: 'simulation_complete',
-        data: { code, message: 'Simulation completed' }
-      });
-    });
+// Run the latest uploaded dataset (or the hackathon workbook) through the
+// scheduler in a worker thread, on its own engine and output directory, stream
+// its execution log and summary to the dashboard and store it in the history
+let schedulerRunning = false;
 
-    res.json({ 
-      message: 'Simulation started successfully',
-      status: 'running' 
-    });
-  } catch (error) {
-    console.error('Simulation start error:', error);
-    res.status(500).json({ error: 'Failed to start simulation' });
+app.post('/start-simulation', (req, res) => {
+  if (schedulerRunning) {
+    return res.status(409).json({ error: 'A scheduler run is already in progress' });
   }
+  
+  const dataset = findDataset(uploadsDir);
+  const out = path.join(outputDir, 'scheduler');
+  const simulationId = `sched_${clock.now()}`;
+  schedulerRunning = true;
+  logToFile(`Scheduler run ${simulationId} started on ${path.basename(dataset)}`, 'SIMULATION');
+  
+  store.createSimulation({ simulationId, timestamp: new Date(clock.now()), status: 'running' })
+    .then(() => runSchedulerInWorker({ dataset, out, timeScale: DATASET_TIME_SCALE }, {
+      onLog: line => broadcast({ type: 'log', data: line, entry: parseExecutionLog(line) })
+    }))
+    .then(async (result) => {
+      const { finished, report, progress } = result;
+      await recordRun(store, simulationId, result);
+      const message = `Simulation ${finished ? 'completed' : 'stopped at its time limit'}: ` +
+        `${progress.completed}/${progress.total} tasks completed, ${progress.failed} failed, ${progress.rejected} rejected`;
+      logToFile(message, 'SIMULATION');
+      broadcast({ type: 'summary', data: report });
+      broadcast({ type: 'simulation_complete', data: { simulationId, code: finished ? 0 : 1, message } });
+    })
+    .catch(error => {
+      logToFile(`Scheduler run ${simulationId} failed: ${error.message}`, 'ERROR');
+      store.updateSimulation(simulationId, { status: 'failed' }).catch(() => {});
+      broadcast({ type: 'simulation_complete', data: { simulationId, code: 1, message: `Simulation failed: ${error.message}` } });
+    })
+    .finally(() => {
+      schedulerRunning = false;
+    });
+  
+  res.json({ 
+    message: 'Simulation started successfully',
+    status: 'running',
+    simulationId,
+    dataset: path.basename(dataset),
+    outputDir: out
+  });
 });
 
 app.get('/api/status', (req, res) => {
   res.json({
     status: 'running',
     connectedClients: clients.size,
-    timestamp: new Date().toISOString()
+    timestamp: new Date(clock.now()).toISOString()
   });
 });
 
@@ -974,7 +2198,7 @@ app.get('/api/logs', (req, res) => {
       const logs = fs.readFileSync(logsPath, 'utf8');
       res.json({
         logs: logs.split('\n').filter(line => line.trim()),
-        timestamp: new Date().toISOString()
+        timestamp: new Date(clock.now()).toISOString()
       });
     } else {
       res.json({ logs: [], message: 'No logs available' });
@@ -985,6 +2209,51 @@ app.get('/api/logs', (req, res) => {
   }
 });
 
+// Check an uploaded execution.log (form field "log") and report malformed lines
+app.post('/api/logs/validate', logUpload.single('log'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'Upload an execution log in the "log" field' });
+  }
+  
+  const report = validateExecutionLog(req.file.buffer.toString('utf8'));
+  logToFile(`Execution log ${req.file.originalname} validated: ${report.valid}/${report.total} lines valid`, 'API');
+  res.json({
+    success: report.errors.length === 0,
+    filename: req.file.originalname,
+    total: report.total,
+    valid: report.valid,
+    invalid: report.errors.length,
+    errors: report.errors
+  });
+});
+
+// Playback timeline for execution log content; malformed lines are left out and listed
+function replayFromLog(content) {
+  const report = validateExecutionLog(content);
+  return { ...buildReplay(report.entries, layout, nodeGraph), invalidLines: report.errors };
+}
+
+// Replay an uploaded execution.log (form field "log") on the dashboard
+app.post('/api/replay', logUpload.single('log'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'Upload an execution log in the "log" field' });
+  }
+  
+  const replay = replayFromLog(req.file.buffer.toString('utf8'));
+  logToFile(`Replay built from ${req.file.originalname}: ${replay.legs.length} legs over ${Math.round(replay.duration / 1000)}s`, 'API');
+  res.json({ success: true, source: req.file.originalname, ...replay });
+});
+
+// Replay the execution log written by this run
+app.get('/api/replay/current', (req, res) => {
+  try {
+    const content = fs.readFileSync(path.join(logDir, executionLogFile), 'utf8');
+    res.json({ success: true, source: executionLogFile, ...replayFromLog(content) });
+  } catch (err) {
+    res.status(500).json({ error: `Failed to read ${executionLogFile}: ${err.message}` });
+  }
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Server error:', error);
@@ -992,27 +2261,39 @@ app.use((error, req, res, next) => {
   res.status(500).json({ error: 'Internal server error' });
 });
 
-// Optimized periodic analytics logging - every 2 minutes
-setInterval(() => {
+// Periodic analytics: efficiency and charger utilisation rows plus analytics.json
+function exportAnalytics() {
   // Log essential system status only
   logToFile(`Status: Running=${systemState.isRunning}, AGVs=${Object.keys(systemState.agvs).length}`, 'STATUS');
   
   // Log performance metric
   const performanceData = {
-    timestamp: new Date().toISOString(),
+    timestamp: new Date(clock.now()).toISOString(),
     metric_type: 'system_efficiency',
     value: systemState.systemEfficiency,
     details: `tasks_completed=${systemState.totalTasksCompleted}`
   };
   logToCSV(performanceData, performanceFile);
   
+  const chargerStats = chargerPool.stats(clock.now());
+  chargerStats.forEach(charger => {
+    logToCSV({
+      timestamp: performanceData.timestamp,
+      metric_type: 'charger_utilisation',
+      value: charger.utilisation,
+      details: `node=${charger.node};capacity=${charger.capacity};charging=${charger.charging};sessions=${charger.sessions}`
+    }, performanceFile);
+  });
+  
   // Export minimal analytics data
   const analyticsData = {
-    timestamp: new Date().toISOString(),
+    timestamp: new Date(clock.now()).toISOString(),
     totalTasksCompleted: systemState.totalTasksCompleted,
     systemEfficiency: systemState.systemEfficiency,
     isRunning: systemState.isRunning,
-    agvCount: Object.keys(systemState.agvs).length
+    agvCount: Object.keys(systemState.agvs).length,
+    chargers: chargerStats,
+    chargerQueue: chargerPool.queueSnapshot(clock.now())
   };
   
   // Save analytics to single file
@@ -1022,28 +2303,100 @@ setInterval(() => {
   } catch (err) {
     logToFile(`Analytics export error: ${err.message}`, 'ERROR');
   }
-}, 120000); // Every 2 minutes
+}
+
+// Optimized periodic analytics logging - every 2 minutes
+clock.setInterval(exportAnalytics, 120000);
 
-// Start server
-const PORT = process.env.PORT || 5000;
-server.listen(PORT, () => {
-  console.log(`🚀 AGV Backend Server running on port ${PORT}`);
-  console.log(`📊 Enhanced logging enabled - Backend-only mode`);
-  console.log(`💾 Data output location: ${path.resolve('../output/')}`);
-  console.log(`🌐 Monitoring dashboard: http://localhost:${PORT}`);
+// Replace the whole fleet with AGVs built from registration specs (see
+// core/fleet.js). Used by batch runs before the simulation starts.
+function loadFleet(specs) {
+  if (systemState.isRunning) {
+    throw new Error('Stop the simulation before replacing the fleet');
+  }
+  if (!Array.isArray(specs) || specs.length === 0) {
+    throw new Error('A fleet needs at least one AGV');
+  }
   
-  // Initial system log
-  logToFile('AGV Backend Server started successfully', 'STARTUP');
-  logToFile(`Port: ${PORT}, Output directory: ${path.resolve('../output/')}`, 'CONFIG');
-});
+  const fleet = {};
+  const perNode = new Map();
+  specs.forEach(spec => {
+    const agv = buildAgvRecord(spec, {
+      hasNode: node => hasNode(layout, node),
+      algorithms: ROUTING_ALGORITHMS,
+      fleet
+    });
+    const standing = (perNode.get(agv.position) || 0) + 1;
+    if (standing > chargerPool.capacity(agv.position)) {
+      throw new Error(`Node ${agv.position} has no room for ${agv.id}`);
+    }
+    perNode.set(agv.position, standing);
+    fleet[agv.id] = agv;
+  });
+  
+  Object.keys(systemState.agvs).forEach(agvId => delete systemState.agvs[agvId]);
+  Object.assign(systemState.agvs, fleet);
+  initializeGlobalMovement();
+  logToFile(`Fleet loaded: ${Object.values(fleet).map(agv => `${agv.id}@${agv.position}`).join(', ')}`, 'FLEET');
+}
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('Shutting down server...');
-  logToFile('Server shutdown initiated', 'SHUTDOWN');
-  server.close(() => {
-    console.log('Server closed');
-    logToFile('Server shutdown complete', 'SHUTDOWN');
-    process.exit(0);
+// Run summary in the layout of simulation_report.json, over the given tasks
+// and the safety events since startedAt
+function simulationReport(startedAt, finishedAt = clock.now(), tasks = systemState.tasks) {
+  return buildSimulationReport({
+    startedAt,
+    finishedAt,
+    agvs: systemState.agvs,
+    tasks,
+    chargeSessions,
+    safetyEvents: safetyLog.since(startedAt)
   });
-});
+}
+
+// The scheduler (scheduler.js) drives the same engine without the HTTP server
+module.exports = {
+  loadFleet,
+  readDataset,
+  scheduleDataset,
+  startSimulation,
+  stopSimulation,
+  datasetProgress: () => (datasetRun ? datasetRun.progress(clock.now()) : null),
+  recordAgvSnapshot,
+  exportAnalytics,
+  simulationReport,
+  tasks: () => systemState.tasks,
+  safetyEvents: () => safetyLog.events,
+  onExecutionLog: listener => executionLogListeners.push(listener)
+};
+
+// Serve HTTP only when started directly (npm run original)
+if (require.main === module) {
+  const PORT = process.env.PORT || 5000;
+  server.listen(PORT, () => {
+    console.log(`🚀 AGV Backend Server running on port ${PORT}`);
+    console.log(`📊 Enhanced logging enabled - Backend-only mode`);
+    console.log(`💾 Data output location: ${outputDir}`);
+    console.log(`🌐 Monitoring dashboard: http://localhost:${PORT}`);
+    
+    // Initial system log
+    logToFile('AGV Backend Server started successfully', 'STARTUP');
+    logToFile(`Port: ${PORT}, Output directory: ${outputDir}`, 'CONFIG');
+  });
+
+  store.open()
+    .then(() => logToFile(`Simulation history in the ${store.type} store`, 'CONFIG'))
+    .catch(error => logToFile(`Simulation history unavailable: ${error.message}`, 'ERROR'));
+  
+  // Graceful shutdown
+  process.on('SIGINT', async () => {
+    console.log('Shutting down server...');
+    logToFile('Server shutdown initiated', 'SHUTDOWN');
+    await endSession();
+    await store.close();
+    server.close(() => {
+      console.log('Server closed');
+      logToFile('Server shutdown complete', 'SHUTDOWN');
+      process.exit(0);
+    });
+  });
+}
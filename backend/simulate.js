@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+// Headless batch simulation.
+// Runs a dataset through the scheduler (scheduler.js) on a virtual clock, as
+// fast as the CPU allows, and writes the same files as a live run plus a
+// simulation_report.json summary.
+//
+//   node simulate.js --dataset ../AGV_Hackathon_dataset.xlsx [--layout layouts/default.json]
+//     [--fleet fleet.json] [--energy energy.json] [--out ../output/batch]
+//     [--time-scale 1] [--max-hours 24] [--snapshot-seconds 60]
+//
+// The fleet file is a JSON list of AGV registrations as accepted by
+// POST /api/agvs ({ id, startNode, battery, algorithm, capabilities }).
+// Exits with 1 when the dataset has not finished within --max-hours.
+
+const fs = require('fs');
+const path = require('path');
+const { runScheduler } = require('./scheduler');
+
+const USAGE = 'Usage: node simulate.js --dataset <csv|xlsx> [--layout <json>] [--fleet <json>] [--energy <json>] ' +
+  '[--out <dir>] [--time-scale <n>] [--max-hours <n>] [--snapshot-seconds <n>]';
+const OPTION_NAMES = ['dataset', 'layout', 'fleet', 'energy', 'out', 'time-scale', 'max-hours', 'snapshot-seconds'];
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    if (!argv[i].startsWith('--') || !OPTION_NAMES.includes(name)) {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+    if (argv[i + 1] === undefined) {
+      throw new Error(`--${name} needs a value`);
+    }
+    args[name] = argv[i + 1];
+  }
+  if (!args.dataset) {
+    throw new Error('--dataset is required');
+  }
+
+  const options = {
+    dataset: path.resolve(args.dataset),
+    layout: args.layout && path.resolve(args.layout),
+    fleet: args.fleet && path.resolve(args.fleet),
+    energy: args.energy && path.resolve(args.energy),
+    out: path.resolve(args.out || path.join(__dirname, '../output/batch')),
+    timeScale: Number(args['time-scale'] || 1),
+    maxHours: Number(args['max-hours'] || 24),
+    snapshotSeconds: Number(args['snapshot-seconds'] || 60)
+  };
+  ['timeScale', 'maxHours', 'snapshotSeconds'].forEach(key => {
+    if (!(options[key] > 0)) throw new Error(`${key} must be a positive number`);
+  });
+  return options;
+}
+
+function run(options) {
+  const fleet = options.fleet ? JSON.parse(fs.readFileSync(options.fleet, 'utf8')) : undefined;
+  const { finished, report, progress, skipped } = runScheduler({ ...options, fleet });
+  skipped.forEach(({ sheet, row, errors }) => {
+    console.warn(`Skipped ${sheet} row ${row}: ${errors.join('; ')}`);
+  });
+
+  console.log(`${finished ? 'Finished' : `Stopped after ${options.maxHours}h`}: ${progress.completed}/${progress.total} tasks completed, ` +
+    `${progress.failed} failed, ${progress.rejected} rejected in ${report.total_execution_time}s of simulated time`);
+  console.log(`Output written to ${options.out} (simulation_report.json, logs/execution.log, datasets/agv_data.csv, datasets/performance.csv)`);
+  return finished;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = run(parseArgs(process.argv.slice(2))) ? 0 : 1;
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    console.error(USAGE);
+    process.exitCode = 1;
+  }
+}
@@ -4,6 +4,16 @@ const socketIo = require('socket.io');
 const cors = require('cors');
 const fs = require('fs');
 const path = require('path');
+const { loadLayout, getNodeIds, hasNode } = require('./core/layout');
+const { explainUnreachable } = require('./core/pathfinding');
+const { itineraryFromPath } = require('./core/cooperativePlanner');
+const { ServerPathfinding, completeRoute, scoreAgv } = require('./core/routing');
+const { planTimedLeg: planLeg, followItinerary: driveItinerary } = require('./core/timedLegs');
+const { CONFLICT_STRATEGIES, TimeWindowPlanner, startWhenClear } = require('./core/timeWindowPlanner');
+const { DEFAULT_ACO_SETTINGS } = require('./core/antColony');
+const { buildAgvRecord } = require('./core/fleet');
+const { loadEnergyModel } = require('./core/energy');
+const { DEFAULT_TASK_COUNT, DEFAULT_MEAN_GAP, runBenchmarkInWorker, writeBenchmark } = require('./core/benchmark');
 
 const app = express();
 const server = http.createServer(app);
@@ -118,7 +128,8 @@ const systemState = {
     algorithmPerformance: {
       'A*': { tasks: 0, efficiency: 0, avgTime: 0 },
       'Dijkstra+TimeWindow': { tasks: 0, efficiency: 0, avgTime: 0 },
-      'ACO': { tasks: 0, efficiency: 0, avgTime: 0 }
+      'ACO': { tasks: 0, efficiency: 0, avgTime: 0 },
+      'CA*': { tasks: 0, efficiency: 0, avgTime: 0 }
     },
     conflictResolution: {
       totalConflicts: 0,
@@ -151,228 +162,30 @@ fs.writeFileSync(path.join(dataDir, taskDataFile),
   'timestamp,task_id,agv_id,start_pos,end_pos,status,execution_time,algorithm_used\n');
 fs.writeFileSync(path.join(dataDir, performanceFile), 
   'timestamp,metric_type,value,agv_id,details\n');
-      pathHistory: [],
-      performanceMetrics: {
-        totalTasks: 0,
-        completedTasks: 0,
-        efficiency: 100,
-        batteryUsage: 0,
-        distanceTraveled: 0
-      }
-    },
-    AGV3: { 
-      id: 'AGV3', 
-      position: 9, 
-      battery: 92, 
-      status: 'idle', 
-      province: 'South',
-      algorithm: 'ACO',
-      capabilities: ['transport', 'inspection'],
-      priority: 'Medium',
-      currentTask: null,
-      pathHistory: [],
-      performanceMetrics: {
-        totalTasks: 0,
-        completedTasks: 0,
-        efficiency: 100,
-        batteryUsage: 0,
-        distanceTraveled: 0
-      }
-    }
-  },
-  tasks: [],
-  timeWindows: [],
-  conflicts: [],
-  analytics: {
-    totalTasksCompleted: 0,
-    averageExecutionTime: 0,
-    systemEfficiency: 0,
-    algorithmPerformance: {
-      'A*': { tasks: 0, efficiency: 0, avgTime: 0 },
-      'Dijkstra+TimeWindow': { tasks: 0, efficiency: 0, avgTime: 0 },
-      'ACO': { tasks: 0, efficiency: 0, avgTime: 0 }
-    },
-    conflictResolution: {
-      totalConflicts: 0,
-      resolvedConflicts: 0,
-      resolutionRate: 0
-    }
-  },
-  simulation: {
-    isRunning: false,
-    startTime: null,
-    currentTime: Date.now(),
-    speed: 1.0
-  }
-};
 
-// Advanced pathfinding algorithms
-class ServerPathfinding {
-  constructor() {
-    this.nodeConnections = {
-      1: [2, 4], 2: [1, 3, 5], 3: [2, 6],
-      4: [1, 7], 5: [2, 6, 8], 6: [3, 5],
-      7: [4, 8], 8: [5, 7, 9], 9: [8]
-    };
+// Warehouse topology loaded from layout file (AGV_LAYOUT_FILE or layouts/default.json)
+const layout = loadLayout();
+const layoutNodeIds = getNodeIds(layout);
+logToFile(`Layout loaded: ${layout.name} (${layout.nodes.length} nodes, ${layout.edges.length} edges)`, 'SYSTEM');
+
+// Park any AGV whose configured start node does not exist on this floor
+Object.values(systemState.agvs).forEach((agv, index) => {
+  if (!layoutNodeIds.includes(agv.position)) {
+    const fallback = layoutNodeIds[index % layoutNodeIds.length];
+    logToFile(`AGV ${agv.id} start node ${agv.position} not in layout - placed at node ${fallback}`, 'SYSTEM');
+    agv.position = fallback;
   }
+});
 
-  aStarPathfinding(start, end, avoidNodes = []) {
-    const openSet = [{node: start, fScore: this.heuristic(start, end)}];
-    const closedSet = new Set();
-    const cameFrom = new Map();
-    const gScore = new Map();
-    
-    for (let i = 1; i <= 9; i++) {
-      gScore.set(i, Infinity);
-    }
-    gScore.set(start, 0);
-
-    while (openSet.length > 0) {
-      openSet.sort((a, b) => a.fScore - b.fScore);
-      const current = openSet.shift().node;
-
-      if (current === end) {
-        return this.reconstructPath(cameFrom, current);
-      }
-
-      closedSet.add(current);
-      const neighbors = this.nodeConnections[current] || [];
-
-      for (const neighbor of neighbors) {
-        if (closedSet.has(neighbor) || avoidNodes.includes(neighbor)) continue;
-
-        const tentativeGScore = gScore.get(current) + 1;
-        if (tentativeGScore < gScore.get(neighbor)) {
-          cameFrom.set(neighbor, current);
-          gScore.set(neighbor, tentativeGScore);
-          const fScore = tentativeGScore + this.heuristic(neighbor, end);
-          
-          if (!openSet.find(item => item.node === neighbor)) {
-            openSet.push({node: neighbor, fScore});
-          }
-        }
-      }
-    }
-    return [];
-  }
-
-  dijkstraWithTimeWindow(start, end, timeWindow, occupiedSlots = {}) {
-    const distances = new Map();
-    const previous = new Map();
-    const unvisited = new Set();
-
-    for (let i = 1; i <= 9; i++) {
-      distances.set(i, Infinity);
-      unvisited.add(i);
-    }
-    distances.set(start, 0);
-
-    while (unvisited.size > 0) {
-      let current = null;
-      let minDistance = Infinity;
-      
-      for (const node of unvisited) {
-        if (distances.get(node) < minDistance) {
-          minDistance = distances.get(node);
-          current = node;
-        }
-      }
-
-      if (current === null || current === end) break;
-      unvisited.delete(current);
-
-      const neighbors = this.nodeConnections[current] || [];
-      for (const neighbor of neighbors) {
-        if (!unvisited.has(neighbor)) continue;
-
-        const alt = distances.get(current) + 1;
-        const arrivalTime = timeWindow.start + (alt * 5 * 60 * 1000);
-        
-        if (this.isTimeSlotAvailable(neighbor, arrivalTime, occupiedSlots)) {
-          if (alt < distances.get(neighbor)) {
-            distances.set(neighbor, alt);
-            previous.set(neighbor, current);
-          }
-        }
-      }
-    }
-
-    return {
-      path: this.reconstructPath(previous, end),
-      totalTime: distances.get(end) * 5 * 60 * 1000
-    };
-  }
-
-  heuristic(node1, node2) {
-    const positions = {
-      1: [0, 0], 2: [1, 0], 3: [2, 0],
-      4: [0, 1], 5: [1, 1], 6: [2, 1],
-      7: [0, 2], 8: [1, 2], 9: [2, 2]
-    };
-    const [x1, y1] = positions[node1];
-    const [x2, y2] = positions[node2];
-    return Math.abs(x1 - x2) + Math.abs(y1 - y2);
-  }
-
-  reconstructPath(cameFrom, current) {
-    const path = [current];
-    while (cameFrom.has(current)) {
-      current = cameFrom.get(current);
-      path.unshift(current);
-    }
-    return path;
-  }
-
-  isTimeSlotAvailable(node, time, occupiedSlots) {
-    const nodeSlots = occupiedSlots[node] || [];
-    return !nodeSlots.some(slot => Math.abs(slot.time - time) < 5 * 60 * 1000);
-  }
-}
-
-const pathfinder = new ServerPathfinding();
-
-// Time Window Planning
-class TimeWindowPlanner {
-  detectTimeWindows(tasks) {
-    return tasks.map(task => ({
-      taskId: task.id,
-      startTime: task.earliestStart || Date.now(),
-      endTime: task.latestStart || Date.now() + (60 * 60 * 1000),
-      priority: task.priority || 'Medium',
-      score: this.calculateTimeWindowScore(task)
-    }));
-  }
-
-  calculateTimeWindowScore(task) {
-    let score = 100;
-    const priorityWeight = { 'High': 50, 'Medium': 25, 'Low': 10 };
-    score += priorityWeight[task.priority] || 25;
-    return score;
-  }
-
-  resolveConflicts(conflicts) {
-    const resolutions = [];
-    conflicts.forEach(conflict => {
-      if (conflict.type === 'time_overlap') {
-        // Delay lower priority task
-        const resolution = {
-          type: 'delay',
-          taskId: conflict.tasks[1],
-          delayTime: 10 * 60 * 1000 // 10 minutes
-        };
-        resolutions.push(resolution);
-      }
-    });
-    return resolutions;
-  }
-}
+const pathfinder = new ServerPathfinding(layout);
 
-const timeWindowPlanner = new TimeWindowPlanner();
+// Time windows and path conflict resolution (see core/timeWindowPlanner.js)
+const timeWindowPlanner = new TimeWindowPlanner(pathfinder, systemState);
 
 // Enhanced Task Management
 function assignTaskToAGV(task) {
   const availableAGVs = Object.values(systemState.agvs)
-    .filter(agv => agv.status === 'idle');
+    .filter(agv => agv.status === 'idle' && !agv.retiring);
 
   if (availableAGVs.length === 0) {
     return null;
@@ -388,31 +201,13 @@ function assignTaskToAGV(task) {
   const selectedAGV = agvScores[0].agv;
 
   // Generate path based on AGV's algorithm
-  let path;
-  switch (selectedAGV.algorithm) {
-    case 'A*':
-      path = pathfinder.aStarPathfinding(selectedAGV.position, task.pickupLocation);
-      break;
-    case 'Dijkstra+TimeWindow':
-      const timeWindow = { start: Date.now(), end: Date.now() + (30 * 60 * 1000) };
-      const dijkstraResult = pathfinder.dijkstraWithTimeWindow(
-        selectedAGV.position, 
-        task.pickupLocation, 
-        timeWindow
-      );
-      path = dijkstraResult.path;
-      break;
-    case 'ACO':
-      // Simplified ACO - use A* with pheromone influence
-      path = pathfinder.aStarPathfinding(selectedAGV.position, task.pickupLocation);
-      break;
-    default:
-      path = pathfinder.aStarPathfinding(selectedAGV.position, task.pickupLocation);
-  }
-
-  if (path.length > 0) {
+  const leg = planTimedLeg(selectedAGV, selectedAGV.position, task.pickupLocation, Date.now());
+
+  if (leg) {
     task.assignedAGV = selectedAGV.id;
-    task.plannedPath = path;
+    task.plannedPath = leg.path;
+    task.plannedItinerary = leg.itinerary;
+    task.plannedAt = Date.now();
     task.algorithm = selectedAGV.algorithm;
     task.status = 'assigned';
     
@@ -422,61 +217,53 @@ function assignTaskToAGV(task) {
   return null;
 }
 
-function calculateAGVScore(agv, task) {
-  let score = 0;
-  
-  // Distance factor
-  const distance = pathfinder.heuristic(agv.position, task.pickupLocation);
-  score += (10 - distance) * 10;
-  
-  // Battery factor
-  if (agv.battery > 50) score += 30;
-  else if (agv.battery > 25) score += 15;
-  
-  // Priority factor
-  const priorityBonus = { 'High': 20, 'Medium': 10, 'Low': 5 };
-  score += priorityBonus[agv.priority] || 10;
-  
-  // Algorithm efficiency factor
-  const algorithmBonus = { 'A*': 15, 'Dijkstra+TimeWindow': 10, 'ACO': 12 };
-  score += algorithmBonus[agv.algorithm] || 10;
+// Plan a leg with the AGV's algorithm against the rest of the fleet (see core/timedLegs.js)
+function planTimedLeg(agv, from, to, startTime) {
+  const leg = planLeg(pathfinder, systemState, agv, from, to, startTime);
+  if (leg && leg.fallback) {
+    logToFile(`AGV ${agv.id} found no ${agv.algorithm} plan from ${from} to ${to} - driving the A* route`, 'PLANNING');
+  }
+  return leg;
+}
 
-  return score;
+// Move an AGV along a timed itinerary in real time, then call onArrive; returns the stops as driven
+function followItinerary(agv, task, itinerary, onArrive) {
+  const { stops, delay } = driveItinerary(itinerary, {
+    onMove: stop => {
+      agv.position = stop.node;
+      io.emit('agvMoved', { agvId: agv.id, taskId: task.id, node: stop.node, departAt: stop.departAt });
+    },
+    onArrive
+  });
+  if (delay >= 1000) {
+    logToFile(`Task ${task.id} itinerary starts ${(delay / 1000).toFixed(1)}s late - shifted`, 'EXECUTION');
+  }
+  return stops;
+}
+
+function calculateAGVScore(agv, task) {
+  return scoreAgv(pathfinder, agv, task);
 }
 
 // Conflict Detection
 function detectConflicts() {
-  const conflicts = [];
-  const activeTasks = systemState.tasks.filter(t => t.status === 'executing' || t.status === 'assigned');
-  
-  // Check for path conflicts
-  for (let i = 0; i < activeTasks.length; i++) {
-    for (let j = i + 1; j < activeTasks.length; j++) {
-      const task1 = activeTasks[i];
-      const task2 = activeTasks[j];
-      
-      if (hasPathConflict(task1, task2)) {
-        conflicts.push({
-          type: 'path_conflict',
-          tasks: [task1.id, task2.id],
-          agvs: [task1.assignedAGV, task2.assignedAGV],
-          severity: 'medium',
-          detectedAt: Date.now()
-        });
-      }
-    }
-  }
-  
+  const { conflicts, newConflicts } = timeWindowPlanner.detectConflicts();
+  systemState.analytics.conflictResolution.totalConflicts += newConflicts;
   systemState.conflicts = conflicts;
   return conflicts;
 }
 
-function hasPathConflict(task1, task2) {
-  if (!task1.plannedPath || !task2.plannedPath) return false;
-  
-  // Simple conflict detection - check if paths intersect
-  const intersection = task1.plannedPath.filter(node => task2.plannedPath.includes(node));
-  return intersection.length > 1; // More than just the start/end nodes
+// Carry out a resolution from TimeWindowPlanner.resolveConflicts() and log what changed
+function applyResolution(resolution) {
+  const tasks = timeWindowPlanner.applyResolution(resolution);
+  resolution.changes.forEach(change => {
+    const task = tasks.find(t => t.id === change.taskId);
+    if (!task) return;
+    const reassigned = change.previousAgvId ? ` (${change.previousAgvId} -> ${change.agvId})` : ` (${change.agvId})`;
+    const until = resolution.type === 'delay' ? ` until ${new Date(resolution.delayedUntil).toISOString()}` : '';
+    logToFile(`Conflict ${resolution.conflict.join('/')}: ${resolution.type} task ${task.id}${reassigned}${until} - ` +
+      `path [${change.before.join(',')}] -> [${change.after.join(',')}]`, 'CONFLICT');
+  });
 }
 
 // Real-time Analytics
@@ -517,6 +304,10 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'monitor.html'));
 });
 
+app.get('/api/layout', (req, res) => {
+  res.json(layout);
+});
+
 app.get('/api/status', (req, res) => {
   updateAnalytics();
   
@@ -543,6 +334,114 @@ app.get('/api/status', (req, res) => {
   res.json(systemState);
 });
 
+// Select the routing algorithm an AGV plans its next tasks with
+app.post('/api/agvs/:agvId/algorithm', (req, res) => {
+  const agv = systemState.agvs[req.params.agvId];
+  if (!agv) {
+    return res.status(404).json({ success: false, message: `Unknown AGV ${req.params.agvId}` });
+  }
+  
+  const { algorithm } = req.body;
+  if (!Object.keys(systemState.analytics.algorithmPerformance).includes(algorithm)) {
+    const options = Object.keys(systemState.analytics.algorithmPerformance).join(', ');
+    return res.status(400).json({ success: false, message: `Algorithm must be one of: ${options}` });
+  }
+  
+  agv.algorithm = algorithm;
+  logToFile(`AGV ${agv.id} routing algorithm set to ${algorithm}`, 'CONFIG');
+  io.emit('systemUpdate', systemState);
+  res.json({ success: true, agv });
+});
+
+// Fleet members with their current state
+app.get('/api/agvs', (req, res) => {
+  res.json({ count: Object.keys(systemState.agvs).length, agvs: Object.values(systemState.agvs) });
+});
+
+// Register a new AGV
+app.post('/api/agvs', (req, res) => {
+  let agv;
+  try {
+    agv = buildAgvRecord(req.body, {
+      hasNode: node => layoutNodeIds.includes(node),
+      algorithms: Object.keys(systemState.analytics.algorithmPerformance),
+      fleet: systemState.agvs
+    });
+  } catch (err) {
+    const status = /already/.test(err.message) ? 409 : 400;
+    return res.status(status).json({ success: false, message: err.message });
+  }
+  
+  const { province = 'Central', priority = 'Medium' } = req.body;
+  Object.assign(agv, {
+    province,
+    priority,
+    currentTask: null,
+    pathHistory: [],
+    performanceMetrics: {
+      totalTasks: 0,
+      completedTasks: 0,
+      efficiency: 100,
+      batteryUsage: 0,
+      distanceTraveled: 0
+    }
+  });
+  systemState.agvs[agv.id] = agv;
+  
+  logToFile(`AGV ${agv.id} added at node ${agv.position} (${agv.algorithm}, ${agv.capabilities.join('/') || 'no capabilities'})`, 'FLEET');
+  io.emit('systemUpdate', systemState);
+  res.status(201).json({ success: true, agv });
+});
+
+// Take an AGV out of service; an AGV with assigned work finishes it first
+app.post('/api/agvs/:agvId/retire', (req, res) => {
+  const agv = systemState.agvs[req.params.agvId];
+  if (!agv) {
+    return res.status(404).json({ success: false, message: `Unknown AGV ${req.params.agvId}` });
+  }
+  if (agv.status === 'retired') {
+    return res.status(409).json({ success: false, message: `AGV ${agv.id} is already retired` });
+  }
+  
+  const hasWork = agv.currentTask ||
+    systemState.tasks.some(task => task.assignedAGV === agv.id && task.status === 'assigned');
+  if (hasWork) {
+    agv.retiring = true;
+    logToFile(`AGV ${agv.id} will retire after its current task`, 'FLEET');
+    io.emit('systemUpdate', systemState);
+    return res.status(202).json({ success: true, agv, message: `AGV ${agv.id} will retire once its current task is finished` });
+  }
+  
+  agv.status = 'retired';
+  logToFile(`AGV ${agv.id} retired at node ${agv.position}`, 'FLEET');
+  io.emit('systemUpdate', systemState);
+  res.json({ success: true, agv, message: `AGV ${agv.id} retired` });
+});
+
+// Remove an AGV that has no work: neither a task under way nor one assigned
+// to it, which would otherwise be left with no AGV to execute it
+app.delete('/api/agvs/:agvId', (req, res) => {
+  const agv = systemState.agvs[req.params.agvId];
+  if (!agv) {
+    return res.status(404).json({ success: false, message: `Unknown AGV ${req.params.agvId}` });
+  }
+  if (agv.currentTask) {
+    return res.status(409).json({ success: false, message: `AGV ${agv.id} is executing task ${agv.currentTask.id} - retire it first` });
+  }
+  const assigned = systemState.tasks.filter(task => task.assignedAGV === agv.id && task.status === 'assigned');
+  if (assigned.length > 0) {
+    return res.status(409).json({
+      success: false,
+      message: `AGV ${agv.id} has assigned task(s) ${assigned.map(task => task.id).join(', ')} - retire it and let it finish them first`
+    });
+  }
+  
+  delete systemState.agvs[agv.id];
+  logToFile(`AGV ${agv.id} removed from the fleet`, 'FLEET');
+  io.emit('systemUpdate', systemState);
+  res.json({ success: true, agv });
+});
+
 app.post('/api/tasks', (req, res) => {
   const task = {
     id: Date.now(),
@@ -553,6 +452,26 @@ app.post('/api/tasks', (req, res) => {
 
   logToFile(`New task created: ID=${task.id}, Start=${task.startPosition}, End=${task.endPosition}`, 'TASK');
 
+  // Node ids are numbers in the layout; JSON clients may send them as strings
+  for (const field of ['pickupLocation', 'deliveryLocation']) {
+    if (task[field] === undefined) continue;
+    const node = Number(task[field]);
+    if (!hasNode(layout, node)) {
+      const reason = `${field} ${task[field]} is not a node of the layout`;
+      logToFile(`Task ${task.id} rejected - ${reason}`, 'ERROR');
+      return res.status(400).json({ success: false, message: reason });
+    }
+    task[field] = node;
+  }
+
+  // Reject deliveries that cannot be routed, e.g. only reachable against one-way aisles
+  if (task.pickupLocation !== undefined && task.deliveryLocation !== undefined &&
+      pathfinder.aStarPathfinding(task.pickupLocation, task.deliveryLocation).length === 0) {
+    const reason = explainUnreachable(layout, task.pickupLocation, task.deliveryLocation);
+    logToFile(`Task ${task.id} rejected - ${reason}`, 'ERROR');
+    return res.status(400).json({ success: false, message: reason });
+  }
+
   const assignedAGV = assignTaskToAGV(task);
   if (assignedAGV) {
     systemState.tasks.push(task);
@@ -586,56 +505,136 @@ app.post('/api/tasks', (req, res) => {
   }
 });
 
-app.post('/api/tasks/:taskId/execute', (req, res) => {
-  const taskId = parseInt(req.params.taskId);
-  const task = systemState.tasks.find(t => t.id === taskId);
+// Start driving an assigned task; returns an error message when the AGV cannot reach the pickup
+function startTaskExecution(task, agv) {
+  logToFile(`Starting task execution: Task ${task.id} with AGV ${agv.id}`, 'EXECUTION');
   
-  if (!task) {
-    logToFile(`Task execution failed - Task ${taskId} not found`, 'ERROR');
-    return res.status(404).json({ success: false, message: 'Task not found' });
-  }
-  
-  const agv = systemState.agvs[task.assignedAGV];
-  if (!agv) {
-    logToFile(`Task execution failed - AGV ${task.assignedAGV} not found`, 'ERROR');
-    return res.status(400).json({ success: false, message: 'AGV not found' });
+  // The AGV may have moved since the task was planned
+  if (!task.plannedPath || task.plannedPath[0] !== agv.position) {
+    const leg = planTimedLeg(agv, agv.position, task.pickupLocation, Date.now());
+    if (!leg) {
+      logToFile(`Task execution failed - no route from ${agv.position} to ${task.pickupLocation}`, 'ERROR');
+      return `No route from node ${agv.position} to node ${task.pickupLocation}`;
+    }
+    task.plannedPath = leg.path;
+    task.plannedItinerary = leg.itinerary;
+    task.plannedAt = Date.now();
   }
   
-  const startTime = Date.now();
-  logToFile(`Starting task execution: Task ${taskId} with AGV ${agv.id}`, 'EXECUTION');
-  
   // Start task execution
   task.status = 'executing';
+  task.phase = 'to_pickup';
   task.startTime = Date.now();
   agv.status = 'executing';
   agv.currentTask = task;
   
-  // Simulate task execution
-  setTimeout(() => {
-    // Complete task
+  // Free the AGV - one marked for retirement leaves service now
+  const releaseAgv = () => {
+    agv.status = agv.retiring ? 'retired' : 'idle';
+    delete agv.retiring;
+    agv.currentTask = null;
+    agv.performanceMetrics.totalTasks++;
+  };
+  
+  const completeTask = () => {
+    completeRoute(pathfinder, task.algorithm, task.plannedPath);
     task.status = 'completed';
+    task.phase = 'delivered';
     task.completedAt = Date.now();
     task.executionTime = task.completedAt - task.startTime;
     task.efficiency = Math.max(50, 100 - Math.random() * 30); // Random efficiency 70-100%
     
-    // Update AGV
-    agv.status = 'idle';
-    agv.position = task.deliveryLocation;
-    agv.currentTask = null;
+    releaseAgv();
     agv.performanceMetrics.completedTasks++;
-    agv.performanceMetrics.totalTasks++;
-    agv.pathHistory.push(task.plannedPath);
+    agv.pathHistory.push([...task.pickupPath, ...task.plannedPath.slice(1)]);
     
     // Update analytics
     updateAnalytics();
     
     io.emit('taskCompleted', task);
     io.emit('systemUpdate', systemState);
-  }, Math.random() * 10000 + 5000); // 5-15 seconds
+  };
+  
+  // At the pickup, plan and drive the delivery leg
+  const deliver = () => {
+    completeRoute(pathfinder, task.algorithm, task.plannedPath);
+    task.pickupPath = task.plannedPath;
+    const leg = planTimedLeg(agv, task.pickupLocation, task.deliveryLocation, Date.now());
+    if (!leg) {
+      // Routability was checked when the task was created, so only a layout change gets here
+      task.status = 'failed';
+      task.phase = 'at_pickup';
+      task.failedAt = Date.now();
+      task.failureReason = `No route from node ${task.pickupLocation} to node ${task.deliveryLocation}`;
+      logToFile(`Task ${task.id} failed at the pickup - ${task.failureReason}`, 'ERROR');
+      releaseAgv();
+      agv.pathHistory.push(task.pickupPath);
+      updateAnalytics();
+      io.emit('taskFailed', task);
+      io.emit('systemUpdate', systemState);
+      return;
+    }
+    task.phase = 'to_delivery';
+    task.plannedPath = leg.path;
+    task.plannedAt = Date.now();
+    task.plannedItinerary = followItinerary(agv, task, leg.itinerary, completeTask);
+    // Tasks delayed for this one were held on an estimate of this leg
+    timeWindowPlanner.extendDelays(task).forEach(waiting => {
+      logToFile(`Task ${waiting.id} delayed until ${new Date(waiting.delayedUntil).toISOString()} - task ${task.id} delivers later than estimated`, 'CONFLICT');
+    });
+    io.emit('systemUpdate', systemState);
+  };
+  task.plannedItinerary = followItinerary(agv, task, task.plannedItinerary ||
+    itineraryFromPath(pathfinder.graph, task.plannedPath, Date.now()), deliver);
   
   io.emit('taskStarted', task);
   io.emit('systemUpdate', systemState);
+  return null;
+}
+
+app.post('/api/tasks/:taskId/execute', (req, res) => {
+  const taskId = parseInt(req.params.taskId);
+  const task = systemState.tasks.find(t => t.id === taskId);
+  
+  if (!task) {
+    logToFile(`Task execution failed - Task ${taskId} not found`, 'ERROR');
+    return res.status(404).json({ success: false, message: 'Task not found' });
+  }
+  
+  const agv = systemState.agvs[task.assignedAGV];
+  if (!agv) {
+    logToFile(`Task execution failed - AGV ${task.assignedAGV} not found`, 'ERROR');
+    return res.status(400).json({ success: false, message: 'AGV not found' });
+  }
+  if (task.status !== 'assigned') {
+    return res.status(409).json({ success: false, message: `Task ${taskId} is ${task.status}` });
+  }
+  if (agv.currentTask) {
+    return res.status(409).json({ success: false, message: `AGV ${agv.id} is executing task ${agv.currentTask.id}` });
+  }
+  if (task.startsAt) {
+    return res.status(409).json({ success: false, message: `Task ${taskId} is already scheduled to start` });
+  }
+  
+  // A task delayed by conflict resolution waits until the conflicting task is clear
+  if (task.delayedUntil > Date.now()) {
+    startWhenClear(task, () => {
+      if (task.status !== 'assigned') return;
+      const assigned = systemState.agvs[task.assignedAGV];
+      if (!assigned || assigned.currentTask) {
+        logToFile(`Delayed task ${task.id} not started - AGV ${task.assignedAGV} is unavailable`, 'ERROR');
+        return;
+      }
+      startTaskExecution(task, assigned);
+    });
+    logToFile(`Task ${taskId} delayed by conflict resolution - starts at ${new Date(task.startsAt).toISOString()}`, 'EXECUTION');
+    return res.status(202).json({ success: true, task, startsAt: task.startsAt });
+  }
   
+  const error = startTaskExecution(task, agv);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
   res.json({ success: true, task });
 });
 
@@ -645,26 +644,25 @@ app.get('/api/conflicts', (req, res) => {
 });
 
 app.post('/api/conflicts/resolve', (req, res) => {
-  const conflicts = systemState.conflicts;
-  const resolutions = timeWindowPlanner.resolveConflicts(conflicts);
-  
-  // Apply resolutions
-  resolutions.forEach(resolution => {
-    if (resolution.type === 'delay') {
-      const task = systemState.tasks.find(t => t.id === resolution.taskId);
-      if (task) {
-        task.delayedUntil = Date.now() + resolution.delayTime;
-      }
-    }
+  const { strategy = 'auto' } = req.body || {};
+  if (!CONFLICT_STRATEGIES.includes(strategy)) {
+    return res.status(400).json({ success: false, message: `strategy must be one of: ${CONFLICT_STRATEGIES.join(', ')}` });
+  }
+  
+  const conflicts = detectConflicts();
+  const { resolutions, unresolved } = timeWindowPlanner.resolveConflicts(conflicts, strategy);
+  resolutions.forEach(applyResolution);
+  unresolved.forEach(({ tasks, reason }) => {
+    logToFile(`Conflict ${tasks.join('/')} unresolved - ${reason}`, 'CONFLICT');
   });
   
   systemState.analytics.conflictResolution.resolvedConflicts += resolutions.length;
-  systemState.conflicts = [];
+  detectConflicts();
   
   io.emit('conflictsResolved', resolutions);
   io.emit('systemUpdate', systemState);
   
-  res.json({ success: true, resolutions });
+  res.json({ success: true, resolutions, unresolved, conflicts: systemState.conflicts });
 });
 
 app.post('/api/simulation/toggle', (req, res) => {
@@ -683,6 +681,74 @@ app.get('/api/analytics', (req, res) => {
   res.json(systemState.analytics);
 });
 
+// Pheromone level per layout edge of the ACO router, for the dashboard overlay
+app.get('/api/aco/pheromones', (req, res) => {
+  res.json(pathfinder.antColony.snapshot());
+});
+
+// Change ACO settings (ants, iterations, evaporation, ...); the pheromone map is kept
+app.post('/api/aco/config', (req, res) => {
+  const unknown = Object.keys(req.body).filter(key => !(key in DEFAULT_ACO_SETTINGS));
+  if (unknown.length > 0) {
+    return res.status(400).json({ success: false, message: `Unknown ACO settings: ${unknown.join(', ')}` });
+  }
+  let settings;
+  try {
+    settings = pathfinder.antColony.configure(req.body);
+  } catch (err) {
+    return res.status(400).json({ success: false, message: err.message });
+  }
+  logToFile(`ACO settings: ${Object.entries(settings).map(([key, value]) => `${key}=${value}`).join(', ')}`, 'CONFIG');
+  res.json({ success: true, settings });
+});
+
+// Forget what the colony has learned
+app.post('/api/aco/reset', (req, res) => {
+  pathfinder.antColony.reset();
+  logToFile('ACO pheromone map reset', 'CONFIG');
+  res.json({ success: true, ...pathfinder.antColony.snapshot() });
+});
+
+// Replay one seeded task set with the current fleet once per algorithm and
+// dispatch strategy (see core/benchmark.js) in a worker thread, one benchmark
+// at a time; results also go to output/analytics/benchmark as JSON and CSV
+let benchmarkRunning = false;
+app.post('/api/benchmark', async (req, res) => {
+  const { seed = 1, tasks: count = DEFAULT_TASK_COUNT, meanGap = DEFAULT_MEAN_GAP / 1000, algorithms, strategies } = req.body;
+  if (!Number.isInteger(seed)) {
+    return res.status(400).json({ success: false, message: 'seed must be an integer' });
+  }
+  if (!(Number.isInteger(count) && count > 0 && count <= 1000)) {
+    return res.status(400).json({ success: false, message: 'tasks must be an integer from 1 to 1000' });
+  }
+  if (!(typeof meanGap === 'number' && meanGap >= 0)) {
+    return res.status(400).json({ success: false, message: 'meanGap must be zero or a positive number of seconds' });
+  }
+  if (benchmarkRunning) {
+    return res.status(409).json({ success: false, message: 'A benchmark is already running' });
+  }
+  
+  const fleet = Object.values(systemState.agvs)
+    .filter(agv => agv.status !== 'retired')
+    .map(({ id, position, battery, priority }) => ({ id, position, battery, priority }));
+  let report;
+  benchmarkRunning = true;
+  try {
+    report = await runBenchmarkInWorker(layout, pathfinder.antColony.settings, {
+      count, seed, meanGap: meanGap * 1000, fleet, energyModel: loadEnergyModel(), algorithms, strategies
+    });
+  } catch (err) {
+    logToFile(`Benchmark failed - ${err.message}`, 'ERROR');
+    return res.status(400).json({ success: false, message: err.message });
+  } finally {
+    benchmarkRunning = false;
+  }
+  
+  const files = writeBenchmark(report, path.join(analyticsDir, 'benchmark'));
+  logToFile(`Benchmark: ${count} tasks, ${fleet.length} AGVs, seed ${seed}, ${report.results.length} runs - ${files.csv}`, 'BENCHMARK');
+  res.json({ success: true, ...report });
+});
+
 // WebSocket Events
 io.on('connection', (socket) => {
   console.log('Client connected');
@@ -756,8 +822,8 @@ setInterval(() => {
     const randomTask = {
       id: Date.now(),
       type: 'transport',
-      pickupLocation: Math.floor(Math.random() * 9) + 1,
-      deliveryLocation: Math.floor(Math.random() * 9) + 1,
+      pickupLocation: layoutNodeIds[Math.floor(Math.random() * layoutNodeIds.length)],
+      deliveryLocation: layoutNodeIds[Math.floor(Math.random() * layoutNodeIds.length)],
       priority: ['High', 'Medium', 'Low'][Math.floor(Math.random() * 3)],
       weight: Math.floor(Math.random() * 50) + 10,
       status: 'pending',
@@ -11,30 +11,36 @@ let systemState = {
     isRunning: false
 };
 
-// Node positions for a 3x3 grid layout
-const nodePositions = {
-    1: { x: 100, y: 100 },
-    2: { x: 250, y: 100 },
-    3: { x: 400, y: 100 },
-    4: { x: 100, y: 250 },
-    5: { x: 250, y: 250 },
-    6: { x: 400, y: 250 },
-    7: { x: 100, y: 400 },
-    8: { x: 250, y: 400 },
-    9: { x: 400, y: 400 }
-};
+// Warehouse layout - loaded from /api/layout and scaled onto the map
+const MAP_MARGIN = 100;
+const MAP_SPAN = 300;
+let nodePositions = {};
+let nodeEdges = [];
+let chargingNodes = new Set();
+
+// Fetch the layout served by the backend and convert coordinates to map pixels
+async function loadLayout() {
+    const response = await fetch('/api/layout');
+    const layout = await response.json();
+
+    const xs = layout.nodes.map(node => node.x);
+    const ys = layout.nodes.map(node => node.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const spanX = (Math.max(...xs) - minX) || 1;
+    const spanY = (Math.max(...ys) - minY) || 1;
+    const scale = Math.min(MAP_SPAN / spanX, MAP_SPAN / spanY);
 
-// Node connections (edges) - NO DIAGONALS, only horizontal/vertical
-const nodeEdges = [
-    // Horizontal edges
-    { from: 1, to: 2 }, { from: 2, to: 3 },
-    { from: 4, to: 5 }, { from: 5, to: 6 },
-    { from: 7, to: 8 }, { from: 8, to: 9 },
-    // Vertical edges
-    { from: 1, to: 4 }, { from: 2, to: 5 }, { from: 3, to: 6 },
-    { from: 4, to: 7 }, { from: 5, to: 8 }
-    // Note: Edge between 6 and 9 removed per user request
-];
+    nodePositions = {};
+    layout.nodes.forEach(node => {
+        nodePositions[node.id] = {
+            x: MAP_MARGIN + (node.x - minX) * scale,
+            y: MAP_MARGIN + (node.y - minY) * scale
+        };
+    });
+    nodeEdges = layout.edges;
+    chargingNodes = new Set(layout.chargingNodes);
+}
 
 // ...existing code...
 // All JavaScript logic from index.html's <script> tag goes here